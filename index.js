@@ -4,19 +4,23 @@ const bodyParser = require('body-parser');
 const { sequelize } = require('./models');
 const app = express();
 const port = 3000;
-const { check, validationResult } = require('express-validator');
+const { check, checkExact, query, validationResult } = require('express-validator');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
+const { ApiError, validationFailed } = require('./utils/apiError');
+const errorHandler = require('./middleware/errorHandler');
+const { languageFor, describeDetail } = require('./utils/i18n');
 
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count', 'X-Next-Cursor'] }));
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, 
-  max: 100 
+  max: 100,
+  handler: (req, res, next) => next(new ApiError(429, 'TOO_MANY_REQUESTS')),
 });
 app.use(limiter);
 app.get('/', (req, res) => {
@@ -24,21 +28,39 @@ app.get('/', (req, res) => {
 });
 
 
-app.listen(port, async () => {
-  console.log(`Servidor rodando em http://localhost:${port}`);
-  try {
-    await sequelize.authenticate();
-    console.log('Conectado ao banco de dados!');
-  } catch (erro) {
-    console.error('Não foi possível conectar ao banco de dados:', erro);
-  }
-});
-
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { User, Location } = require('./models');
+const { User, Location, Review, Favorite, Collection, CollectionLocation, Photo, Workout, Event, LocationShare, LocationRevision, Webhook, WebhookDelivery } = require('./models');
 const auth = require('./middleware/auth');
+const authorize = require('./middleware/authorize');
+const locationAccess = require('./middleware/locationAccess');
+const { findNearbyLocations } = require('./services/nearbyLocations');
+const { geocoder } = require('./services/geocoding');
+const { issueTokens, rotateRefreshToken, revokeSession, revokeUserSessions } = require('./services/tokens');
+const { consumeUserToken } = require('./services/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./services/accountEmails');
 const { Op } = require('sequelize');
+const { normalizeCpf, isValidCpf } = require('./utils/cpf');
+const { exportUserData, anonymizeUser } = require('./services/privacy');
+const { listTrash, findTrashedLocation, findTrashedUser, restoreLocation, restoreUser, purgeExpiredTrash } = require('./services/trash');
+const { LISTABLE_FIELDS, SORTABLE_FIELDS, listLocations } = require('./services/locationListing');
+const { buildLinkHeader } = require('./utils/pagination');
+const { searchLocations } = require('./services/locationSearch');
+const { replaceOpeningHours, loadOpeningHours, withOpeningHours } = require('./services/openingHours');
+const { validateOpeningHours } = require('./utils/openingHours');
+const { coordinatesValidation, locationRules } = require('./utils/locationValidation');
+const { FORMAT_NAMES, resolveFormat, parseItems, serializeLocations } = require('./utils/locationFormats');
+const { MAX_IMPORT_FEATURES, importLocations } = require('./services/locationImport');
+const { listShares, shareLocation, transferOwnership, sharedWith } = require('./services/locationAccess');
+const { isPlainObject, applyMergePatch } = require('./utils/mergePatch');
+const { versionETag, ifMatchSatisfied } = require('./utils/etag');
+const multer = require('multer');
+const { storage } = require('./services/storage');
+const { MAX_PHOTO_BYTES, serializePhoto, uploadPhoto, listPhotos } = require('./services/photos');
+const { workoutStatistics } = require('./services/workouts');
+const { withAttendance, listUpcomingEvents, joinEvent, leaveEvent, updateEvent, cancelEvent, userCalendar } = require('./services/events');
+const { cancelPendingDeliveries, processDueDeliveries, sendPing, redeliver } = require('./services/webhooks');
+const { checkWebhookTarget } = require('./services/webhookTargets');
 
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -49,6 +71,34 @@ const swaggerOptions = {
     info: {
       title: 'Exercita365 API',
       version: '1.0.0',
+      description: 'Erros respondem sempre no formato { erro: { code, message, details } }. A mensagem segue o Accept-Language (pt-BR, padrão, ou en); code e details[].field não mudam com o idioma.',
+    },
+    components: {
+      schemas: {
+        Erro: {
+          type: 'object',
+          properties: {
+            erro: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'VALIDATION_FAILED' },
+                message: { type: 'string', example: 'Dados inválidos.' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      field: { type: 'string', example: 'email' },
+                      code: { type: 'string', example: 'EMAIL_INVALID' },
+                      message: { type: 'string', example: 'Email inválido.' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
     },
     servers: [
       {
@@ -85,8 +135,8 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
  *                 example: F
  *               cpf:
  *                 type: string
- *                 description: CPF do usuário (11 caracteres)
- *                 example: 98765432150
+ *                 description: CPF do usuário, com ou sem máscara. As respostas exibem o CPF parcialmente oculto.
+ *                 example: 987.654.321-00
  *               address:
  *                 type: string
  *                 description: Endereço do usuário
@@ -106,37 +156,51 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
  *                 example: 1985-07-15
  *     responses:
  *       201:
- *         description: Usuário criado com sucesso!
+ *         description: Usuário criado com sucesso! Um email de verificação é enviado ao endereço informado.
  *       400:
  *         description: Erro no cadastro do usuário.
  */
 
+// Regras compartilhadas entre o cadastro e a edição do perfil.
+const userRules = {
+  name: (chain) => chain.not().isEmpty().withMessage('NAME_REQUIRED'),
+  gender: (chain) => chain.isIn(['M', 'F']).withMessage('GENDER_INVALID'),
+  address: (chain) => chain.not().isEmpty().withMessage('ADDRESS_REQUIRED'),
+  password: (chain) => chain.isLength({ min: 6 }).withMessage('PASSWORD_TOO_SHORT'),
+  birthdate: (chain) => chain.isISO8601().toDate().withMessage('BIRTHDATE_INVALID'),
+};
+
 app.post('/usuario', [
-  check('name').not().isEmpty().withMessage('Name is required.'),
-  check('gender').isIn(['M', 'F']).withMessage('Gender must be either M or F.'),
-  check('cpf').isLength({ min: 11, max: 11 }).withMessage('CPF must be 11 characters long.'),
-  check('address').not().isEmpty().withMessage('Address is required.'),
-  check('email').isEmail().withMessage('Email is invalid.'),
-  check('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long.'),
-  check('birthdate').isISO8601().toDate().withMessage('Birthdate is invalid.')
-], async (req, res) => {
+  userRules.name(check('name')),
+  userRules.gender(check('gender')),
+  check('cpf').custom(isValidCpf).withMessage('CPF_INVALID').customSanitizer(normalizeCpf),
+  userRules.address(check('address')),
+  check('email').isEmail().withMessage('EMAIL_INVALID'),
+  userRules.password(check('password')),
+  userRules.birthdate(check('birthdate'))
+], async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    return next(validationFailed(errors.array()));
   }
   const { name, gender, cpf, address, email, password, birthdate } = req.body;
   try {
-    const existingUser = await User.findOne({ where: { [Op.or]: [{ cpf }, { email }] } });
+    // Contas na lixeira continuam ocupando o CPF e o email até o expurgo.
+    const existingUser = await User.findOne({ where: { [Op.or]: [{ cpf }, { email }] }, paranoid: false });
     if (existingUser) {
-      return res.status(400).send({ erro: 'Usuário com o mesmo CPF ou email já cadastrado.' });
+      return next(new ApiError(400, 'USER_ALREADY_EXISTS'));
     }
     const hashedPassword = await bcrypt.hash(password, 8);
     const user = await User.create({ name, gender, cpf, address, email, password: hashedPassword, birthdate });
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
-    res.status(201).send({ user, token });
+    try {
+      await sendVerificationEmail(user);
+    } catch (erro) {
+      console.error('Erro ao enviar email de verificação:', erro);
+    }
+    const { token, refreshToken } = await issueTokens(user);
+    res.status(201).send({ user, token, refreshToken });
   } catch (erro) {
-    console.error('Erro ao criar usuário:', erro);
-    res.status(500).send({ erro: 'Erro ao criar usuário.' });
+    next(erro);
   }
 });
 
@@ -163,43 +227,58 @@ app.post('/usuario', [
  *                 example: senha123
  *     responses:
  *       200:
- *         description: Login realizado com sucesso!
+ *         description: Login realizado com sucesso! Retorna um token de acesso de curta duração e um refresh token.
  *       400:
  *         description: Erro no login.
+ *       403:
+ *         description: Conta suspensa ou email ainda não verificado (quando REQUIRE_EMAIL_VERIFICATION=true).
  */
 
 app.post('/login', [
-  check('email').isEmail().normalizeEmail(),
-  check('password').isLength({ min: 8 })
-], async (req, res) => {
+  check('email').isEmail().withMessage('EMAIL_INVALID').normalizeEmail(),
+  userRules.password(check('password')),
+], async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    return next(validationFailed(errors.array()));
   }
   const { email, password } = req.body;
   try {
     const user = await User.findOne({ where: { email } });
     if (!user) {
-      return res.status(400).send({ erro: 'Usuário não encontrado.' });
+      return next(new ApiError(400, 'USER_NOT_FOUND'));
     }
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(400).send({ erro: 'Senha incorreta.' });
+      return next(new ApiError(400, 'WRONG_PASSWORD'));
+    }
+    if (user.suspendedAt) {
+      return next(new ApiError(403, 'ACCOUNT_SUSPENDED'));
+    }
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerifiedAt) {
+      return next(new ApiError(403, 'EMAIL_NOT_VERIFIED'));
     }
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.send({ user, token });
+    const { token, refreshToken } = await issueTokens(user);
+    res.send({ user, token, refreshToken });
   } catch (erro) {
-    console.error('Erro ao realizar login:', erro);
-    res.status(500).send({ erro: 'Erro ao realizar login.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local:
- *   post:
- *     summary: Cria um novo local
- *     tags: [Locais]
+ * /usuario/me:
+ *   get:
+ *     summary: Obtém o perfil do usuário autenticado
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfil do usuário (sem a senha)
+ *   put:
+ *     summary: Atualiza o perfil do usuário autenticado
+ *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -211,159 +290,150 @@ app.post('/login', [
  *             properties:
  *               name:
  *                 type: string
- *                 description: Nome do local
- *                 example: Parque do Ibirapuera
- *               description:
+ *                 example: Maria Oliveira
+ *               gender:
  *                 type: string
- *                 description: Descrição do local
- *                 example: Um dos maiores parques urbanos de São Paulo.
+ *                 example: F
  *               address:
  *                 type: string
- *                 description: Endereço do local
- *                 example: Avenida Pedro Álvares Cabral, s/n - Vila Mariana, São Paulo - SP, 04094-050
- *               coordinates:
+ *                 example: Avenida Brasil, 500
+ *               birthdate:
  *                 type: string
- *                 description: Coordenadas do local
- *                 example: -23.587416, -46.657634
+ *                 format: date
+ *                 example: 1985-07-15
  *     responses:
- *       201:
- *         description: Local criado com sucesso!
+ *       200:
+ *         description: Perfil atualizado com sucesso!
  *       400:
- *         description: Erro na criação do local.
+ *         description: Dados inválidos.
  */
 
-app.post('/local', [
+app.get('/usuario/me', auth, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    res.send(user);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.put('/usuario/me', [
   auth,
-  check('name').isString().isLength({ min: 1 }).trim().escape(),
-  check('description').isString().isLength({ min: 1 }).trim().escape(),
-  check('address').isString().trim().escape(),
-], async (req, res) => {
+  userRules.name(check('name').optional()),
+  userRules.gender(check('gender').optional()),
+  userRules.address(check('address').optional()),
+  userRules.birthdate(check('birthdate').optional()),
+], async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    return next(validationFailed(errors.array()));
   }
-  const { name, description, address } = req.body;
   try {
-    const location = await Location.create({ name, description, address, userId: req.user.id });
-    res.status(201).send(location);
+    const user = await User.findByPk(req.user.id);
+    ['name', 'gender', 'address', 'birthdate'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+    await user.save();
+    res.send(user);
   } catch (erro) {
-    console.error('Erro ao criar local:', erro);
-    res.status(500).send({ erro: 'Erro ao criar local.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local:
- *   get:
- *     summary: Lista todos os locais do usuário autenticado
- *     tags: [Locais]
+ * /usuario/me/senha:
+ *   put:
+ *     summary: Altera a senha do usuário autenticado
+ *     description: Exige a senha atual. As demais sessões do usuário são encerradas.
+ *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: senha123
+ *               newPassword:
+ *                 type: string
+ *                 example: novaSenha456
  *     responses:
  *       200:
- *         description: Lista de locais
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   description:
- *                     type: string
- *                   address:
- *                     type: string
- *                   coordinates:
- *                     type: string
- *                   userId:
- *                     type: integer
+ *         description: Senha alterada com sucesso!
  *       400:
- *         description: Erro na listagem dos locais
+ *         description: Senha atual incorreta ou nova senha inválida.
  */
 
-app.get('/local', auth, async (req, res) => {
+app.put('/usuario/me/senha', [
+  auth,
+  check('currentPassword').isString().notEmpty().withMessage('CURRENT_PASSWORD_REQUIRED'),
+  userRules.password(check('newPassword')),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { currentPassword, newPassword } = req.body;
   try {
-    const locations = await Location.findAll({ where: { userId: req.user.id } });
-    res.send(locations);
+    const user = await User.findByPk(req.user.id);
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return next(new ApiError(400, 'CURRENT_PASSWORD_INCORRECT'));
+    }
+    user.password = await bcrypt.hash(newPassword, 8);
+    await user.save();
+    await revokeUserSessions(user.id, { exceptSessionId: req.user.sid });
+    res.send({ mensagem: 'Senha alterada com sucesso.' });
   } catch (erro) {
-    console.error('Erro ao listar locais:', erro);
-    res.status(500).send({ erro: 'Erro ao listar locais.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local/{local_id}:
+ * /usuario/me/exportar:
  *   get:
- *     summary: Obtém detalhes de um local específico
- *     tags: [Locais]
+ *     summary: Exporta todos os dados do usuário autenticado (LGPD)
+ *     description: >
+ *       Retorna um arquivo JSON com o perfil completo, os locais cadastrados, os treinos, as avaliações,
+ *       os favoritos, as coleções, os eventos organizados, as inscrições em eventos, os compartilhamentos
+ *       recebidos e concedidos, os webhooks cadastrados (sem o segredo) e o histórico de sessões.
+ *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: local_id
- *         required: true
- *         schema:
- *           type: integer
  *     responses:
  *       200:
- *         description: Detalhes do local
+ *         description: Arquivo JSON para download
  *         content:
  *           application/json:
  *             schema:
  *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 name:
- *                   type: string
- *                 description:
- *                   type: string
- *                 address:
- *                   type: string
- *                 coordinates:
- *                   type: string
- *                 userId:
- *                   type: integer
- *       404:
- *         description: Local não encontrado
  */
 
-app.get('/local/:local_id', auth, async (req, res) => {
-  const { local_id } = req.params;
-
+app.get('/usuario/me/exportar', auth, async (req, res, next) => {
   try {
-    const location = await Location.findOne({ where: { id: local_id, userId: req.user.id } });
-    if (!location) {
-      return res.status(404).send({ erro: 'Local não encontrado.' });
-    }
-
-    res.send(location);
+    const data = await exportUserData(req.user.id);
+    res.attachment(`exercita365-dados-usuario-${req.user.id}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(data, null, 2));
   } catch (erro) {
-    console.error('Erro ao obter detalhes do local:', erro);
-    res.status(500).send({ erro: 'Erro ao obter detalhes do local.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local/{local_id}:
- *   put:
- *     summary: Atualiza informações de um local específico
- *     tags: [Locais]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: local_id
- *         required: true
- *         schema:
- *           type: integer
+ * /senha/esqueci:
+ *   post:
+ *     summary: Envia um email com o token para redefinição de senha
+ *     tags: [Usuários]
  *     requestBody:
  *       required: true
  *       content:
@@ -371,188 +441,3838 @@ app.get('/local/:local_id', auth, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               name:
- *                 type: string
- *                 example: "Academia XYZ"
- *               description:
- *                 type: string
- *                 example: "Academia com diversas modalidades de treino"
- *               address:
- *                 type: string
- *                 example: "Rua Exemplo, 456"
- *               coordinates:
+ *               email:
  *                 type: string
- *                 example: "-23.561684, -46.625378"
+ *                 example: maria.oliveira@example.com
  *     responses:
  *       200:
- *         description: Local atualizado com sucesso!
- *       404:
- *         description: Local não encontrado.
+ *         description: Se o email estiver cadastrado, as instruções são enviadas. A resposta é a mesma em ambos os casos.
  */
 
-app.put('/local/:local_id', [
-  auth,
-  check('name').optional().isString().trim().escape(),
-  check('description').optional().isString().trim().escape(),
-  check('address').optional().isString().trim().escape(),
-  
-], async (req, res) => {
-  const { local_id } = req.params;
-  const updates = req.body;
-
+app.post('/senha/esqueci', [
+  check('email').isEmail().withMessage('EMAIL_INVALID'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
   try {
-    const location = await Location.findOne({ where: { id: local_id, userId: req.user.id } });
-    if (!location) {
-      return res.status(404).send({ erro: 'Local não encontrado.' });
+    const user = await User.findOne({ where: { email: req.body.email } });
+    // Sem esperar o envio: nem uma falha do mailer nem o tempo de resposta podem revelar se a conta existe.
+    if (user) {
+      sendPasswordResetEmail(user).catch((erro) => {
+        console.error('Erro ao enviar email de redefinição de senha:', erro);
+      });
     }
-
-    Object.keys(updates).forEach(update => location[update] = updates[update]);
-    await location.save();
-
-    res.send(location);
+    res.send({ mensagem: 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha.' });
   } catch (erro) {
-    console.error('Erro ao atualizar local:', erro);
-    res.status(500).send({ erro: 'Erro ao atualizar local.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local/{local_id}:
- *   delete:
- *     summary: Deleta um local específico
- *     tags: [Locais]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: local_id
- *         required: true
- *         schema:
- *           type: integer
+ * /senha/redefinir:
+ *   post:
+ *     summary: Redefine a senha usando o token recebido por email
+ *     tags: [Usuários]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: novaSenha123
  *     responses:
  *       200:
- *         description: Local deletado com sucesso!
- *       404:
- *         description: Local não encontrado.
+ *         description: Senha redefinida com sucesso! Todas as sessões do usuário são encerradas.
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado.
  */
 
-app.delete('/local/:local_id', auth, async (req, res) => {
-  const { local_id } = req.params;
-
+app.post('/senha/redefinir', [
+  check('token').isString().notEmpty().withMessage('TOKEN_REQUIRED'),
+  userRules.password(check('password')),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { token, password } = req.body;
   try {
-    const location = await Location.findOne({ where: { id: local_id, userId: req.user.id } });
-    if (!location) {
-      return res.status(404).send({ erro: 'Local não encontrado.' });
-    }
-
-    await location.destroy();
-    res.send({ mensagem: 'Local deletado com sucesso.' });
+    const hashedPassword = await bcrypt.hash(password, 8);
+    const userId = await sequelize.transaction(async (transaction) => {
+      const userToken = await consumeUserToken(token, 'password_reset', { transaction });
+      await User.update({ password: hashedPassword }, { where: { id: userToken.userId }, transaction });
+      return userToken.userId;
+    });
+    await revokeUserSessions(userId);
+    res.send({ mensagem: 'Senha redefinida com sucesso.' });
   } catch (erro) {
-    console.error('Erro ao deletar local:', erro);
-    res.status(500).send({ erro: 'Erro ao deletar local.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /local/{local_id}/maps:
+ * /email/verificar:
  *   get:
- *     summary: Gera link do Google Maps para um local específico
- *     tags: [Locais]
- *     security:
- *       - bearerAuth: []
+ *     summary: Confirma o email do usuário a partir do link enviado no cadastro
+ *     tags: [Usuários]
  *     parameters:
- *       - in: path
- *         name: local_id
+ *       - in: query
+ *         name: token
  *         required: true
  *         schema:
- *           type: integer
- *         description: ID do local
- *         example: 11
+ *           type: string
  *     responses:
  *       200:
- *         description: Link do Google Maps gerado com sucesso!
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 googleMapsLink:
- *                   type: string
- *                   description: Link do Google Maps
- *                   example: https://www.google.com/maps/search/?api=1&query=-23.587416,-46.657634
- *       404:
- *         description: Local ou endereço não encontrado.
- *       500:
- *         description: Erro ao gerar link do Google Maps.
+ *         description: Email verificado com sucesso!
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado.
  */
 
-const axios = require('axios');
-app.get('/local/:local_id/maps', auth, async (req, res) => {
-  const { local_id } = req.params;
-
+app.get('/email/verificar', [
+  check('token').isString().notEmpty().withMessage('TOKEN_REQUIRED'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
   try {
-    const location = await Location.findOne({ where: { id: local_id, userId: req.user.id } });
-    if (!location) {
-      return res.status(404).send({ erro: 'Local não encontrado.' });
-    }
-
-    const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(location.address)}&format=json&limit=1`;
-    const response = await axios.get(url);
-    if (response.data.length === 0) {
-      return res.status(404).send({ erro: 'Endereço não encontrado no OpenStreetMap.' });
-    }
-
-    const { lat, lon } = response.data[0];
-    const googleMapsLink = `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`;
-
-    res.send({ googleMapsLink });
+    await sequelize.transaction(async (transaction) => {
+      const userToken = await consumeUserToken(req.query.token, 'email_verification', { transaction });
+      await User.update({ emailVerifiedAt: new Date() }, { where: { id: userToken.userId }, transaction });
+    });
+    res.send({ mensagem: 'Email verificado com sucesso.' });
   } catch (erro) {
-    console.error('Erro ao gerar link do Google Maps:', erro);
-    res.status(500).send({ erro: 'Erro ao gerar link do Google Maps.' });
+    next(erro);
   }
 });
 
 /**
  * @swagger
- * /usuario/{id}:
- *   delete:
- *     summary: Deleta um usuário específico
+ * /token/refresh:
+ *   post:
+ *     summary: Troca um refresh token válido por um novo par de tokens
  *     tags: [Usuários]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token recebido no login ou na última renovação
  *     responses:
  *       200:
- *         description: Usuário deletado com sucesso!
- *       404:
- *         description: Usuário não encontrado.
+ *         description: Tokens renovados. O refresh token anterior deixa de valer.
+ *       401:
+ *         description: Refresh token inválido, expirado ou já utilizado.
  */
 
-app.delete('/usuario/:id', auth, async (req, res) => {
-  const { id } = req.params;
-
+app.post('/token/refresh', [
+  check('refreshToken').isString().notEmpty().withMessage('REFRESH_TOKEN_REQUIRED'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    res.send(tokens);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Encerra a sessão atual, revogando seus tokens
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada com sucesso!
+ */
+
+app.post('/logout', auth, async (req, res, next) => {
+  try {
+    await revokeSession(req.user.sid);
+    res.send({ mensagem: 'Sessão encerrada com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local:
+ *   post:
+ *     summary: Cria um novo local
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Nome do local
+ *                 example: Parque do Ibirapuera
+ *               description:
+ *                 type: string
+ *                 description: Descrição do local
+ *                 example: Um dos maiores parques urbanos de São Paulo.
+ *               address:
+ *                 type: string
+ *                 description: Endereço do local
+ *                 example: Avenida Pedro Álvares Cabral, s/n - Vila Mariana, São Paulo - SP, 04094-050
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude do local (entre -90 e 90, informada junto com a longitude). Se omitida, é obtida a partir do endereço.
+ *                 example: -23.587416
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude do local (entre -180 e 180, informada junto com a latitude). Se omitida, é obtida a partir do endereço.
+ *                 example: -46.657634
+ *               openingHours:
+ *                 type: object
+ *                 description: >
+ *                   Horário de funcionamento no fuso America/Sao_Paulo, substituindo o atual quando informado.
+ *                   weekday vai de 0 (domingo) a 6 (sábado) e aceita vários intervalos por dia; um intervalo cujo
+ *                   closesAt é menor ou igual ao opensAt atravessa a meia-noite. Exceções substituem o horário
+ *                   semanal da data; uma exceção sem horários indica que o local fica fechado no dia.
+ *                   Intervalos sobrepostos são recusados.
+ *                 properties:
+ *                   weekly:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         weekday:
+ *                           type: integer
+ *                           example: 1
+ *                         opensAt:
+ *                           type: string
+ *                           example: "06:00"
+ *                         closesAt:
+ *                           type: string
+ *                           example: "22:00"
+ *                   exceptions:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         date:
+ *                           type: string
+ *                           format: date
+ *                           example: "2024-12-25"
+ *                         opensAt:
+ *                           type: string
+ *                           nullable: true
+ *                         closesAt:
+ *                           type: string
+ *                           nullable: true
+ *                         description:
+ *                           type: string
+ *                           example: Natal
+ *     responses:
+ *       201:
+ *         description: Local criado com sucesso!
+ *       400:
+ *         description: Erro na criação do local.
+ */
+
+const publicBaseUrl = (req) => process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+
+const openingHoursValidation = check('openingHours').optional().custom(openingHours => {
+  if (typeof openingHours !== 'object' || openingHours === null || Array.isArray(openingHours)) {
+    throw new Error('OPENING_HOURS_NOT_OBJECT');
+  }
+  const problems = validateOpeningHours(openingHours);
+  if (problems.length > 0) {
+    // A lista de { code, params } vira um detalhe por problema na resposta de erro.
+    throw problems;
+  }
+  return true;
+});
+
+app.post('/local', [
+  auth,
+  ...locationRules,
+  openingHoursValidation,
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { name, description, address, latitude, longitude, openingHours } = req.body;
+  try {
+    const location = Location.build({ name, description, address, latitude, longitude, userId: req.user.id });
+    await location.geocodeAddress();
+    await sequelize.transaction(async (transaction) => {
+      await location.save({ transaction });
+      if (openingHours) {
+        await replaceOpeningHours(location.id, openingHours, { transaction });
+      }
+    });
+    res.status(201).send(await withOpeningHours(location));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local:
+ *   get:
+ *     summary: Lista os locais do usuário autenticado, com paginação, ordenação e filtros
+ *     description: >
+ *       O total de registros filtrados é informado no cabeçalho X-Total-Count e os links de navegação no
+ *       cabeçalho Link. A paginação pode ser feita por offset ou por cursor; o cursor da próxima página é
+ *       informado no cabeçalho X-Next-Cursor.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Quantidade máxima de locais por página
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Quantidade de locais a pular (não pode ser usado junto com cursor)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco recebido em X-Next-Cursor ou no link next
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, createdAt, -createdAt, rating, -rating, distance, -distance]
+ *           default: createdAt
+ *         description: Campo de ordenação (rating ordena pela média das avaliações); o prefixo - inverte a ordem. Ordenar por distância exige lat e lng e lista apenas locais com coordenadas.
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude de referência para ordenar por distância
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude de referência para ordenar por distância
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Filtra locais cujo nome contém o texto (sem diferenciar maiúsculas)
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Filtra locais cujo endereço contém o texto (sem diferenciar maiúsculas)
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Data mínima de criação
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Data máxima de criação
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: id,name,address
+ *         description: Lista de campos a retornar, separados por vírgula
+ *       - in: query
+ *         name: aberto_agora
+ *         schema:
+ *           type: boolean
+ *         description: Com true, lista apenas locais abertos agora (fuso America/Sao_Paulo); com false, apenas os que têm horários cadastrados e estão fechados
+ *     responses:
+ *       200:
+ *         description: Lista de locais
+ *         headers:
+ *           X-Total-Count:
+ *             schema:
+ *               type: integer
+ *             description: Total de locais que atendem aos filtros
+ *           X-Next-Cursor:
+ *             schema:
+ *               type: string
+ *             description: Cursor da próxima página, quando houver
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: Links first, prev, next e last (RFC 8288)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *                   averageRating:
+ *                     type: number
+ *                     description: Média das avaliações (0 quando não há avaliações)
+ *                   reviewCount:
+ *                     type: integer
+ *                   openNow:
+ *                     type: boolean
+ *                     nullable: true
+ *                     description: Se o local está aberto agora (nulo quando não há horários cadastrados)
+ *                   userId:
+ *                     type: integer
+ *       400:
+ *         description: Erro na listagem dos locais
+ */
+
+const listingValidation = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 100 } }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('OFFSET_INVALID').toInt(),
+  query('cursor').optional().custom((cursor, { req }) => req.query.offset === undefined).withMessage('CURSOR_WITH_OFFSET'),
+  query('sort').optional().isIn([...SORTABLE_FIELDS, ...SORTABLE_FIELDS.map(field => `-${field}`)]).withMessage({ code: 'SORT_INVALID', params: { fields: SORTABLE_FIELDS.join(', ') } }),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('LATITUDE_RANGE').toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('LONGITUDE_RANGE').toFloat(),
+  query('sort').custom((sort, { req }) => !/^-?distance$/.test(sort || '') || (req.query.lat !== undefined && req.query.lng !== undefined)).withMessage('DISTANCE_SORT_REQUIRES_POINT'),
+  query('name').optional().isString().trim(),
+  query('address').optional().isString().trim(),
+  query('createdFrom').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('createdTo').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('aberto_agora').optional().isBoolean().withMessage('BOOLEAN_INVALID').toBoolean(),
+  query('fields').optional()
+    .customSanitizer(fields => String(fields).split(',').map(field => field.trim()).filter(Boolean))
+    .custom(fields => fields.length > 0 && fields.every(field => [...LISTABLE_FIELDS, 'distance'].includes(field)))
+    .withMessage({ code: 'FIELDS_INVALID', params: { fields: [...LISTABLE_FIELDS, 'distance'].join(', ') } }),
+];
+
+// Preenche os cabeçalhos de paginação (X-Total-Count, X-Next-Cursor e Link) de uma listagem.
+const setPaginationHeaders = (req, res, { total, nextCursor }) => {
+  const { limit = 20, offset = 0, cursor } = req.query;
+  res.set('X-Total-Count', String(total));
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
+  }
+  const links = cursor !== undefined
+    ? {
+      first: { cursor: undefined },
+      next: nextCursor && { cursor: nextCursor },
+    }
+    : {
+      first: { offset: 0 },
+      prev: offset > 0 && { offset: Math.max(offset - limit, 0) },
+      next: offset + limit < total && { offset: offset + limit },
+      last: { offset: total > 0 ? Math.floor((total - 1) / limit) * limit : 0 },
+    };
+  res.set('Link', buildLinkHeader(req, links));
+};
+
+app.get('/local', [auth, ...listingValidation], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const { rows, total, nextCursor } = await listLocations({ userId: req.user.id }, { ...req.query, openNow: req.query.aberto_agora });
+    setPaginationHeaders(req, res, { total, nextCursor });
+    res.send(rows);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /locais/proximos:
+ *   get:
+ *     summary: Lista locais de qualquer usuário dentro de um raio, ordenados pela distância
+ *     tags: [Locais]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Latitude do ponto de referência
+ *         example: -23.587416
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Longitude do ponto de referência
+ *         example: -46.657634
+ *       - in: query
+ *         name: raio
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 5
+ *           maximum: 100
+ *         description: Raio da busca em quilômetros
+ *       - in: query
+ *         name: aberto_agora
+ *         schema:
+ *           type: boolean
+ *         description: Com true, lista apenas locais abertos agora (fuso America/Sao_Paulo); com false, apenas os que têm horários cadastrados e estão fechados
+ *     responses:
+ *       200:
+ *         description: Locais encontrados dentro do raio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *                   distance:
+ *                     type: number
+ *                     description: Distância em quilômetros até o ponto de referência
+ *                   openNow:
+ *                     type: boolean
+ *                     nullable: true
+ *                     description: Se o local está aberto agora (nulo quando não há horários cadastrados)
+ *       400:
+ *         description: Parâmetros de busca inválidos
+ */
+
+app.get('/locais/proximos', [
+  check('lat').isFloat({ min: -90, max: 90 }).toFloat().withMessage('LATITUDE_RANGE'),
+  check('lng').isFloat({ min: -180, max: 180 }).toFloat().withMessage('LONGITUDE_RANGE'),
+  check('raio').optional().isFloat({ gt: 0, max: 100 }).toFloat().withMessage('RADIUS_RANGE'),
+  query('aberto_agora').optional().isBoolean().withMessage('BOOLEAN_INVALID').toBoolean(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { lat, lng, raio = 5, aberto_agora } = req.query;
+
+  try {
+    const locations = await findNearbyLocations({ lat, lng, radius: raio, openNow: aberto_agora });
+    res.send(locations);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /locais/busca:
+ *   get:
+ *     summary: Busca locais de qualquer usuário por nome, descrição e endereço
+ *     description: >
+ *       No PostgreSQL usa busca textual com radicalização em português e sem diferenciar acentos
+ *       (por exemplo, "academia sao joao" encontra "Academia São João"). Os resultados são ordenados por
+ *       relevância e os trechos encontrados são destacados com a tag mark.
+ *     tags: [Locais]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Texto da busca
+ *         example: academia
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Locais encontrados, do mais relevante para o menos relevante
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *                   rank:
+ *                     type: number
+ *                     description: Relevância do resultado
+ *                   highlight:
+ *                     type: object
+ *                     description: Nome, descrição e endereço com os trechos encontrados destacados
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       address:
+ *                         type: string
+ *       400:
+ *         description: Parâmetros de busca inválidos
+ */
+
+app.get('/locais/busca', [
+  query('q').isString().trim().isLength({ min: 2, max: 200 }).withMessage('SEARCH_TEXT_LENGTH'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 50 } }).toInt(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { q, limit } = req.query;
+
+  try {
+    const locations = await searchLocations(q, { limit });
+    res.send(locations);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/exportar:
+ *   get:
+ *     summary: Exporta os locais do usuário autenticado em GeoJSON, KML, GPX ou CSV
+ *     description: >
+ *       Cada local leva nome, descrição e endereço como propriedades. No GPX, que só aceita pontos com
+ *       coordenadas, os locais sem latitude e longitude ficam de fora e o endereço vai numa extensão própria.
+ *       O CSV usa as colunas name, description, address, latitude e longitude.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [geojson, kml, gpx, csv]
+ *     responses:
+ *       200:
+ *         description: Arquivo com os locais, para download
+ *       400:
+ *         description: Formato inválido.
+ */
+
+app.get('/local/exportar', [
+  auth,
+  query('formato').isIn(FORMAT_NAMES).withMessage({ code: 'FORMAT_INVALID', params: { formats: FORMAT_NAMES.join(', ') } }),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const format = resolveFormat(req.query.formato);
+
+  try {
+    const locations = await Location.findAll({ where: { userId: req.user.id }, order: [['id', 'ASC']] });
+    res
+      .type(format.contentType)
+      .attachment(`locais.${format.extension}`)
+      .send(serializeLocations(format, locations, { name: 'Locais do Exercita365' }));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/importar:
+ *   post:
+ *     summary: Importa locais de um arquivo CSV, GeoJSON, KML ou GPX
+ *     description: >
+ *       Cada item (linha do CSV, Feature do GeoJSON, Placemark do KML ou waypoint do GPX) é validado com as
+ *       mesmas regras de POST /local; a resposta traz o resultado de cada um, na ordem do arquivo. Itens com o
+ *       mesmo nome e endereço (sem diferenciar acentos, pontuação ou maiúsculas) de um local do usuário ou de um
+ *       item anterior do arquivo são marcados como duplicados. Os itens válidos são criados numa única transação;
+ *       inválidos e duplicados são ignorados. Com dry_run=true nada é gravado.
+ *       No CSV, a primeira linha nomeia as colunas (name/nome, description/descricao, address/endereco,
+ *       latitude/lat e longitude/lng/lon), o separador pode ser vírgula ou ponto e vírgula e as coordenadas
+ *       aceitam vírgula decimal. Nos demais formatos, apenas pontos são aceitos.
+ *       O formato vem do parâmetro formato ou, na falta dele, da extensão do arquivo.
+ *       Endereços sem coordenadas são geocodificados durante a requisição, então o arquivo é recusado se tiver
+ *       mais endereços assim que o limite IMPORT_MAX_GEOCODED (padrão 50).
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [geojson, kml, gpx, csv]
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Apenas valida o arquivo e devolve o relatório, sem criar locais
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Relatório do dry run, com valid no lugar de created
+ *       201:
+ *         description: Ao menos um local foi criado; o relatório traz o resultado de cada item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 duplicates:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       line:
+ *                         type: integer
+ *                         description: Linha do arquivo (apenas CSV)
+ *                       name:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [created, valid, duplicate, error]
+ *                       id:
+ *                         type: integer
+ *                       duplicateOf:
+ *                         type: integer
+ *                         description: ID do local já existente com o mesmo nome e endereço
+ *                       duplicateOfIndex:
+ *                         type: integer
+ *                         description: Índice do item anterior do arquivo com o mesmo nome e endereço
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             code:
+ *                               type: string
+ *                             message:
+ *                               type: string
+ *       400:
+ *         description: Arquivo ausente, formato desconhecido, arquivo inválido ou nenhum item importado.
+ *       413:
+ *         description: Arquivo maior que o permitido.
+ */
+
+const singleImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.IMPORT_MAX_BYTES) || 2 * 1024 * 1024, files: 1 },
+}).single('arquivo');
+
+const importUpload = (req, res, next) => singleImportFile(req, res, (erro) => {
+  if (erro instanceof multer.MulterError) {
+    if (erro.code === 'LIMIT_FILE_SIZE') {
+      return next(new ApiError(413, 'IMPORT_FILE_TOO_LARGE'));
+    }
+    return next(new ApiError(400, 'IMPORT_SINGLE_FILE'));
+  }
+  next(erro);
+});
+
+app.post('/local/importar', [
+  auth,
+  importUpload,
+  query('formato').optional().isIn(FORMAT_NAMES).withMessage({ code: 'FORMAT_INVALID', params: { formats: FORMAT_NAMES.join(', ') } }),
+  query('dry_run').optional().isBoolean().withMessage('BOOLEAN_INVALID').toBoolean(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  if (!req.file) {
+    return next(new ApiError(400, 'IMPORT_NO_FILE'));
+  }
+  const format = resolveFormat(req.query.formato, req.file.originalname);
+  if (!format) {
+    return next(new ApiError(400, 'IMPORT_FORMAT_UNKNOWN', { params: { formats: FORMAT_NAMES.join(', ') } }));
+  }
+
+  try {
+    const items = parseItems(format, req.file.buffer.toString('utf8'));
+    if (!items) {
+      return next(new ApiError(400, 'IMPORT_FILE_INVALID', { params: { format: format.name } }));
+    }
+    if (items.length === 0) {
+      return next(new ApiError(400, 'IMPORT_EMPTY'));
+    }
+    if (items.length > MAX_IMPORT_FEATURES) {
+      return next(new ApiError(400, 'IMPORT_TOO_MANY_ITEMS', { params: { max: MAX_IMPORT_FEATURES } }));
+    }
+
+    const report = await importLocations(req.user.id, items, { dryRun: req.query.dry_run === true });
+    const language = languageFor(req);
+    report.results
+      .filter(result => result.errors)
+      .forEach((result) => {
+        result.errors = result.errors.map(detail => describeDetail(language, detail));
+      });
+    if (report.dryRun) {
+      return res.send(report);
+    }
+    res.status(report.created > 0 ? 201 : 400).send(report);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}:
+ *   get:
+ *     summary: Obtém detalhes de um local específico (dono, administradores ou usuários com quem foi compartilhado)
+ *     description: O cabeçalho ETag identifica a versão do local e pode ser enviado em If-Match no PUT e no PATCH.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Detalhes do local
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Versão atual do local
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 address:
+ *                   type: string
+ *                 latitude:
+ *                   type: number
+ *                 longitude:
+ *                   type: number
+ *                 averageRating:
+ *                   type: number
+ *                   description: Média das avaliações (0 quando não há avaliações)
+ *                 reviewCount:
+ *                   type: integer
+ *                 openingHours:
+ *                   type: object
+ *                   description: Horários semanais (weekly) e exceções (exceptions) do local
+ *                 openNow:
+ *                   type: boolean
+ *                   nullable: true
+ *                   description: Se o local está aberto agora (nulo quando não há horários cadastrados)
+ *                 photos:
+ *                   type: array
+ *                   description: Fotos do local, das mais antigas para as mais recentes
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       url:
+ *                         type: string
+ *                 userId:
+ *                   type: integer
+ *                 permission:
+ *                   type: string
+ *                   enum: [viewer, editor, owner, admin]
+ *                   description: Nível de acesso do usuário autenticado ao local
+ *       404:
+ *         description: Local não encontrado
+ */
+
+app.get('/local/:local_id', [auth, locationAccess('viewer')], async (req, res, next) => {
+  const { location } = req;
+
+  try {
+    res.set('ETag', versionETag(location)).send({
+      ...await withOpeningHours(location),
+      photos: await listPhotos(location.id, publicBaseUrl(req)),
+      permission: req.locationPermission,
+    });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}:
+ *   put:
+ *     summary: Atualiza informações de um local específico (dono, administradores ou editores)
+ *     description: >
+ *       Apenas name, description, address, latitude, longitude e openingHours podem ser enviados; os campos
+ *       omitidos não mudam. Com If-Match, a alteração só acontece se o ETag ainda for o atual.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag obtido no GET, PUT ou PATCH anterior
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Academia XYZ"
+ *               description:
+ *                 type: string
+ *                 example: "Academia com diversas modalidades de treino"
+ *               address:
+ *                 type: string
+ *                 example: "Rua Exemplo, 456"
+ *               latitude:
+ *                 type: number
+ *                 example: -23.561684
+ *               longitude:
+ *                 type: number
+ *                 example: -46.625378
+ *               openingHours:
+ *                 type: object
+ *                 description: >
+ *                   Horário de funcionamento no fuso America/Sao_Paulo, substituindo o atual quando informado.
+ *                   weekday vai de 0 (domingo) a 6 (sábado) e aceita vários intervalos por dia; um intervalo cujo
+ *                   closesAt é menor ou igual ao opensAt atravessa a meia-noite. Exceções substituem o horário
+ *                   semanal da data; uma exceção sem horários indica que o local fica fechado no dia.
+ *                   Intervalos sobrepostos são recusados.
+ *                 properties:
+ *                   weekly:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         weekday:
+ *                           type: integer
+ *                           example: 1
+ *                         opensAt:
+ *                           type: string
+ *                           example: "06:00"
+ *                         closesAt:
+ *                           type: string
+ *                           example: "22:00"
+ *                   exceptions:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         date:
+ *                           type: string
+ *                           format: date
+ *                           example: "2024-12-25"
+ *                         opensAt:
+ *                           type: string
+ *                           nullable: true
+ *                         closesAt:
+ *                           type: string
+ *                           nullable: true
+ *                         description:
+ *                           type: string
+ *                           example: Natal
+ *     responses:
+ *       200:
+ *         description: Local atualizado com sucesso! O novo ETag vem no cabeçalho.
+ *       400:
+ *         description: Dados inválidos ou campo não editável.
+ *       403:
+ *         description: O local foi compartilhado apenas para visualização.
+ *       404:
+ *         description: Local não encontrado.
+ *       412:
+ *         description: O local foi alterado desde a versão informada em If-Match.
+ */
+
+const EDITABLE_LOCATION_FIELDS = ['name', 'description', 'address', 'latitude', 'longitude', 'openingHours'];
+
+// Apenas os campos da lista podem ser enviados; qualquer outro (userId, id, createdAt...) é recusado.
+const locationUpdateValidation = checkExact([
+  check('name').optional().isString().trim().escape(),
+  check('description').optional().isString().trim().escape(),
+  check('address').optional().isString().trim().escape(),
+  ...coordinatesValidation,
+  openingHoursValidation,
+], {
+  locations: ['body'],
+  message: { code: 'FIELD_NOT_EDITABLE', params: { fields: EDITABLE_LOCATION_FIELDS.join(', ') } },
+});
+
+// Recusa a alteração se o cliente editou uma versão do local que já não é a atual.
+const ifMatchLocation = (req, res, next) => {
+  if (!ifMatchSatisfied(req.get('If-Match'), versionETag(req.location))) {
+    return next(new ApiError(412, 'EDIT_CONFLICT'));
+  }
+  next();
+};
+
+const saveLocationChanges = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { location } = req;
+  const { openingHours, ...updates } = req.body;
+
+  try {
+    location.set(updates);
+    if (openingHours) {
+      // Mudanças só nos horários também geram uma nova versão do local.
+      location.changed('updatedAt', true);
+    }
+    await location.geocodeAddress({ coordinatesInformed: 'latitude' in updates || 'longitude' in updates });
+    await sequelize.transaction(async (transaction) => {
+      await location.save({ transaction });
+      if (openingHours) {
+        await replaceOpeningHours(location.id, openingHours, { transaction });
+      }
+    });
+
+    res.set('ETag', versionETag(location)).send(await withOpeningHours(location));
+  } catch (erro) {
+    next(erro);
+  }
+};
+
+app.put('/local/:local_id', [auth, locationAccess('editor'), ifMatchLocation, locationUpdateValidation], saveLocationChanges);
+
+/**
+ * @swagger
+ * /local/{local_id}:
+ *   patch:
+ *     summary: Altera parte de um local com JSON Merge Patch (dono, administradores ou editores)
+ *     description: >
+ *       Segue a RFC 7386: apenas os campos enviados mudam, e null remove o valor (latitude e longitude nulas
+ *       apagam as coordenadas; name, description e address não podem ser removidos). Em openingHours, weekly e
+ *       exceptions são substituídas por inteiro quando enviadas, e openingHours nulo remove todos os horários.
+ *       Aceita os mesmos campos do PUT. Com If-Match, a alteração só acontece se o ETag ainda for o atual.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag obtido no GET, PUT ou PATCH anterior
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               description: "Academia 24 horas"
+ *               openingHours:
+ *                 exceptions: []
+ *     responses:
+ *       200:
+ *         description: Local atualizado com sucesso! O novo ETag vem no cabeçalho.
+ *       400:
+ *         description: Corpo inválido ou campo não editável.
+ *       403:
+ *         description: O local foi compartilhado apenas para visualização.
+ *       404:
+ *         description: Local não encontrado.
+ *       412:
+ *         description: O local foi alterado desde a versão informada em If-Match.
+ */
+
+// Converte o patch nos valores finais: os horários são mesclados aos atuais antes da validação.
+const mergeLocationPatch = async (req, res, next) => {
+  if (!isPlainObject(req.body)) {
+    return next(new ApiError(400, 'MERGE_PATCH_NOT_OBJECT'));
+  }
+  if (!('openingHours' in req.body)) {
+    return next();
+  }
+  try {
+    const current = (await loadOpeningHours([req.location.id])).get(req.location.id);
+    const merged = req.body.openingHours === null ? {} : applyMergePatch(current, req.body.openingHours);
+    req.body.openingHours = isPlainObject(merged) ? { weekly: [], exceptions: [], ...merged } : merged;
+    next();
+  } catch (erro) {
+    next(erro);
+  }
+};
+
+app.patch('/local/:local_id', [auth, locationAccess('editor'), ifMatchLocation, mergeLocationPatch, locationUpdateValidation], saveLocationChanges);
+
+/**
+ * @swagger
+ * /local/{local_id}:
+ *   delete:
+ *     summary: Move um local para a lixeira (apenas o dono ou administradores)
+ *     description: >
+ *       O local deixa de aparecer nas listagens, buscas, favoritos, coleções e eventos, mas pode ser restaurado
+ *       em POST /local/{local_id}/restaurar até ser excluído definitivamente, depois de TRASH_RETENTION_DAYS dias.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Local movido para a lixeira com sucesso!
+ *       403:
+ *         description: Apenas o dono pode deletar o local.
+ *       404:
+ *         description: Local não encontrado.
+ */
+
+app.delete('/local/:local_id', [auth, locationAccess('owner')], async (req, res, next) => {
+  const { location } = req;
+
+  try {
+    await sequelize.transaction(transaction => location.destroy({ transaction }));
+    res.send({ mensagem: 'Local movido para a lixeira com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/restaurar:
+ *   post:
+ *     summary: Restaura um local da lixeira (apenas o dono ou administradores)
+ *     description: O local volta com fotos, horários, compartilhamentos, favoritos e coleções.
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Local restaurado com sucesso!
+ *       400:
+ *         description: O dono do local também está na lixeira.
+ *       404:
+ *         description: Local não encontrado na lixeira.
+ */
+
+app.post('/local/:local_id/restaurar', auth, async (req, res, next) => {
+  try {
+    const location = await findTrashedLocation(req.params.local_id);
+    if (!location || (location.userId !== req.user.id && req.user.role !== 'admin')) {
+      return next(new ApiError(404, 'LOCATION_NOT_IN_TRASH'));
+    }
+
+    await restoreLocation(location);
+    res.set('ETag', versionETag(location)).send(await withOpeningHours(location));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/compartilhamentos:
+ *   get:
+ *     summary: Lista com quem o local foi compartilhado (apenas o dono)
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Compartilhamentos do local, com o usuário e o nível de acesso
+ *       403:
+ *         description: Apenas o dono pode gerenciar o compartilhamento.
+ *       404:
+ *         description: Local não encontrado.
+ *   post:
+ *     summary: Compartilha o local com outro usuário, ou altera o nível de acesso dele (apenas o dono)
+ *     description: viewer pode consultar o local; editor também pode alterá-lo. Apenas o dono pode deletá-lo ou compartilhá-lo.
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, permission]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: colega@example.com
+ *               permission:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *     responses:
+ *       201:
+ *         description: Local compartilhado com sucesso!
+ *       200:
+ *         description: O local já estava compartilhado com o usuário; o nível de acesso foi atualizado.
+ *       400:
+ *         description: Dados inválidos ou usuário é o próprio dono.
+ *       403:
+ *         description: Apenas o dono pode gerenciar o compartilhamento.
+ *       404:
+ *         description: Local ou usuário não encontrado.
+ */
+
+app.get('/local/:local_id/compartilhamentos', [auth, locationAccess('owner')], async (req, res, next) => {
+  try {
+    const shares = await listShares(req.location.id);
+    res.send(shares.map(share => ({
+      user: share.User,
+      permission: share.permission,
+      sharedAt: share.createdAt,
+    })));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.post('/local/:local_id/compartilhamentos', [
+  auth,
+  locationAccess('owner'),
+  check('email').isEmail().withMessage('EMAIL_INVALID'),
+  check('permission').isIn(['viewer', 'editor']).withMessage('PERMISSION_INVALID'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (!user || user.anonymizedAt) {
+      return next(new ApiError(404, 'USER_NOT_FOUND'));
+    }
+
+    const { share, created } = await shareLocation(req.location, user, req.body.permission);
+    res.status(created ? 201 : 200).send({
+      user: { id: user.id, name: user.name, email: user.email },
+      permission: share.permission,
+      sharedAt: share.createdAt,
+    });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/compartilhamentos/{usuario_id}:
+ *   delete:
+ *     summary: Remove o acesso de um usuário ao local
+ *     description: O dono pode remover qualquer compartilhamento; os demais usuários, apenas o próprio.
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: usuario_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Compartilhamento removido com sucesso!
+ *       403:
+ *         description: Apenas o dono pode remover o acesso de outros usuários.
+ *       404:
+ *         description: Local não encontrado ou não compartilhado com o usuário.
+ */
+
+app.delete('/local/:local_id/compartilhamentos/:usuario_id', [auth, locationAccess('viewer')], async (req, res, next) => {
+  const targetId = Number(req.params.usuario_id);
+  if (targetId !== req.user.id && !['owner', 'admin'].includes(req.locationPermission)) {
+    return next(new ApiError(403, 'SHARE_REMOVE_FORBIDDEN'));
+  }
+
+  try {
+    const removed = await LocationShare.destroy({ where: { locationId: req.location.id, userId: targetId } });
+    if (removed === 0) {
+      return next(new ApiError(404, 'LOCATION_NOT_SHARED_WITH_USER'));
+    }
+    res.send({ mensagem: 'Compartilhamento removido com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/transferir:
+ *   post:
+ *     summary: Transfere a posse do local para outro usuário (apenas o dono)
+ *     description: O antigo dono continua com acesso de editor, que pode ser removido pelo novo dono.
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: novo.dono@example.com
+ *     responses:
+ *       200:
+ *         description: Posse do local transferida com sucesso!
+ *       400:
+ *         description: Dados inválidos, usuário já é o dono ou não pode receber o local.
+ *       403:
+ *         description: Apenas o dono pode transferir o local.
+ *       404:
+ *         description: Local ou usuário não encontrado.
+ */
+
+app.post('/local/:local_id/transferir', [
+  auth,
+  locationAccess('owner'),
+  check('email').isEmail().withMessage('EMAIL_INVALID'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (!user) {
+      return next(new ApiError(404, 'USER_NOT_FOUND'));
+    }
+
+    const location = await transferOwnership(req.location, user);
+    res.send({ mensagem: 'Posse do local transferida com sucesso.', location });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/me/locais-compartilhados:
+ *   get:
+ *     summary: Lista os locais que outros usuários compartilharam com o usuário autenticado
+ *     tags: [Compartilhamento]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locais compartilhados, dos mais recentes para os mais antigos, com o nível de acesso (permission)
+ */
+
+app.get('/usuario/me/locais-compartilhados', auth, async (req, res, next) => {
+  try {
+    res.send(await sharedWith(req.user.id));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/historico:
+ *   get:
+ *     summary: Histórico de alterações do local (quem alterou, quando e o que mudou)
+ *     description: >
+ *       Cada criação, alteração e exclusão gera uma versão com o autor (actor, nulo em alterações feitas fora de
+ *       uma requisição autenticada), os campos alterados (changes, com from e to) e o estado completo dos campos
+ *       (snapshot). Alterações apenas nos horários de funcionamento não entram no histórico.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Versões do local, da mais recente para a mais antiga; o total vem em X-Total-Count
+ *       404:
+ *         description: Local não encontrado.
+ */
+
+app.get('/local/:local_id/historico', [
+  auth,
+  locationAccess('viewer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 100 } }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('OFFSET_INVALID').toInt(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { limit = 20, offset = 0 } = req.query;
+
+  try {
+    const { count, rows } = await LocationRevision.findAndCountAll({
+      where: { locationId: req.location.id },
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name'] }],
+      order: [['version', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+    });
+    setPaginationHeaders(req, res, { total: count });
+    res.send(rows);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/reverter/{versao}:
+ *   post:
+ *     summary: Restaura os dados do local de uma versão anterior (dono, administradores ou editores)
+ *     description: >
+ *       Volta name, description, address, latitude e longitude aos valores da versão informada, criando uma
+ *       nova versão no histórico (com revertedFromVersion). O dono e os horários de funcionamento não são
+ *       alterados. Com If-Match, a restauração só acontece se o ETag ainda for o atual.
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: versao
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Local restaurado; o novo ETag vem no cabeçalho.
+ *       403:
+ *         description: O local foi compartilhado apenas para visualização.
+ *       404:
+ *         description: Local ou versão não encontrados.
+ *       412:
+ *         description: O local foi alterado desde a versão informada em If-Match.
+ */
+
+app.post('/local/:local_id/reverter/:versao', [auth, locationAccess('editor'), ifMatchLocation], async (req, res, next) => {
+  const { location } = req;
+  const version = Number(req.params.versao);
+
+  try {
+    const revision = Number.isInteger(version) && await LocationRevision.findOne({
+      where: { locationId: location.id, version, action: { [Op.ne]: 'delete' } },
+      order: [['id', 'DESC']],
+    });
+    if (!revision) {
+      return next(new ApiError(404, 'VERSION_NOT_FOUND'));
+    }
+
+    // A posse só muda pela transferência, então o dono fica de fora da restauração.
+    const { userId, ...restored } = revision.snapshot;
+    location.set(restored);
+    await location.geocodeAddress({ coordinatesInformed: true });
+    await sequelize.transaction(transaction => location.save({ transaction, revertedFromVersion: version }));
+    res.set('ETag', versionETag(location)).send(await withOpeningHours(location));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/maps:
+ *   get:
+ *     summary: Gera link do Google Maps para um local específico
+ *     tags: [Locais]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do local
+ *         example: 11
+ *     responses:
+ *       200:
+ *         description: Link do Google Maps gerado com sucesso!
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 googleMapsLink:
+ *                   type: string
+ *                   description: Link do Google Maps
+ *                   example: https://www.google.com/maps/search/?api=1&query=-23.587416,-46.657634
+ *       404:
+ *         description: Local ou endereço não encontrado.
+ *       500:
+ *         description: Erro ao gerar link do Google Maps.
+ */
+
+app.get('/local/:local_id/maps', [auth, locationAccess('viewer')], async (req, res, next) => {
+  const { location } = req;
+
+  try {
+    // Local sem coordenadas: o link usa a geocodificação (em cache) sem gravá-la, já que a rota é de leitura.
+    let coordinates = location;
+    if (location.latitude == null || location.longitude == null) {
+      coordinates = await geocoder.geocode(location.address);
+      if (!coordinates) {
+        return next(new ApiError(404, 'ADDRESS_NOT_FOUND'));
+      }
+    }
+
+    const googleMapsLink = `https://www.google.com/maps/search/?api=1&query=${coordinates.latitude},${coordinates.longitude}`;
+
+    res.send({ googleMapsLink });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/fotos:
+ *   get:
+ *     summary: Lista as fotos de um local
+ *     tags: [Fotos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fotos do local, com as URLs públicas
+ *       404:
+ *         description: Local não encontrado.
+ *   post:
+ *     summary: Envia uma foto para um local (apenas o dono do local)
+ *     description: >
+ *       O formato é verificado pelo conteúdo do arquivo (JPEG, PNG ou WebP), e não pela extensão.
+ *       O tamanho máximo é definido por PHOTO_MAX_BYTES (5 MB por padrão).
+ *     tags: [Fotos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               foto:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Foto enviada com sucesso!
+ *       400:
+ *         description: Arquivo ausente ou formato não suportado.
+ *       404:
+ *         description: Local não encontrado.
+ *       413:
+ *         description: Arquivo maior que o permitido.
+ */
+
+// Arquivos do backend local ficam públicos, como as URLs do S3; outras origens podem exibi-los.
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.directory, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+  }));
+}
+
+const singlePhoto = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+}).single('foto');
+
+const photoUpload = (req, res, next) => singlePhoto(req, res, (erro) => {
+  if (erro instanceof multer.MulterError) {
+    if (erro.code === 'LIMIT_FILE_SIZE') {
+      return next(new ApiError(413, 'PHOTO_TOO_LARGE', { params: { max: MAX_PHOTO_BYTES } }));
+    }
+    return next(new ApiError(400, 'PHOTO_SINGLE_FILE'));
+  }
+  next(erro);
+});
+
+app.get('/local/:local_id/fotos', [auth, locationAccess('viewer')], async (req, res, next) => {
+  try {
+    res.send(await listPhotos(req.location.id, publicBaseUrl(req)));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.post('/local/:local_id/fotos', [auth, locationAccess('owner'), photoUpload], async (req, res, next) => {
+  try {
+    const photo = await uploadPhoto(req.location.id, req.file);
+    res.status(201).send(serializePhoto(photo, publicBaseUrl(req)));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/fotos/{foto_id}:
+ *   delete:
+ *     summary: Remove uma foto de um local (apenas o dono do local)
+ *     tags: [Fotos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: foto_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Foto removida com sucesso!
+ *       404:
+ *         description: Local ou foto não encontrado.
+ */
+
+app.delete('/local/:local_id/fotos/:foto_id', [auth, locationAccess('owner')], async (req, res, next) => {
+  try {
+    const photo = await Photo.findOne({ where: { id: req.params.foto_id, locationId: req.location.id } });
+    if (!photo) {
+      return next(new ApiError(404, 'PHOTO_NOT_FOUND'));
+    }
+
+    await photo.destroy();
+    res.send({ mensagem: 'Foto removida com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/avaliacoes:
+ *   get:
+ *     summary: Lista as avaliações de um local
+ *     description: >
+ *       As avaliações seguem o acesso ao local: só quem pode ver o local (dono, usuários com quem ele foi
+ *       compartilhado e administradores) pode listar, criar, alterar ou remover avaliações.
+ *     tags: [Avaliações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Avaliações do local, das mais recentes para as mais antigas
+ *       404:
+ *         description: Local não encontrado.
+ *   post:
+ *     summary: Avalia um local (uma avaliação por usuário e local)
+ *     tags: [Avaliações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *                 example: Ótima pista de corrida, bem iluminada.
+ *     responses:
+ *       201:
+ *         description: Avaliação criada com sucesso!
+ *       404:
+ *         description: Local não encontrado.
+ *       409:
+ *         description: O usuário já avaliou este local.
+ *   put:
+ *     summary: Atualiza a avaliação do usuário autenticado para o local
+ *     tags: [Avaliações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Avaliação atualizada com sucesso!
+ *       404:
+ *         description: Avaliação não encontrada.
+ *   delete:
+ *     summary: Remove a avaliação do usuário autenticado para o local
+ *     tags: [Avaliações]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Avaliação removida com sucesso!
+ *       404:
+ *         description: Avaliação não encontrada.
+ */
+
+const reviewValidation = (required) => [
+  (required ? check('rating') : check('rating').optional()).isInt({ min: 1, max: 5 }).withMessage('RATING_RANGE').toInt(),
+  check('comment').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('COMMENT_TOO_LONG').escape(),
+];
+
+app.get('/local/:local_id/avaliacoes', [auth, locationAccess('viewer')], async (req, res, next) => {
+  try {
+    const reviews = await Review.findAll({
+      where: { locationId: req.location.id },
+      include: [{ model: User, as: 'author', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    });
+    res.send(reviews);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.post('/local/:local_id/avaliacoes', [auth, locationAccess('viewer'), ...reviewValidation(true)], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { location } = req;
+  const { rating, comment } = req.body;
+
+  try {
+    const existingReview = await Review.findOne({ where: { locationId: location.id, userId: req.user.id } });
+    if (existingReview) {
+      return next(new ApiError(409, 'REVIEW_ALREADY_EXISTS'));
+    }
+
+    const review = await sequelize.transaction(transaction =>
+      Review.create({ rating, comment, locationId: location.id, userId: req.user.id }, { transaction }));
+    res.status(201).send(review);
+  } catch (erro) {
+    if (erro.name === 'SequelizeUniqueConstraintError') {
+      return next(new ApiError(409, 'REVIEW_ALREADY_EXISTS'));
+    }
+    next(erro);
+  }
+});
+
+app.put('/local/:local_id/avaliacoes', [auth, locationAccess('viewer'), ...reviewValidation(false)], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+
+  try {
+    const review = await Review.findOne({ where: { locationId: req.location.id, userId: req.user.id } });
+    if (!review) {
+      return next(new ApiError(404, 'REVIEW_NOT_FOUND'));
+    }
+
+    ['rating', 'comment'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+    await sequelize.transaction(transaction => review.save({ transaction }));
+    res.send(review);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/local/:local_id/avaliacoes', [auth, locationAccess('viewer')], async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ where: { locationId: req.location.id, userId: req.user.id } });
+    if (!review) {
+      return next(new ApiError(404, 'REVIEW_NOT_FOUND'));
+    }
+
+    await sequelize.transaction(transaction => review.destroy({ transaction }));
+    res.send({ mensagem: 'Avaliação removida com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/favorito:
+ *   post:
+ *     summary: Adiciona um local (de qualquer usuário) aos favoritos
+ *     tags: [Favoritos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Local adicionado aos favoritos!
+ *       200:
+ *         description: O local já estava nos favoritos.
+ *       404:
+ *         description: Local não encontrado.
+ *   delete:
+ *     summary: Remove um local dos favoritos
+ *     tags: [Favoritos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Local removido dos favoritos!
+ *       404:
+ *         description: O local não está nos favoritos.
+ */
+
+app.post('/local/:local_id/favorito', auth, async (req, res, next) => {
+  const { local_id } = req.params;
+
+  try {
+    const location = await Location.findByPk(local_id);
+    if (!location) {
+      return next(new ApiError(404, 'LOCATION_NOT_FOUND'));
+    }
+
+    const [favorite, created] = await Favorite.findOrCreate({
+      where: { userId: req.user.id, locationId: location.id },
+    });
+    res.status(created ? 201 : 200).send(favorite);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/local/:local_id/favorito', auth, async (req, res, next) => {
+  const { local_id } = req.params;
+
+  try {
+    const removed = await Favorite.destroy({ where: { userId: req.user.id, locationId: local_id } });
+    if (removed === 0) {
+      return next(new ApiError(404, 'LOCATION_NOT_IN_FAVORITES'));
+    }
+    res.send({ mensagem: 'Local removido dos favoritos.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/me/favoritos:
+ *   get:
+ *     summary: Lista os locais favoritos do usuário autenticado
+ *     tags: [Favoritos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locais favoritos, dos mais recentes para os mais antigos, com a data em que foram favoritados
+ */
+
+app.get('/usuario/me/favoritos', auth, async (req, res, next) => {
+  try {
+    const favorites = await Favorite.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Location, required: true }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    });
+    res.send(favorites.map(favorite => ({ ...favorite.Location.toJSON(), favoritedAt: favorite.createdAt })));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/checkin:
+ *   post:
+ *     summary: Registra um treino (check-in) do usuário autenticado em um local
+ *     tags: [Treinos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [activityType, durationMinutes]
+ *             properties:
+ *               activityType:
+ *                 type: string
+ *                 enum: [corrida, caminhada, musculacao, ciclismo, natacao, funcional, yoga, luta, outro]
+ *               durationMinutes:
+ *                 type: integer
+ *                 example: 45
+ *               performedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Quando o treino aconteceu (padrão, agora). Não pode estar no futuro.
+ *               notes:
+ *                 type: string
+ *                 example: Treino de pernas
+ *     responses:
+ *       201:
+ *         description: Treino registrado com sucesso!
+ *       400:
+ *         description: Dados do treino inválidos.
+ *       404:
+ *         description: Local não encontrado.
+ */
+
+app.post('/local/:local_id/checkin', [
+  auth,
+  check('activityType').isIn(Workout.ACTIVITY_TYPES).withMessage({ code: 'ACTIVITY_TYPE_INVALID', params: { types: Workout.ACTIVITY_TYPES.join(', ') } }),
+  check('durationMinutes').isInt({ min: 1, max: 1440 }).withMessage('DURATION_RANGE').toInt(),
+  check('performedAt').optional().isISO8601().withMessage('DATE_INVALID').toDate()
+    .custom(performedAt => performedAt <= new Date()).withMessage('DATE_IN_FUTURE'),
+  check('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('NOTES_TOO_LONG').trim().escape(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { local_id } = req.params;
+  const { activityType, durationMinutes, performedAt, notes } = req.body;
+
+  try {
+    const location = await Location.findByPk(local_id);
+    if (!location) {
+      return next(new ApiError(404, 'LOCATION_NOT_FOUND'));
+    }
+
+    const workout = await Workout.create({
+      userId: req.user.id,
+      locationId: location.id,
+      activityType,
+      durationMinutes,
+      performedAt,
+      notes,
+    });
+    res.status(201).send(workout);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/me/treinos:
+ *   get:
+ *     summary: Lista os treinos do usuário autenticado, dos mais recentes para os mais antigos
+ *     tags: [Treinos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: activityType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Treinos com o local (nulo se o local foi removido); o total vem em X-Total-Count
+ */
+
+app.get('/usuario/me/treinos', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 100 } }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('OFFSET_INVALID').toInt(),
+  query('from').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('to').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('activityType').optional().isIn(Workout.ACTIVITY_TYPES).withMessage({ code: 'ACTIVITY_TYPE_INVALID', params: { types: Workout.ACTIVITY_TYPES.join(', ') } }),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { limit = 20, offset = 0, from, to, activityType } = req.query;
+
+  const where = { userId: req.user.id };
+  if (from || to) {
+    where.performedAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to }),
+    };
+  }
+  if (activityType) {
+    where.activityType = activityType;
+  }
+
+  try {
+    const { count, rows } = await Workout.findAndCountAll({
+      where,
+      include: [{ model: Location, attributes: ['id', 'name', 'address'] }],
+      order: [['performedAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+    });
+    setPaginationHeaders(req, res, { total: count });
+    res.send(rows);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/me/treinos/estatisticas:
+ *   get:
+ *     summary: Estatísticas de treino do usuário autenticado
+ *     description: >
+ *       Totais (quantidade e minutos) das últimas 12 semanas (começando na segunda-feira) e dos últimos 12 meses,
+ *       os 5 locais mais visitados e a sequência atual de dias seguidos com treino, no fuso America/Sao_Paulo.
+ *       A sequência continua valendo se o último treino foi ontem.
+ *     tags: [Treinos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estatísticas de treino
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     workouts:
+ *                       type: integer
+ *                     minutes:
+ *                       type: integer
+ *                 weekly:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       weekStart:
+ *                         type: string
+ *                         format: date
+ *                       workouts:
+ *                         type: integer
+ *                       minutes:
+ *                         type: integer
+ *                 monthly:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       month:
+ *                         type: string
+ *                         example: "2024-09"
+ *                       workouts:
+ *                         type: integer
+ *                       minutes:
+ *                         type: integer
+ *                 mostVisitedLocations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       location:
+ *                         type: object
+ *                       visits:
+ *                         type: integer
+ *                 currentStreak:
+ *                   type: integer
+ *                   description: Dias seguidos com treino
+ *                 lastWorkoutDate:
+ *                   type: string
+ *                   format: date
+ *                   nullable: true
+ */
+
+app.get('/usuario/me/treinos/estatisticas', auth, async (req, res, next) => {
+  try {
+    res.send(await workoutStatistics(req.user.id));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /local/{local_id}/eventos:
+ *   post:
+ *     summary: Cria um evento de treino em grupo em um local
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, startsAt, endsAt, capacity]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Corrida no parque
+ *               description:
+ *                 type: string
+ *                 example: Ritmo leve, 5 km
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-10-12T07:00:00-03:00"
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-10-12T08:00:00-03:00"
+ *               capacity:
+ *                 type: integer
+ *                 example: 20
+ *     responses:
+ *       201:
+ *         description: Evento criado com sucesso!
+ *       400:
+ *         description: Dados do evento inválidos.
+ *       404:
+ *         description: Local não encontrado.
+ */
+
+// Título e descrição são gravados como enviados; quem exibe (o .ics, os apps) escapa conforme o formato.
+const eventValidation = (required) => {
+  const field = name => (required ? check(name) : check(name).optional());
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 255 }).withMessage('TITLE_REQUIRED'),
+    check('description').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage({ code: 'DESCRIPTION_TOO_LONG', params: { max: 2000 } }).trim(),
+    field('startsAt').isISO8601().withMessage('DATE_INVALID').toDate()
+      .custom(startsAt => startsAt > new Date()).withMessage('DATE_NOT_IN_FUTURE'),
+    field('endsAt').isISO8601().withMessage('DATE_INVALID').toDate()
+      .custom((endsAt, { req }) => !(req.body.startsAt instanceof Date) || endsAt > req.body.startsAt).withMessage('ENDS_BEFORE_STARTS'),
+    field('capacity').isInt({ min: 1, max: 1000 }).withMessage('CAPACITY_RANGE').toInt(),
+  ];
+};
+
+app.post('/local/:local_id/eventos', [auth, ...eventValidation(true)], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { local_id } = req.params;
+  const { title, description, startsAt, endsAt, capacity } = req.body;
+
+  try {
+    const location = await Location.findByPk(local_id);
+    if (!location) {
+      return next(new ApiError(404, 'LOCATION_NOT_FOUND'));
+    }
+
+    const event = await Event.create({
+      locationId: location.id,
+      organizerId: req.user.id,
+      title,
+      description,
+      startsAt,
+      endsAt,
+      capacity,
+    });
+    const [created] = await withAttendance([event]);
+    res.status(201).send(created);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /eventos:
+ *   get:
+ *     summary: Lista os próximos eventos, dos mais próximos para os mais distantes
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos que começam a partir desta data (eventos passados nunca são listados)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Eventos que começam até esta data
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Eventos com o local, as vagas restantes e o tamanho da lista de espera; o total vem em X-Total-Count
+ */
+
+app.get('/eventos', [
+  query('locationId').optional().isInt({ min: 1 }).withMessage('LOCATION_ID_INVALID').toInt(),
+  query('from').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('to').optional().isISO8601().withMessage('DATE_INVALID').toDate(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 100 } }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('OFFSET_INVALID').toInt(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+
+  try {
+    const { total, rows } = await listUpcomingEvents(req.query);
+    setPaginationHeaders(req, res, { total });
+    res.send(rows);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /eventos/{evento_id}:
+ *   get:
+ *     summary: Obtém os detalhes de um evento
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: evento_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Evento com o local, o organizador, as vagas restantes e o tamanho da lista de espera
+ *       404:
+ *         description: Evento não encontrado.
+ *   put:
+ *     summary: Altera um evento (apenas o organizador, antes do início)
+ *     description: >
+ *       Se a capacidade aumentar, a lista de espera é confirmada por ordem de inscrição e os confirmados são
+ *       avisados por email. Uma mudança de horário é avisada a todos os inscritos.
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evento_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Evento alterado com sucesso!
+ *       400:
+ *         description: Dados inválidos, evento já começou ou capacidade abaixo das vagas confirmadas.
+ *       403:
+ *         description: Apenas o organizador pode alterar o evento.
+ *       404:
+ *         description: Evento não encontrado.
+ *   delete:
+ *     summary: Cancela um evento (apenas o organizador)
+ *     description: As inscrições são removidas e, se o evento ainda não começou, os inscritos são avisados por email.
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evento_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Evento cancelado com sucesso!
+ *       403:
+ *         description: Apenas o organizador pode cancelar o evento.
+ *       404:
+ *         description: Evento não encontrado.
+ */
+
+app.get('/eventos/:evento_id', async (req, res, next) => {
+  try {
+    const event = await Event.findByPk(req.params.evento_id, {
+      include: [
+        { model: Location, attributes: ['id', 'name', 'address', 'latitude', 'longitude'], required: true },
+        { model: User, as: 'organizer', attributes: ['id', 'name'] },
+      ],
+    });
+    if (!event) {
+      return next(new ApiError(404, 'EVENT_NOT_FOUND'));
+    }
+
+    const [details] = await withAttendance([event]);
+    res.send(details);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+// Carrega o evento de req.params.evento_id em req.event se o usuário autenticado for o organizador.
+const eventOrganizer = async (req, res, next) => {
+  try {
+    const event = await Event.findByPk(req.params.evento_id);
+    if (!event) {
+      return next(new ApiError(404, 'EVENT_NOT_FOUND'));
+    }
+    if (event.organizerId !== req.user.id) {
+      return next(new ApiError(403, 'EVENT_FORBIDDEN'));
+    }
+    req.event = event;
+    next();
+  } catch (erro) {
+    next(erro);
+  }
+};
+
+app.put('/eventos/:evento_id', [auth, eventOrganizer, ...eventValidation(false)], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+
+  try {
+    const event = await updateEvent(req.event.id, req.body);
+    const [updated] = await withAttendance([event]);
+    res.send(updated);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/eventos/:evento_id', [auth, eventOrganizer], async (req, res, next) => {
+  try {
+    await cancelEvent(req.event.id);
+    res.send({ mensagem: 'Evento cancelado com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /eventos/{evento_id}/participar:
+ *   post:
+ *     summary: Inscreve o usuário autenticado no evento
+ *     description: Com o evento lotado, a inscrição entra na lista de espera, por ordem de chegada.
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evento_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Inscrição feita (status confirmed ou waitlisted, com a posição na lista de espera)
+ *       200:
+ *         description: O usuário já estava inscrito; retorna a situação atual.
+ *       400:
+ *         description: O evento já começou.
+ *       404:
+ *         description: Evento não encontrado.
+ *   delete:
+ *     summary: Cancela a participação do usuário autenticado no evento
+ *     description: Se a vaga liberada era confirmada, o primeiro da lista de espera é confirmado e avisado por email.
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: evento_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Participação cancelada com sucesso!
+ *       400:
+ *         description: O evento já começou.
+ *       404:
+ *         description: Evento não encontrado ou usuário não inscrito.
+ */
+
+app.post('/eventos/:evento_id/participar', auth, async (req, res, next) => {
+  try {
+    const event = await Event.findByPk(req.params.evento_id, { include: [{ model: Location, attributes: [], required: true }] });
+    if (!event) {
+      return next(new ApiError(404, 'EVENT_NOT_FOUND'));
+    }
+
+    const { created, ...attendance } = await joinEvent(event.id, req.user.id);
+    res.status(created ? 201 : 200).send({ eventId: event.id, ...attendance });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/eventos/:evento_id/participar', auth, async (req, res, next) => {
+  try {
+    const event = await Event.findByPk(req.params.evento_id);
+    if (!event) {
+      return next(new ApiError(404, 'EVENT_NOT_FOUND'));
+    }
+
+    const result = await leaveEvent(event.id, req.user.id);
+    if (!result) {
+      return next(new ApiError(404, 'NOT_ATTENDING_EVENT'));
+    }
+    res.send({ mensagem: 'Participação cancelada com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/me/calendario:
+ *   post:
+ *     summary: Gera (ou renova) o link do calendário .ics com os eventos confirmados do usuário
+ *     description: >
+ *       O link pode ser assinado em apps de agenda e não exige autenticação, por isso deve ser mantido em sigilo.
+ *       Gerar um novo link invalida o anterior.
+ *     tags: [Eventos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Link do calendário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedUrl:
+ *                   type: string
+ *                   example: http://localhost:3000/calendario/3q2-7wEjRk9M.ics
+ */
+
+app.post('/usuario/me/calendario', auth, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    user.calendarToken = crypto.randomBytes(24).toString('base64url');
+    await user.save();
+    res.status(201).send({ feedUrl: `${publicBaseUrl(req)}/calendario/${user.calendarToken}.ics` });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /calendario/{token}.ics:
+ *   get:
+ *     summary: Calendário iCalendar com os eventos confirmados de um usuário
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendário no formato text/calendar
+ *       404:
+ *         description: Calendário não encontrado.
+ */
+
+app.get('/calendario/:token.ics', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ where: { calendarToken: req.params.token } });
+    if (!user) {
+      return next(new ApiError(404, 'CALENDAR_NOT_FOUND'));
+    }
+
+    res.type('text/calendar; charset=utf-8').send(await userCalendar(user, publicBaseUrl(req)));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /colecoes:
+ *   get:
+ *     summary: Lista as coleções de locais do usuário autenticado
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coleções do usuário, com seus locais
+ *   post:
+ *     summary: Cria uma coleção de locais (privada por padrão)
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Corrida de domingo
+ *     responses:
+ *       201:
+ *         description: Coleção criada com sucesso!
+ */
+
+const collectionInclude = [{ model: Location, as: 'locations', through: { attributes: [] } }];
+
+// A URL de compartilhamento só é exposta ao dono da coleção.
+const serializeCollection = (req, collection) => ({
+  ...collection.toJSON(),
+  shareUrl: collection.shareToken
+    ? `${publicBaseUrl(req)}/colecoes/compartilhadas/${collection.shareToken}`
+    : null,
+});
+
+const findOwnCollection = (req) => Collection.findOne({
+  where: { id: req.params.colecao_id, userId: req.user.id },
+  include: collectionInclude,
+});
+
+app.get('/colecoes', auth, async (req, res, next) => {
+  try {
+    const collections = await Collection.findAll({
+      where: { userId: req.user.id },
+      include: collectionInclude,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+    });
+    res.send(collections.map(collection => serializeCollection(req, collection)));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.post('/colecoes', [
+  auth,
+  check('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage({ code: 'NAME_LENGTH', params: { max: 100 } }).escape(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const collection = await Collection.create({ name: req.body.name, userId: req.user.id });
+    res.status(201).send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /colecoes/compartilhadas/{token}:
+ *   get:
+ *     summary: Obtém uma coleção compartilhada pelo link, sem autenticação
+ *     tags: [Coleções]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nome e locais da coleção
+ *       404:
+ *         description: Coleção não encontrada ou não compartilhada.
+ */
+
+app.get('/colecoes/compartilhadas/:token', async (req, res, next) => {
+  try {
+    const collection = await Collection.findOne({
+      where: { shareToken: req.params.token },
+      include: collectionInclude,
+    });
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    const { id, name, locations } = collection.toJSON();
+    res.send({ id, name, locations });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /colecoes/{colecao_id}:
+ *   get:
+ *     summary: Obtém uma coleção do usuário autenticado
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção com seus locais
+ *       404:
+ *         description: Coleção não encontrada.
+ *   put:
+ *     summary: Renomeia uma coleção
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coleção atualizada com sucesso!
+ *       404:
+ *         description: Coleção não encontrada.
+ *   delete:
+ *     summary: Deleta uma coleção (os locais não são afetados)
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção deletada com sucesso!
+ *       404:
+ *         description: Coleção não encontrada.
+ */
+
+app.get('/colecoes/:colecao_id', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.put('/colecoes/:colecao_id', [
+  auth,
+  check('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage({ code: 'NAME_LENGTH', params: { max: 100 } }).escape(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    collection.name = req.body.name;
+    await collection.save();
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/colecoes/:colecao_id', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    await sequelize.transaction(async (transaction) => {
+      await CollectionLocation.destroy({ where: { collectionId: collection.id }, transaction });
+      await collection.destroy({ transaction });
+    });
+    res.send({ mensagem: 'Coleção deletada com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /colecoes/{colecao_id}/locais/{local_id}:
+ *   post:
+ *     summary: Adiciona um local (de qualquer usuário) a uma coleção
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção atualizada
+ *       404:
+ *         description: Coleção ou local não encontrado.
+ *   delete:
+ *     summary: Remove um local de uma coleção
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: local_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção atualizada
+ *       404:
+ *         description: Coleção não encontrada ou local fora da coleção.
+ */
+
+app.post('/colecoes/:colecao_id/locais/:local_id', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    const location = await Location.findByPk(req.params.local_id);
+    if (!location) {
+      return next(new ApiError(404, 'LOCATION_NOT_FOUND'));
+    }
+    await CollectionLocation.findOrCreate({ where: { collectionId: collection.id, locationId: location.id } });
+    await collection.reload({ include: collectionInclude });
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/colecoes/:colecao_id/locais/:local_id', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    const removed = await CollectionLocation.destroy({
+      where: { collectionId: collection.id, locationId: req.params.local_id },
+    });
+    if (removed === 0) {
+      return next(new ApiError(404, 'LOCATION_NOT_IN_COLLECTION'));
+    }
+    await collection.reload({ include: collectionInclude });
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /colecoes/{colecao_id}/compartilhar:
+ *   post:
+ *     summary: Gera um link de compartilhamento para a coleção
+ *     description: Um novo link invalida o anterior.
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção com o campo shareUrl preenchido
+ *       404:
+ *         description: Coleção não encontrada.
+ *   delete:
+ *     summary: Desativa o link de compartilhamento, tornando a coleção privada
+ *     tags: [Coleções]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: colecao_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coleção novamente privada
+ *       404:
+ *         description: Coleção não encontrada.
+ */
+
+app.post('/colecoes/:colecao_id/compartilhar', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    collection.shareToken = crypto.randomBytes(24).toString('base64url');
+    await collection.save();
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/colecoes/:colecao_id/compartilhar', auth, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return next(new ApiError(404, 'COLLECTION_NOT_FOUND'));
+    }
+    collection.shareToken = null;
+    await collection.save();
+    res.send(serializeCollection(req, collection));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/{id}:
+ *   delete:
+ *     summary: Deleta um usuário específico (a própria conta ou qualquer conta, para administradores)
+ *     description: >
+ *       No modo padrão (remover), a conta vai para a lixeira, de onde um administrador pode restaurá-la até o
+ *       expurgo definitivo depois de TRASH_RETENTION_DAYS dias; a exclusão é recusada se o usuário tiver locais
+ *       fora da lixeira, e os que estiverem nela são expurgados junto com a conta. No modo anonimizar,
+ *       os dados pessoais (nome, CPF, email, endereço e data de nascimento) são substituídos, os locais são
+ *       mantidos ou transferidos para outro usuário, e a data e o motivo da anonimização ficam registrados.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: modo
+ *         schema:
+ *           type: string
+ *           enum: [remover, anonimizar]
+ *           default: remover
+ *       - in: query
+ *         name: motivo
+ *         schema:
+ *           type: string
+ *         description: Motivo da anonimização (obrigatório no modo anonimizar)
+ *       - in: query
+ *         name: transferirPara
+ *         schema:
+ *           type: integer
+ *         description: ID do usuário que receberá os locais no modo anonimizar. Se omitido, os locais são mantidos.
+ *     responses:
+ *       200:
+ *         description: Usuário movido para a lixeira ou anonimizado com sucesso!
+ *       400:
+ *         description: Usuário possui locais (modo remover) ou parâmetros inválidos.
+ *       403:
+ *         description: Apenas o próprio usuário ou um administrador pode deletar a conta.
+ *       404:
+ *         description: Usuário não encontrado.
+ */
+
+app.delete('/usuario/:id', [
+  auth,
+  query('modo').optional().isIn(['remover', 'anonimizar']).withMessage('MODE_INVALID'),
+  query('motivo').if(query('modo').equals('anonimizar')).trim().isLength({ min: 1, max: 255 }).withMessage('REASON_REQUIRED'),
+  query('transferirPara').optional().isInt({ min: 1 }).toInt().withMessage('TRANSFER_TARGET_INVALID'),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { id } = req.params;
+  const { modo = 'remover', motivo, transferirPara } = req.query;
+
+  if (Number(id) !== req.user.id && req.user.role !== 'admin') {
+    return next(new ApiError(403, 'ACCOUNT_DELETE_FORBIDDEN'));
+  }
+
+  try {
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new ApiError(404, 'USER_NOT_FOUND'));
+    }
+
+    if (modo === 'anonimizar') {
+      await anonymizeUser(user, { reason: motivo, transferTo: transferirPara });
+      return res.status(200).send({ mensagem: 'Dados pessoais do usuário anonimizados com sucesso.' });
+    }
+
+    const locations = await Location.findAll({ where: { userId: id } });
+    if (locations.length > 0) {
+      return next(new ApiError(400, 'USER_HAS_LOCATIONS'));
+    }
+
+    await user.destroy();
+    res.status(200).send({ mensagem: 'Usuário movido para a lixeira com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/usuarios:
+ *   get:
+ *     summary: Lista todos os usuários (apenas administradores)
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de usuários, sem as senhas
+ *       403:
+ *         description: Acesso restrito a administradores.
+ */
+
+app.get('/admin/usuarios', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const users = await User.findAll({ attributes: { exclude: ['password'] }, order: [['id', 'ASC']] });
+    res.send(users);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/usuarios/{id}/suspender:
+ *   post:
+ *     summary: Suspende um usuário e encerra todas as suas sessões (apenas administradores)
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usuário suspenso com sucesso!
+ *       400:
+ *         description: Um administrador não pode suspender a própria conta.
+ *       404:
+ *         description: Usuário não encontrado.
+ */
+
+app.post('/admin/usuarios/:id/suspender', auth, authorize('admin'), async (req, res, next) => {
+  const { id } = req.params;
+
+  if (Number(id) === req.user.id) {
+    return next(new ApiError(400, 'CANNOT_SUSPEND_SELF'));
+  }
+
+  try {
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new ApiError(404, 'USER_NOT_FOUND'));
+    }
+
+    user.suspendedAt = user.suspendedAt || new Date();
+    await user.save();
+    await revokeUserSessions(user.id);
+    res.send({ mensagem: 'Usuário suspenso com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/usuarios/{id}/reativar:
+ *   post:
+ *     summary: Reativa um usuário suspenso (apenas administradores)
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usuário reativado com sucesso!
+ *       404:
+ *         description: Usuário não encontrado.
+ */
+
+app.post('/admin/usuarios/:id/reativar', auth, authorize('admin'), async (req, res, next) => {
+  const { id } = req.params;
+
   try {
     const user = await User.findByPk(id);
     if (!user) {
-      return res.status(404).send({ erro: 'Usuário não encontrado.' });
+      return next(new ApiError(404, 'USER_NOT_FOUND'));
+    }
+
+    user.suspendedAt = null;
+    await user.save();
+    res.send({ mensagem: 'Usuário reativado com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/locais:
+ *   get:
+ *     summary: Lista os locais de todos os usuários (apenas administradores)
+ *     description: Administradores também podem consultar, atualizar e deletar qualquer local pelas rotas /local/{local_id}.
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de locais
+ *       403:
+ *         description: Acesso restrito a administradores.
+ */
+
+app.get('/admin/locais', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const locations = await Location.findAll({ order: [['id', 'ASC']] });
+    res.send(locations);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /lixeira:
+ *   get:
+ *     summary: Lista os itens na lixeira
+ *     description: >
+ *       Usuários veem os próprios locais excluídos; administradores veem os locais de todos e também os
+ *       usuários excluídos. Cada item traz a data do expurgo definitivo (purgeAt).
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dias de retenção (retentionDays), locais e, para administradores, usuários na lixeira
+ */
+
+app.get('/lixeira', auth, async (req, res, next) => {
+  try {
+    res.send(await listTrash(req.user));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /usuario/{id}/restaurar:
+ *   post:
+ *     summary: Restaura um usuário da lixeira (apenas administradores)
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usuário restaurado com sucesso!
+ *       403:
+ *         description: Acesso restrito a administradores.
+ *       404:
+ *         description: Usuário não encontrado na lixeira.
+ */
+
+app.post('/usuario/:id/restaurar', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const user = await findTrashedUser(req.params.id);
+    if (!user) {
+      return next(new ApiError(404, 'USER_NOT_IN_TRASH'));
     }
 
-    const locations = await Location.findAll({ where: { userId: id } });
-    if (locations.length > 0) {
-      return res.status(400).send({ erro: 'Usuário não pode ser deletado, pois possui locais associados.' });
+    res.send(await restoreUser(user));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/lixeira/expurgar:
+ *   post:
+ *     summary: Exclui definitivamente os itens na lixeira há mais de TRASH_RETENTION_DAYS dias (apenas administradores)
+ *     description: O expurgo também roda sozinho a cada hora.
+ *     tags: [Lixeira]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quantidade de locais e usuários expurgados
+ *       403:
+ *         description: Acesso restrito a administradores.
+ */
+
+app.post('/admin/lixeira/expurgar', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    res.send(await purgeExpiredTrash());
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: Lista os webhooks do usuário autenticado
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks do usuário (sem o segredo)
+ *   post:
+ *     summary: Cadastra um webhook
+ *     description: |
+ *       Cada evento assinado gera um POST JSON para a URL, com os cabeçalhos X-Exercita-Event,
+ *       X-Exercita-Delivery e X-Exercita-Signature (t=<timestamp>,v1=<HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo).
+ *       Respostas fora de 2xx são repetidas com espera exponencial. Cada webhook recebe apenas os eventos dos locais e da conta do próprio usuário.
+ *       usuario.removido é enviado quando a conta vai para a lixeira e também quando é anonimizada (com anonymizedAt no lugar de deletedAt).
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://exemplo.com/webhooks/exercita
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [local.criado, local.atualizado, local.removido, local.restaurado, usuario.removido]
+ *     responses:
+ *       201:
+ *         description: Webhook criado. O segredo de assinatura só é devolvido agora e na troca de segredo.
+ *       400:
+ *         description: URL ou eventos inválidos.
+ */
+
+const webhookRules = {
+  // require_tld: false aceita hosts como localhost, que checkWebhookTarget só libera com WEBHOOK_ALLOW_PRIVATE_TARGETS.
+  url: (chain) => chain
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('WEBHOOK_URL_INVALID')
+    .bail()
+    .custom(checkWebhookTarget),
+  events: (chain) => chain
+    .custom(events => Array.isArray(events) && events.length > 0 && events.every(event => Webhook.EVENTS.includes(event)))
+    .withMessage({ code: 'WEBHOOK_EVENTS_INVALID', params: { events: Webhook.EVENTS.join(', ') } })
+    .customSanitizer(events => [...new Set(events)]),
+  active: (chain) => chain.isBoolean().withMessage('BOOLEAN_INVALID').toBoolean(),
+};
+
+const findOwnWebhook = (req) => Webhook.findOne({ where: { id: req.params.webhook_id, userId: req.user.id } });
+
+app.get('/webhooks', auth, async (req, res, next) => {
+  try {
+    res.send(await Webhook.findAll({ where: { userId: req.user.id }, order: [['id', 'ASC']] }));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.post('/webhooks', [
+  auth,
+  webhookRules.url(check('url')),
+  webhookRules.events(check('events')),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const webhook = await Webhook.create({
+      userId: req.user.id,
+      url: req.body.url,
+      events: req.body.events,
+      secret: Webhook.generateSecret(),
+    });
+    res.status(201).send({ ...webhook.toJSON(), secret: webhook.secret });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{webhook_id}:
+ *   get:
+ *     summary: Obtém um webhook do usuário autenticado
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook (sem o segredo)
+ *       404:
+ *         description: Webhook não encontrado.
+ *   put:
+ *     summary: Altera a URL, os eventos ou a ativação de um webhook
+ *     description: >
+ *       Ao desativar o webhook, as entregas pendentes são canceladas (status cancelled) e não voltam para a fila
+ *       quando ele é reativado; cada uma ainda pode ser reenviada pelo log de entregas.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook atualizado com sucesso!
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Webhook não encontrado.
+ *   delete:
+ *     summary: Remove um webhook e o seu log de entregas
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook deletado com sucesso!
+ *       404:
+ *         description: Webhook não encontrado.
+ */
+
+app.get('/webhooks/:webhook_id', auth, async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
     }
+    res.send(webhook);
+  } catch (erro) {
+    next(erro);
+  }
+});
 
-    await user.destroy();
-    res.status(200).send({ mensagem: 'Usuário deletado com sucesso.' });
+app.put('/webhooks/:webhook_id', [
+  auth,
+  webhookRules.url(check('url').optional()),
+  webhookRules.events(check('events').optional()),
+  webhookRules.active(check('active').optional()),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    ['url', 'events', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = req.body[field];
+      }
+    });
+    const deactivated = webhook.changed('active') && !webhook.active;
+    await sequelize.transaction(async (transaction) => {
+      await webhook.save({ transaction });
+      if (deactivated) {
+        await cancelPendingDeliveries(webhook.id, { transaction });
+      }
+    });
+    res.send(webhook);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+app.delete('/webhooks/:webhook_id', auth, async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    await sequelize.transaction(async (transaction) => {
+      await WebhookDelivery.destroy({ where: { webhookId: webhook.id }, transaction });
+      await webhook.destroy({ transaction });
+    });
+    res.send({ mensagem: 'Webhook deletado com sucesso.' });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{webhook_id}/segredo:
+ *   post:
+ *     summary: Gera um novo segredo de assinatura para o webhook
+ *     description: O segredo anterior deixa de valer imediatamente, inclusive para as entregas ainda na fila.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Novo segredo
+ *       404:
+ *         description: Webhook não encontrado.
+ */
+
+app.post('/webhooks/:webhook_id/segredo', auth, async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    webhook.secret = Webhook.generateSecret();
+    await webhook.save();
+    res.send({ secret: webhook.secret });
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{webhook_id}/testar:
+ *   post:
+ *     summary: Envia na hora um evento ping para o webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Entrega criada, com o resultado da primeira tentativa
+ *       404:
+ *         description: Webhook não encontrado.
+ */
+
+app.post('/webhooks/:webhook_id/testar', auth, async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    res.status(201).send(await sendPing(webhook));
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{webhook_id}/entregas:
+ *   get:
+ *     summary: Lista o log de entregas do webhook, das mais recentes para as mais antigas
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Entregas com evento, payload, tentativas, próxima tentativa e a última resposta do receptor
+ *       404:
+ *         description: Webhook não encontrado.
+ */
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+
+app.get('/webhooks/:webhook_id/entregas', [
+  auth,
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage({ code: 'WEBHOOK_DELIVERY_STATUS_INVALID', params: { statuses: DELIVERY_STATUSES.join(', ') } }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage({ code: 'LIMIT_RANGE', params: { max: 100 } }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('OFFSET_INVALID').toInt(),
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(validationFailed(errors.array()));
+  }
+  const { status, limit = 20, offset = 0 } = req.query;
+
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where: { webhookId: webhook.id, ...(status && { status }) },
+      order: [['id', 'DESC']],
+      limit,
+      offset,
+    });
+    setPaginationHeaders(req, res, { total: count });
+    res.send(rows);
+  } catch (erro) {
+    next(erro);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{webhook_id}/entregas/{entrega_id}/reenviar:
+ *   post:
+ *     summary: Reenvia uma entrega do log
+ *     description: Cria uma entrega nova com o mesmo evento e payload (mesmo id de evento) e a envia na hora. Se falhar, segue na fila de novas tentativas.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhook_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entrega_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Nova entrega, com o resultado da primeira tentativa
+ *       404:
+ *         description: Webhook ou entrega não encontrados.
+ */
+
+app.post('/webhooks/:webhook_id/entregas/:entrega_id/reenviar', auth, async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook) {
+      return next(new ApiError(404, 'WEBHOOK_NOT_FOUND'));
+    }
+    const delivery = await WebhookDelivery.findOne({ where: { id: req.params.entrega_id, webhookId: webhook.id } });
+    if (!delivery) {
+      return next(new ApiError(404, 'WEBHOOK_DELIVERY_NOT_FOUND'));
+    }
+    res.status(201).send(await redeliver(webhook, delivery));
   } catch (erro) {
-    console.error('Erro ao deletar usuário:', erro);
-    res.status(500).send({ erro: 'Erro ao deletar usuário.' });
+    next(erro);
   }
 });
+
+// Rotas inexistentes e erros de todas as rotas passam pelo mesmo formato de resposta.
+app.use((req, res, next) => next(new ApiError(404, 'ROUTE_NOT_FOUND')));
+app.use(errorHandler);
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A fila de webhooks fica no banco; entregas que estavam pendentes quando o servidor parou são retomadas aqui.
+const WEBHOOK_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 10 * 1000;
+
+// Servidor e tarefas periódicas só sobem com `node index.js`; os testes importam o app sem abrir a porta.
+if (require.main === module) {
+  app.listen(port, async () => {
+    console.log(`Servidor rodando em http://localhost:${port}`);
+    try {
+      await sequelize.authenticate();
+      console.log('Conectado ao banco de dados!');
+    } catch (erro) {
+      console.error('Não foi possível conectar ao banco de dados:', erro);
+    }
+  });
+
+  setInterval(() => {
+    purgeExpiredTrash().catch(erro => console.error('Erro ao expurgar lixeira:', erro));
+  }, TRASH_PURGE_INTERVAL_MS).unref();
+
+  setInterval(() => {
+    processDueDeliveries().catch(erro => console.error('Erro ao processar entregas de webhooks:', erro));
+  }, WEBHOOK_POLL_INTERVAL_MS).unref();
+}
+
+module.exports = app;
@@ -0,0 +1,161 @@
+'use strict';
+
+module.exports = {
+  // General
+  INTERNAL_ERROR: 'Internal server error.',
+  ROUTE_NOT_FOUND: 'Route not found.',
+  INVALID_JSON: 'The request body is not valid JSON.',
+  PAYLOAD_TOO_LARGE: 'The request body is too large.',
+  TOO_MANY_REQUESTS: 'Too many requests. Please try again later.',
+  VALIDATION_FAILED: 'Invalid data.',
+  EDIT_CONFLICT: 'The record was changed by someone else. Fetch the current version and try again.',
+
+  // Authentication and permissions
+  TOKEN_MISSING: 'Access denied. No token provided.',
+  TOKEN_INVALID: 'Invalid token.',
+  TOKEN_EXPIRED: 'Token expired. Refresh your session.',
+  TOKEN_USER_GONE: 'The user of this token no longer exists.',
+  SESSION_ENDED: 'Session ended. Please log in again.',
+  ACCOUNT_SUSPENDED: 'Account suspended.',
+  EMAIL_NOT_VERIFIED: 'Confirm your email before logging in.',
+  FORBIDDEN: 'Access denied. Insufficient permission.',
+  LOCATION_FORBIDDEN: 'Access denied. Insufficient permission for this location.',
+  ACCOUNT_DELETE_FORBIDDEN: 'Access denied. You can only delete your own account.',
+  SHARE_REMOVE_FORBIDDEN: 'Access denied. Only the owner can remove other users\' access.',
+  EVENT_FORBIDDEN: 'Access denied. Only the organizer can change or cancel the event.',
+  REFRESH_TOKEN_INVALID: 'Invalid refresh token.',
+  REFRESH_TOKEN_REUSED: 'Refresh token already used. The session was ended.',
+  REFRESH_TOKEN_EXPIRED: 'Refresh token expired.',
+  USER_TOKEN_INVALID: 'Invalid or expired token.',
+
+  // Users
+  USER_NOT_FOUND: 'User not found.',
+  USER_ALREADY_EXISTS: 'A user with the same CPF or email is already registered.',
+  WRONG_PASSWORD: 'Incorrect password.',
+  CURRENT_PASSWORD_INCORRECT: 'Current password is incorrect.',
+  USER_HAS_LOCATIONS: 'The user cannot be deleted because they have locations.',
+  CANNOT_SUSPEND_SELF: 'You cannot suspend your own account.',
+  USER_ALREADY_ANONYMIZED: 'User already anonymized.',
+  TRANSFER_TO_ANONYMIZED_USER: 'Locations cannot be transferred to the user being anonymized.',
+  TRANSFER_TARGET_NOT_FOUND: 'The user receiving the locations was not found.',
+
+  // Locations
+  LOCATION_NOT_FOUND: 'Location not found.',
+  ADDRESS_NOT_FOUND: 'Address not found on OpenStreetMap.',
+  MERGE_PATCH_NOT_OBJECT: 'The PATCH body must be a JSON Merge Patch object.',
+  VERSION_NOT_FOUND: 'Version not found in the location history.',
+  CURSOR_INVALID: 'Invalid cursor.',
+  SHARE_WITH_OWNER: 'The location owner already has full access.',
+  TRANSFER_TO_OWNER: 'The user already owns the location.',
+  TRANSFER_NOT_ALLOWED: 'The location cannot be transferred to this user.',
+  LOCATION_NOT_SHARED_WITH_USER: 'The location is not shared with this user.',
+
+  // Trash
+  LOCATION_NOT_IN_TRASH: 'Location not found in the trash.',
+  USER_NOT_IN_TRASH: 'User not found in the trash.',
+  LOCATION_OWNER_IN_TRASH: 'The location owner is in the trash. Restore the user before the location.',
+
+  // Import
+  IMPORT_NO_FILE: 'No file uploaded.',
+  IMPORT_SINGLE_FILE: 'Upload a single file in the "arquivo" field.',
+  IMPORT_FILE_TOO_LARGE: 'The import file is larger than allowed.',
+  IMPORT_FORMAT_UNKNOWN: 'Unrecognized format. Provide formato ({formats}).',
+  IMPORT_FILE_INVALID: 'Invalid {format} file.',
+  IMPORT_EMPTY: 'The file does not contain any location.',
+  IMPORT_TOO_MANY_ITEMS: 'The file must have at most {max} locations.',
+  IMPORT_TOO_MANY_TO_GEOCODE: 'The file has more than {max} addresses without coordinates. Provide latitude and longitude or split the file.',
+  IMPORT_ITEM_NOT_FEATURE: 'Item is not a GeoJSON Feature.',
+  IMPORT_ITEM_NOT_POINT: 'Only Point geometries are supported.',
+  IMPORT_ITEM_INVALID_COORDINATES: 'Invalid Point coordinates.',
+
+  // Photos
+  PHOTO_NOT_FOUND: 'Photo not found.',
+  PHOTO_MISSING: 'No photo uploaded.',
+  PHOTO_SINGLE_FILE: 'Upload a single photo in the "foto" field.',
+  PHOTO_TOO_LARGE: 'The photo must be at most {max} bytes.',
+  PHOTO_UNSUPPORTED_TYPE: 'Unsupported image format. Upload JPEG, PNG or WebP.',
+
+  // Reviews, favorites and collections
+  REVIEW_NOT_FOUND: 'Review not found.',
+  REVIEW_ALREADY_EXISTS: 'You have already reviewed this location. Use PUT to change your review.',
+  LOCATION_NOT_IN_FAVORITES: 'The location is not in your favorites.',
+  COLLECTION_NOT_FOUND: 'Collection not found.',
+  LOCATION_NOT_IN_COLLECTION: 'The location is not in the collection.',
+
+  // Events
+  EVENT_NOT_FOUND: 'Event not found.',
+  EVENT_ALREADY_STARTED: 'You cannot join an event that has already started.',
+  EVENT_LEAVE_ALREADY_STARTED: 'You cannot leave an event that has already started.',
+  EVENT_EDIT_ALREADY_STARTED: 'You cannot change an event that has already started.',
+  CAPACITY_BELOW_CONFIRMED: 'Capacity cannot be lower than the {confirmed} spots already confirmed.',
+  NOT_ATTENDING_EVENT: 'You are not registered for this event.',
+  CALENDAR_NOT_FOUND: 'Calendar not found.',
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: 'Webhook not found.',
+  WEBHOOK_DELIVERY_NOT_FOUND: 'Delivery not found.',
+  WEBHOOK_URL_INVALID: 'URL must be a valid http or https address.',
+  WEBHOOK_URL_PRIVATE: 'URL must not point to localhost, private networks or other internal addresses.',
+  WEBHOOK_URL_UNRESOLVABLE: 'The URL host could not be resolved.',
+  WEBHOOK_EVENTS_INVALID: 'Provide at least one of these events: {events}.',
+  WEBHOOK_DELIVERY_STATUS_INVALID: 'Status must be one of: {statuses}.',
+
+  // Field validation
+  INVALID_VALUE: 'Invalid value.',
+  FIELD_NOT_EDITABLE: 'This field cannot be changed. Allowed fields: {fields}.',
+  NAME_REQUIRED: 'Name is required.',
+  NAME_LENGTH: 'Name must have between 1 and {max} characters.',
+  ADDRESS_REQUIRED: 'Address is required.',
+  DESCRIPTION_REQUIRED: 'Description is required.',
+  DESCRIPTION_TOO_LONG: 'Description must have at most {max} characters.',
+  EMAIL_INVALID: 'Email is invalid.',
+  CPF_INVALID: 'CPF is invalid.',
+  GENDER_INVALID: 'Gender must be either M or F.',
+  BIRTHDATE_INVALID: 'Birthdate is invalid.',
+  PASSWORD_TOO_SHORT: 'Password must be at least 6 characters long.',
+  CURRENT_PASSWORD_REQUIRED: 'Current password is required.',
+  TOKEN_REQUIRED: 'Token is required.',
+  REFRESH_TOKEN_REQUIRED: 'Refresh token is required.',
+  MODE_INVALID: 'Mode must be either remover or anonimizar.',
+  REASON_REQUIRED: 'Reason is required to anonymize an account (up to 255 characters).',
+  TRANSFER_TARGET_INVALID: 'Transfer target must be a user ID.',
+  LATITUDE_RANGE: 'Latitude must be between -90 and 90.',
+  LONGITUDE_RANGE: 'Longitude must be between -180 and 180.',
+  COORDINATES_PAIR: 'Latitude and longitude must be provided together.',
+  RADIUS_RANGE: 'Radius must be greater than 0 and at most 100 km.',
+  LIMIT_RANGE: 'Limit must be between 1 and {max}.',
+  OFFSET_INVALID: 'Offset must be a non-negative integer.',
+  CURSOR_WITH_OFFSET: 'Use either offset or cursor, not both.',
+  SORT_INVALID: 'Sort must be one of: {fields} (prefix with - for descending order).',
+  DISTANCE_SORT_REQUIRES_POINT: 'Sorting by distance requires lat and lng.',
+  FIELDS_INVALID: 'Fields must be a comma-separated list of: {fields}.',
+  DATE_INVALID: 'Provide an ISO 8601 date.',
+  BOOLEAN_INVALID: 'Provide true or false.',
+  SEARCH_TEXT_LENGTH: 'Search text must have between 2 and 200 characters.',
+  FORMAT_INVALID: 'Format must be one of: {formats}.',
+  PERMISSION_INVALID: 'Permission must be either viewer or editor.',
+  RATING_RANGE: 'Rating must be an integer between 1 and 5.',
+  COMMENT_TOO_LONG: 'Comment must have at most 2000 characters.',
+  LOCATION_ID_INVALID: 'locationId must be a location ID.',
+  ACTIVITY_TYPE_INVALID: 'Activity type must be one of: {types}.',
+  DURATION_RANGE: 'Duration must be between 1 and 1440 minutes.',
+  DATE_IN_FUTURE: 'The date cannot be in the future.',
+  NOTES_TOO_LONG: 'Notes must have at most 1000 characters.',
+  TITLE_REQUIRED: 'Title is required (up to 255 characters).',
+  DATE_NOT_IN_FUTURE: 'The date must be in the future.',
+  ENDS_BEFORE_STARTS: 'endsAt must be after startsAt.',
+  CAPACITY_RANGE: 'Capacity must be between 1 and 1000.',
+
+  // Opening hours
+  OPENING_HOURS_NOT_OBJECT: 'Opening hours must be an object with weekly and exceptions lists.',
+  OPENING_HOURS_NOT_LISTS: 'weekly and exceptions must be lists.',
+  OPENING_HOURS_WEEKDAY_INVALID: 'weekly[{index}]: weekday must be an integer from 0 (Sunday) to 6 (Saturday).',
+  OPENING_HOURS_TIME_INVALID: 'weekly[{index}]: opensAt and closesAt must use the HH:MM format.',
+  OPENING_HOURS_SAME_TIME: 'weekly[{index}]: opensAt and closesAt cannot be equal.',
+  OPENING_HOURS_WEEKLY_OVERLAP: 'weekly[{first}] and weekly[{second}] overlap.',
+  OPENING_HOURS_EXCEPTION_DATE_INVALID: 'exceptions[{index}]: date must use the YYYY-MM-DD format.',
+  OPENING_HOURS_EXCEPTION_TIME_INVALID: 'exceptions[{index}]: opensAt and closesAt must use the HH:MM format, or both be null for a closed day.',
+  OPENING_HOURS_EXCEPTION_ORDER: 'exceptions[{index}]: in exceptions, closesAt must be after opensAt.',
+  OPENING_HOURS_CLOSED_DAY_CONFLICT: 'exceptions on {date}: a closed day cannot have other intervals.',
+  OPENING_HOURS_EXCEPTION_OVERLAP: 'exceptions[{first}] and exceptions[{second}] overlap.',
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+// Mensagens de erro por código. Parâmetros entre chaves são preenchidos por utils/i18n.
+module.exports = {
+  // Gerais
+  INTERNAL_ERROR: 'Erro interno do servidor.',
+  ROUTE_NOT_FOUND: 'Rota não encontrada.',
+  INVALID_JSON: 'O corpo da requisição não é um JSON válido.',
+  PAYLOAD_TOO_LARGE: 'O corpo da requisição é grande demais.',
+  TOO_MANY_REQUESTS: 'Muitas requisições. Tente novamente mais tarde.',
+  VALIDATION_FAILED: 'Dados inválidos.',
+  EDIT_CONFLICT: 'O registro foi alterado por outra pessoa. Obtenha a versão atual e tente novamente.',
+
+  // Autenticação e permissões
+  TOKEN_MISSING: 'Acesso negado. Nenhum token fornecido.',
+  TOKEN_INVALID: 'Token inválido.',
+  TOKEN_EXPIRED: 'Token expirado. Renove a sessão.',
+  TOKEN_USER_GONE: 'Usuário do token não existe mais.',
+  SESSION_ENDED: 'Sessão encerrada. Faça login novamente.',
+  ACCOUNT_SUSPENDED: 'Conta suspensa.',
+  EMAIL_NOT_VERIFIED: 'Confirme seu email antes de realizar o login.',
+  FORBIDDEN: 'Acesso negado. Permissão insuficiente.',
+  LOCATION_FORBIDDEN: 'Acesso negado. Permissão insuficiente para este local.',
+  ACCOUNT_DELETE_FORBIDDEN: 'Acesso negado. Você só pode deletar a própria conta.',
+  SHARE_REMOVE_FORBIDDEN: 'Acesso negado. Apenas o dono pode remover o acesso de outros usuários.',
+  EVENT_FORBIDDEN: 'Acesso negado. Apenas o organizador pode alterar ou cancelar o evento.',
+  REFRESH_TOKEN_INVALID: 'Refresh token inválido.',
+  REFRESH_TOKEN_REUSED: 'Refresh token já utilizado. A sessão foi encerrada.',
+  REFRESH_TOKEN_EXPIRED: 'Refresh token expirado.',
+  USER_TOKEN_INVALID: 'Token inválido ou expirado.',
+
+  // Usuários
+  USER_NOT_FOUND: 'Usuário não encontrado.',
+  USER_ALREADY_EXISTS: 'Usuário com o mesmo CPF ou email já cadastrado.',
+  WRONG_PASSWORD: 'Senha incorreta.',
+  CURRENT_PASSWORD_INCORRECT: 'Senha atual incorreta.',
+  USER_HAS_LOCATIONS: 'Usuário não pode ser deletado, pois possui locais associados.',
+  CANNOT_SUSPEND_SELF: 'Você não pode suspender a própria conta.',
+  USER_ALREADY_ANONYMIZED: 'Usuário já anonimizado.',
+  TRANSFER_TO_ANONYMIZED_USER: 'Os locais não podem ser transferidos para o próprio usuário anonimizado.',
+  TRANSFER_TARGET_NOT_FOUND: 'Usuário de destino dos locais não encontrado.',
+
+  // Locais
+  LOCATION_NOT_FOUND: 'Local não encontrado.',
+  ADDRESS_NOT_FOUND: 'Endereço não encontrado no OpenStreetMap.',
+  MERGE_PATCH_NOT_OBJECT: 'O corpo do PATCH deve ser um objeto JSON Merge Patch.',
+  VERSION_NOT_FOUND: 'Versão não encontrada no histórico do local.',
+  CURSOR_INVALID: 'Cursor inválido.',
+  SHARE_WITH_OWNER: 'O dono do local já tem acesso total.',
+  TRANSFER_TO_OWNER: 'O usuário já é o dono do local.',
+  TRANSFER_NOT_ALLOWED: 'O local não pode ser transferido para este usuário.',
+  LOCATION_NOT_SHARED_WITH_USER: 'O local não está compartilhado com este usuário.',
+
+  // Lixeira
+  LOCATION_NOT_IN_TRASH: 'Local não encontrado na lixeira.',
+  USER_NOT_IN_TRASH: 'Usuário não encontrado na lixeira.',
+  LOCATION_OWNER_IN_TRASH: 'O dono do local está na lixeira. Restaure o usuário antes do local.',
+
+  // Importação
+  IMPORT_NO_FILE: 'Nenhum arquivo enviado.',
+  IMPORT_SINGLE_FILE: 'Envie um único arquivo no campo "arquivo".',
+  IMPORT_FILE_TOO_LARGE: 'Arquivo de importação maior que o permitido.',
+  IMPORT_FORMAT_UNKNOWN: 'Formato não reconhecido. Informe formato ({formats}).',
+  IMPORT_FILE_INVALID: 'Arquivo {format} inválido.',
+  IMPORT_EMPTY: 'O arquivo não contém nenhum local.',
+  IMPORT_TOO_MANY_ITEMS: 'O arquivo deve ter no máximo {max} locais.',
+  IMPORT_TOO_MANY_TO_GEOCODE: 'O arquivo tem mais de {max} endereços sem coordenadas. Informe latitude e longitude ou divida o arquivo.',
+  IMPORT_ITEM_NOT_FEATURE: 'Item não é uma Feature GeoJSON.',
+  IMPORT_ITEM_NOT_POINT: 'Apenas geometrias do tipo Point são suportadas.',
+  IMPORT_ITEM_INVALID_COORDINATES: 'Coordenadas do Point inválidas.',
+
+  // Fotos
+  PHOTO_NOT_FOUND: 'Foto não encontrada.',
+  PHOTO_MISSING: 'Nenhuma foto enviada.',
+  PHOTO_SINGLE_FILE: 'Envie uma única foto no campo "foto".',
+  PHOTO_TOO_LARGE: 'A foto deve ter no máximo {max} bytes.',
+  PHOTO_UNSUPPORTED_TYPE: 'Formato de imagem não suportado. Envie JPEG, PNG ou WebP.',
+
+  // Avaliações, favoritos e coleções
+  REVIEW_NOT_FOUND: 'Avaliação não encontrada.',
+  REVIEW_ALREADY_EXISTS: 'Você já avaliou este local. Use PUT para alterar sua avaliação.',
+  LOCATION_NOT_IN_FAVORITES: 'O local não está nos favoritos.',
+  COLLECTION_NOT_FOUND: 'Coleção não encontrada.',
+  LOCATION_NOT_IN_COLLECTION: 'O local não está na coleção.',
+
+  // Eventos
+  EVENT_NOT_FOUND: 'Evento não encontrado.',
+  EVENT_ALREADY_STARTED: 'Não é possível participar de um evento que já começou.',
+  EVENT_LEAVE_ALREADY_STARTED: 'Não é possível cancelar a participação em um evento que já começou.',
+  EVENT_EDIT_ALREADY_STARTED: 'Não é possível alterar um evento que já começou.',
+  CAPACITY_BELOW_CONFIRMED: 'A capacidade não pode ficar abaixo das {confirmed} vagas já confirmadas.',
+  NOT_ATTENDING_EVENT: 'Você não está inscrito neste evento.',
+  CALENDAR_NOT_FOUND: 'Calendário não encontrado.',
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: 'Webhook não encontrado.',
+  WEBHOOK_DELIVERY_NOT_FOUND: 'Entrega não encontrada.',
+  WEBHOOK_URL_INVALID: 'A URL deve ser um endereço http ou https válido.',
+  WEBHOOK_URL_PRIVATE: 'A URL não pode apontar para localhost, redes privadas ou outros endereços internos.',
+  WEBHOOK_URL_UNRESOLVABLE: 'Não foi possível resolver o host da URL.',
+  WEBHOOK_EVENTS_INVALID: 'Informe ao menos um evento entre: {events}.',
+  WEBHOOK_DELIVERY_STATUS_INVALID: 'O status deve ser um destes: {statuses}.',
+
+  // Validação de campos
+  INVALID_VALUE: 'Valor inválido.',
+  FIELD_NOT_EDITABLE: 'Este campo não pode ser alterado. Campos permitidos: {fields}.',
+  NAME_REQUIRED: 'O nome é obrigatório.',
+  NAME_LENGTH: 'O nome deve ter entre 1 e {max} caracteres.',
+  ADDRESS_REQUIRED: 'O endereço é obrigatório.',
+  DESCRIPTION_REQUIRED: 'A descrição é obrigatória.',
+  DESCRIPTION_TOO_LONG: 'A descrição deve ter no máximo {max} caracteres.',
+  EMAIL_INVALID: 'Email inválido.',
+  CPF_INVALID: 'CPF inválido.',
+  GENDER_INVALID: 'O gênero deve ser M ou F.',
+  BIRTHDATE_INVALID: 'Data de nascimento inválida.',
+  PASSWORD_TOO_SHORT: 'A senha deve ter pelo menos 6 caracteres.',
+  CURRENT_PASSWORD_REQUIRED: 'A senha atual é obrigatória.',
+  TOKEN_REQUIRED: 'O token é obrigatório.',
+  REFRESH_TOKEN_REQUIRED: 'O refresh token é obrigatório.',
+  MODE_INVALID: 'O modo deve ser remover ou anonimizar.',
+  REASON_REQUIRED: 'O motivo é obrigatório para anonimizar uma conta (até 255 caracteres).',
+  TRANSFER_TARGET_INVALID: 'O destino da transferência deve ser o ID de um usuário.',
+  LATITUDE_RANGE: 'A latitude deve estar entre -90 e 90.',
+  LONGITUDE_RANGE: 'A longitude deve estar entre -180 e 180.',
+  COORDINATES_PAIR: 'Latitude e longitude devem ser informadas juntas.',
+  RADIUS_RANGE: 'O raio deve ser maior que 0 e de no máximo 100 km.',
+  LIMIT_RANGE: 'O limite deve estar entre 1 e {max}.',
+  OFFSET_INVALID: 'O offset deve ser um inteiro não negativo.',
+  CURSOR_WITH_OFFSET: 'Use offset ou cursor, não os dois.',
+  SORT_INVALID: 'A ordenação deve ser uma destas: {fields} (use o prefixo - para ordem decrescente).',
+  DISTANCE_SORT_REQUIRES_POINT: 'A ordenação por distância exige lat e lng.',
+  FIELDS_INVALID: 'Os campos devem ser uma lista separada por vírgulas destes: {fields}.',
+  DATE_INVALID: 'Informe uma data no formato ISO 8601.',
+  BOOLEAN_INVALID: 'Informe true ou false.',
+  SEARCH_TEXT_LENGTH: 'O texto da busca deve ter entre 2 e 200 caracteres.',
+  FORMAT_INVALID: 'O formato deve ser um destes: {formats}.',
+  PERMISSION_INVALID: 'A permissão deve ser viewer ou editor.',
+  RATING_RANGE: 'A nota deve ser um inteiro de 1 a 5.',
+  COMMENT_TOO_LONG: 'O comentário deve ter no máximo 2000 caracteres.',
+  LOCATION_ID_INVALID: 'locationId deve ser o ID de um local.',
+  ACTIVITY_TYPE_INVALID: 'O tipo de atividade deve ser um destes: {types}.',
+  DURATION_RANGE: 'A duração deve estar entre 1 e 1440 minutos.',
+  DATE_IN_FUTURE: 'A data não pode estar no futuro.',
+  NOTES_TOO_LONG: 'As anotações devem ter no máximo 1000 caracteres.',
+  TITLE_REQUIRED: 'O título é obrigatório (até 255 caracteres).',
+  DATE_NOT_IN_FUTURE: 'A data deve estar no futuro.',
+  ENDS_BEFORE_STARTS: 'endsAt deve ser depois de startsAt.',
+  CAPACITY_RANGE: 'A capacidade deve estar entre 1 e 1000.',
+
+  // Horários de funcionamento
+  OPENING_HOURS_NOT_OBJECT: 'O horário de funcionamento deve ser um objeto com as listas weekly e exceptions.',
+  OPENING_HOURS_NOT_LISTS: 'weekly e exceptions devem ser listas.',
+  OPENING_HOURS_WEEKDAY_INVALID: 'weekly[{index}]: weekday deve ser um inteiro de 0 (domingo) a 6 (sábado).',
+  OPENING_HOURS_TIME_INVALID: 'weekly[{index}]: opensAt e closesAt devem estar no formato HH:MM.',
+  OPENING_HOURS_SAME_TIME: 'weekly[{index}]: opensAt e closesAt não podem ser iguais.',
+  OPENING_HOURS_WEEKLY_OVERLAP: 'weekly[{first}] e weekly[{second}] se sobrepõem.',
+  OPENING_HOURS_EXCEPTION_DATE_INVALID: 'exceptions[{index}]: date deve estar no formato AAAA-MM-DD.',
+  OPENING_HOURS_EXCEPTION_TIME_INVALID: 'exceptions[{index}]: opensAt e closesAt devem estar no formato HH:MM, ou ambos nulos para dia fechado.',
+  OPENING_HOURS_EXCEPTION_ORDER: 'exceptions[{index}]: em exceções, closesAt deve ser depois de opensAt.',
+  OPENING_HOURS_CLOSED_DAY_CONFLICT: 'exceptions em {date}: um dia fechado não pode ter outros intervalos.',
+  OPENING_HOURS_EXCEPTION_OVERLAP: 'exceptions[{first}] e exceptions[{second}] se sobrepõem.',
+};
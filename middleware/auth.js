@@ -1,19 +1,38 @@
 const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { isSessionActive } = require('../services/tokens');
+const { runWithActor } = require('../services/requestContext');
+const { ApiError } = require('../utils/apiError');
 
-module.exports = (req, res, next) => {
-  const token = req.header('Authorization').replace('Bearer ', '');
+module.exports = async (req, res, next) => {
+  const token = (req.header('Authorization') || '').replace('Bearer ', '');
   
   if (!token) {
-    return res.status(401).send({ erro: 'Acesso negado. Nenhum token fornecido.' });
+    return next(new ApiError(401, 'TOKEN_MISSING'));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (ex) {
-    res.status(400).send({ erro: 'Token inválido.' });
+    return next(new ApiError(401, ex instanceof jwt.TokenExpiredError ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'));
   }
-};
-
 
+  try {
+    const user = await User.findByPk(decoded.id, { attributes: ['id', 'role', 'suspendedAt'] });
+    if (!user) {
+      return next(new ApiError(401, 'TOKEN_USER_GONE'));
+    }
+    if (user.suspendedAt) {
+      return next(new ApiError(403, 'ACCOUNT_SUSPENDED'));
+    }
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return next(new ApiError(401, 'SESSION_ENDED'));
+    }
+    req.user = { ...decoded, role: user.role };
+    // O restante da requisição roda com o usuário como autor das alterações registradas no histórico.
+    runWithActor(user.id, next);
+  } catch (erro) {
+    next(erro);
+  }
+};
@@ -0,0 +1,8 @@
+const { ApiError } = require('../utils/apiError');
+
+module.exports = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ApiError(403, 'FORBIDDEN'));
+  }
+  next();
+};
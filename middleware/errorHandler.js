@@ -0,0 +1,48 @@
+const { OptimisticLockError, ValidationError } = require('sequelize');
+const { ApiError } = require('../utils/apiError');
+const { languageFor, translate, describeDetail } = require('../utils/i18n');
+
+// Erros de bibliotecas que têm um significado para o cliente.
+const knownError = (erro) => {
+  if (erro instanceof ApiError) {
+    return erro;
+  }
+  if (erro instanceof OptimisticLockError) {
+    return new ApiError(412, 'EDIT_CONFLICT');
+  }
+  if (erro instanceof ValidationError) {
+    return new ApiError(400, 'VALIDATION_FAILED', {
+      details: erro.errors.map(item => ({ field: item.path, code: 'INVALID_VALUE' })),
+    });
+  }
+  if (erro.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON');
+  }
+  if (erro.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE');
+  }
+  return null;
+};
+
+// Tratamento central: todo erro vira { erro: { code, message, details } }, com a mensagem no idioma
+// do Accept-Language. Erros inesperados são registrados no log e respondidos como 500.
+module.exports = (erro, req, res, next) => {
+  if (res.headersSent) {
+    return next(erro);
+  }
+  let apiError = knownError(erro);
+  if (!apiError) {
+    console.error(`Erro em ${req.method} ${req.originalUrl}:`, erro);
+    apiError = new ApiError(500, 'INTERNAL_ERROR');
+  }
+
+  const language = languageFor(req);
+  const { status, code, params, details } = apiError;
+  res.status(status).set('Content-Language', language).send({
+    erro: {
+      code,
+      message: translate(language, code, params),
+      ...(details && { details: details.map(detail => describeDetail(language, detail)) }),
+    },
+  });
+};
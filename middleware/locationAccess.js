@@ -0,0 +1,23 @@
+const { Location } = require('../models');
+const { hasPermission, permissionFor } = require('../services/locationAccess');
+const { ApiError } = require('../utils/apiError');
+
+// Carrega o local de req.params.local_id em req.location se o usuário tiver ao menos o nível pedido.
+// Quem não tem acesso nenhum recebe 404, para não revelar que o local existe.
+module.exports = (required) => async (req, res, next) => {
+  try {
+    const location = await Location.findByPk(req.params.local_id);
+    const permission = location && await permissionFor(req.user, location);
+    if (!permission) {
+      return next(new ApiError(404, 'LOCATION_NOT_FOUND'));
+    }
+    if (!hasPermission(permission, required)) {
+      return next(new ApiError(403, 'LOCATION_FORBIDDEN'));
+    }
+    req.location = location;
+    req.locationPermission = permission;
+    next();
+  } catch (erro) {
+    next(erro);
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const parseCoordinates = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => !/^-?\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+  const [latitude, longitude] = parts.map(Number);
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Locations', 'latitude', {
+        type: Sequelize.DOUBLE
+      }, { transaction });
+      await queryInterface.addColumn('Locations', 'longitude', {
+        type: Sequelize.DOUBLE
+      }, { transaction });
+
+      const [locations] = await queryInterface.sequelize.query(
+        'SELECT "id", "coordinates" FROM "Locations" WHERE "coordinates" IS NOT NULL',
+        { transaction }
+      );
+      for (const location of locations) {
+        const parsed = parseCoordinates(location.coordinates);
+        if (!parsed) {
+          console.warn(`Coordenadas inválidas ignoradas no local ${location.id}: ${location.coordinates}`);
+          continue;
+        }
+        await queryInterface.bulkUpdate('Locations', parsed, { id: location.id }, { transaction });
+      }
+
+      await queryInterface.removeColumn('Locations', 'coordinates', { transaction });
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Locations', 'coordinates', {
+        type: Sequelize.STRING
+      }, { transaction });
+
+      const [locations] = await queryInterface.sequelize.query(
+        'SELECT "id", "latitude", "longitude" FROM "Locations" WHERE "latitude" IS NOT NULL AND "longitude" IS NOT NULL',
+        { transaction }
+      );
+      for (const location of locations) {
+        await queryInterface.bulkUpdate('Locations', {
+          coordinates: `${location.latitude},${location.longitude}`
+        }, { id: location.id }, { transaction });
+      }
+
+      await queryInterface.removeColumn('Locations', 'latitude', { transaction });
+      await queryInterface.removeColumn('Locations', 'longitude', { transaction });
+    });
+  }
+};
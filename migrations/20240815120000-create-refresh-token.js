@@ -0,0 +1,51 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('RefreshTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      sessionId: {
+        allowNull: false,
+        type: Sequelize.UUID
+      },
+      tokenHash: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      revokedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('RefreshTokens', ['sessionId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('RefreshTokens');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', {
+      type: Sequelize.DATE
+    });
+    // Usuários existentes são considerados verificados para não serem bloqueados no login.
+    await queryInterface.bulkUpdate('Users', { emailVerifiedAt: new Date() }, {});
+
+    await queryInterface.createTable('UserTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      tokenHash: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      usedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('UserTokens');
+    await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'role', {
+      allowNull: false,
+      defaultValue: 'user',
+      type: Sequelize.STRING
+    });
+    await queryInterface.addColumn('Users', 'suspendedAt', {
+      type: Sequelize.DATE
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'suspendedAt');
+    await queryInterface.removeColumn('Users', 'role');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const [users] = await queryInterface.sequelize.query(
+        'SELECT "id", "cpf" FROM "Users" WHERE "cpf" IS NOT NULL',
+        { transaction }
+      );
+      for (const user of users) {
+        const cpf = user.cpf.replace(/\D/g, '');
+        if (cpf !== user.cpf) {
+          await queryInterface.bulkUpdate('Users', { cpf }, { id: user.id }, { transaction });
+        }
+      }
+    });
+  },
+  async down() {
+    // A remoção da máscara não é reversível e não afeta o formato esperado pela versão anterior.
+  }
+};
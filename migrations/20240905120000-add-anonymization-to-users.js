@@ -0,0 +1,16 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'anonymizedAt', {
+      type: Sequelize.DATE
+    });
+    await queryInterface.addColumn('Users', 'anonymizationReason', {
+      type: Sequelize.STRING
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'anonymizationReason');
+    await queryInterface.removeColumn('Users', 'anonymizedAt');
+  }
+};
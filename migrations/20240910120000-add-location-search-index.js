@@ -0,0 +1,36 @@
+'use strict';
+
+const SEARCH_DOCUMENT = `setweight(to_tsvector('pt_unaccent', coalesce("name", '')), 'A') || ` +
+  `setweight(to_tsvector('pt_unaccent', coalesce("description", '')), 'B') || ` +
+  `setweight(to_tsvector('pt_unaccent', coalesce("address", '')), 'C')`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    if (queryInterface.sequelize.getDialect() !== 'postgres') {
+      return;
+    }
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    await queryInterface.sequelize.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'pt_unaccent') THEN
+          CREATE TEXT SEARCH CONFIGURATION pt_unaccent (COPY = portuguese);
+          ALTER TEXT SEARCH CONFIGURATION pt_unaccent
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+        END IF;
+      END
+      $$;
+    `);
+    await queryInterface.sequelize.query(
+      `CREATE INDEX IF NOT EXISTS "locations_search_idx" ON "Locations" USING GIN ((${SEARCH_DOCUMENT}))`
+    );
+  },
+  async down(queryInterface) {
+    if (queryInterface.sequelize.getDialect() !== 'postgres') {
+      return;
+    }
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "locations_search_idx"');
+    await queryInterface.sequelize.query('DROP TEXT SEARCH CONFIGURATION IF EXISTS pt_unaccent');
+  }
+};
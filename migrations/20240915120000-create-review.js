@@ -0,0 +1,63 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Reviews', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      rating: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      comment: {
+        type: Sequelize.TEXT
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      locationId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Locations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Reviews', ['userId', 'locationId'], { unique: true });
+    await queryInterface.addColumn('Locations', 'averageRating', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.DOUBLE
+    });
+    await queryInterface.addColumn('Locations', 'reviewCount', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Locations', 'reviewCount');
+    await queryInterface.removeColumn('Locations', 'averageRating');
+    await queryInterface.dropTable('Reviews');
+  }
+};
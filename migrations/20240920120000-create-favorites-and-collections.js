@@ -0,0 +1,77 @@
+'use strict';
+
+const timestamps = (Sequelize) => ({
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+const reference = (Sequelize, model) => ({
+  allowNull: false,
+  type: Sequelize.INTEGER,
+  references: {
+    model,
+    key: 'id'
+  },
+  onDelete: 'CASCADE'
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Favorites', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: reference(Sequelize, 'Users'),
+      locationId: reference(Sequelize, 'Locations'),
+      ...timestamps(Sequelize)
+    });
+    await queryInterface.addIndex('Favorites', ['userId', 'locationId'], { unique: true });
+
+    await queryInterface.createTable('Collections', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: reference(Sequelize, 'Users'),
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      shareToken: {
+        unique: true,
+        type: Sequelize.STRING
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.createTable('CollectionLocations', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      collectionId: reference(Sequelize, 'Collections'),
+      locationId: reference(Sequelize, 'Locations'),
+      ...timestamps(Sequelize)
+    });
+    await queryInterface.addIndex('CollectionLocations', ['collectionId', 'locationId'], { unique: true });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('CollectionLocations');
+    await queryInterface.dropTable('Collections');
+    await queryInterface.dropTable('Favorites');
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const locationReference = (Sequelize) => ({
+  allowNull: false,
+  type: Sequelize.INTEGER,
+  references: {
+    model: 'Locations',
+    key: 'id'
+  },
+  onDelete: 'CASCADE'
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('OpeningHours', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      locationId: locationReference(Sequelize),
+      weekday: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      opensAt: {
+        allowNull: false,
+        type: Sequelize.STRING(5)
+      },
+      closesAt: {
+        allowNull: false,
+        type: Sequelize.STRING(5)
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('OpeningHours', ['locationId', 'weekday']);
+
+    await queryInterface.createTable('OpeningHourExceptions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      locationId: locationReference(Sequelize),
+      date: {
+        allowNull: false,
+        type: Sequelize.DATEONLY
+      },
+      opensAt: {
+        type: Sequelize.STRING(5)
+      },
+      closesAt: {
+        type: Sequelize.STRING(5)
+      },
+      description: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('OpeningHourExceptions', ['locationId', 'date']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('OpeningHourExceptions');
+    await queryInterface.dropTable('OpeningHours');
+  }
+};
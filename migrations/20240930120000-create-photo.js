@@ -0,0 +1,51 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Photos', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      locationId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Locations',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      storageKey: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING
+      },
+      contentType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      size: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      originalName: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Photos', ['locationId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Photos');
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Workouts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      locationId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Locations',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      performedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      activityType: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      durationMinutes: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      notes: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Workouts', ['userId', 'performedAt']);
+    await queryInterface.addIndex('Workouts', ['locationId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('Workouts');
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const timestamps = (Sequelize) => ({
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+const reference = (Sequelize, model) => ({
+  allowNull: false,
+  type: Sequelize.INTEGER,
+  references: {
+    model,
+    key: 'id'
+  },
+  onDelete: 'CASCADE'
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Events', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      locationId: reference(Sequelize, 'Locations'),
+      organizerId: reference(Sequelize, 'Users'),
+      title: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      startsAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      endsAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      capacity: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      ...timestamps(Sequelize)
+    });
+    await queryInterface.addIndex('Events', ['startsAt']);
+    await queryInterface.addIndex('Events', ['locationId', 'startsAt']);
+
+    await queryInterface.createTable('EventAttendees', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      eventId: reference(Sequelize, 'Events'),
+      userId: reference(Sequelize, 'Users'),
+      status: {
+        allowNull: false,
+        defaultValue: 'confirmed',
+        type: Sequelize.STRING
+      },
+      ...timestamps(Sequelize)
+    });
+    await queryInterface.addIndex('EventAttendees', ['eventId', 'userId'], { unique: true });
+
+    await queryInterface.addColumn('Users', 'calendarToken', {
+      unique: true,
+      type: Sequelize.STRING
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'calendarToken');
+    await queryInterface.dropTable('EventAttendees');
+    await queryInterface.dropTable('Events');
+  }
+};
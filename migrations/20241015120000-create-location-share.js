@@ -0,0 +1,44 @@
+'use strict';
+
+const reference = (Sequelize, model) => ({
+  allowNull: false,
+  type: Sequelize.INTEGER,
+  references: {
+    model,
+    key: 'id'
+  },
+  onDelete: 'CASCADE'
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('LocationShares', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      locationId: reference(Sequelize, 'Locations'),
+      userId: reference(Sequelize, 'Users'),
+      permission: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('LocationShares', ['locationId', 'userId'], { unique: true });
+    await queryInterface.addIndex('LocationShares', ['userId']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('LocationShares');
+  }
+};
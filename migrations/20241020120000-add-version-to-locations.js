@@ -0,0 +1,14 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Locations', 'version', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Locations', 'version');
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('LocationRevisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      // Sem chave estrangeira: o histórico de um local excluído é preservado.
+      locationId: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      version: {
+        allowNull: false,
+        type: Sequelize.INTEGER
+      },
+      action: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      changes: {
+        allowNull: false,
+        type: Sequelize.JSON
+      },
+      snapshot: {
+        allowNull: false,
+        type: Sequelize.JSON
+      },
+      revertedFromVersion: {
+        type: Sequelize.INTEGER
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('LocationRevisions', ['locationId', 'version']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('LocationRevisions');
+  }
+};
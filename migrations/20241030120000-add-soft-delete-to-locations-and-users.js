@@ -0,0 +1,18 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of ['Locations', 'Users']) {
+      await queryInterface.addColumn(table, 'deletedAt', {
+        type: Sequelize.DATE
+      });
+      await queryInterface.addIndex(table, ['deletedAt']);
+    }
+  },
+  async down(queryInterface, Sequelize) {
+    for (const table of ['Locations', 'Users']) {
+      await queryInterface.removeIndex(table, ['deletedAt']);
+      await queryInterface.removeColumn(table, 'deletedAt');
+    }
+  }
+};
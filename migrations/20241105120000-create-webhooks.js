@@ -0,0 +1,121 @@
+'use strict';
+
+const reference = (Sequelize, model) => ({
+  allowNull: false,
+  type: Sequelize.INTEGER,
+  references: {
+    model,
+    key: 'id'
+  },
+  onDelete: 'CASCADE'
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Webhooks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: reference(Sequelize, 'Users'),
+      url: {
+        allowNull: false,
+        type: Sequelize.STRING(2048)
+      },
+      secret: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      events: {
+        allowNull: false,
+        type: Sequelize.JSON
+      },
+      active: {
+        allowNull: false,
+        defaultValue: true,
+        type: Sequelize.BOOLEAN
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('Webhooks', ['userId']);
+
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      webhookId: reference(Sequelize, 'Webhooks'),
+      eventId: {
+        allowNull: false,
+        type: Sequelize.UUID
+      },
+      event: {
+        allowNull: false,
+        type: Sequelize.STRING
+      },
+      payload: {
+        allowNull: false,
+        type: Sequelize.JSON
+      },
+      status: {
+        allowNull: false,
+        defaultValue: 'pending',
+        type: Sequelize.STRING
+      },
+      attempts: {
+        allowNull: false,
+        defaultValue: 0,
+        type: Sequelize.INTEGER
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER
+      },
+      responseBody: {
+        type: Sequelize.TEXT
+      },
+      lastError: {
+        type: Sequelize.TEXT
+      },
+      redeliveryOfId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: 'WebhookDeliveries',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+    await queryInterface.addIndex('WebhookDeliveries', ['webhookId', 'createdAt']);
+    await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt']);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('WebhookDeliveries');
+    await queryInterface.dropTable('Webhooks');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+// Título e descrição dos eventos eram gravados com escape HTML e apareciam como &amp; no .ics e no JSON.
+// A aplicação passou a gravar o texto como enviado; aqui os eventos já existentes voltam ao original.
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`',
+};
+
+const unescapeHtml = (value) => (value == null ? value : value.replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]));
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const [events] = await queryInterface.sequelize.query(
+        'SELECT "id", "title", "description" FROM "Events"',
+        { transaction }
+      );
+      for (const event of events) {
+        const title = unescapeHtml(event.title);
+        const description = unescapeHtml(event.description);
+        if (title !== event.title || description !== event.description) {
+          await queryInterface.bulkUpdate('Events', { title, description }, { id: event.id }, { transaction });
+        }
+      }
+    });
+  },
+  async down() {
+    // O texto não volta a ser escapado: a versão anterior só escapava ao gravar e lê o que estiver no banco.
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Collection extends Model {
+    static associate(models) {
+      Collection.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      Collection.belongsToMany(models.Location, {
+        through: models.CollectionLocation,
+        foreignKey: 'collectionId',
+        otherKey: 'locationId',
+        as: 'locations',
+      });
+    }
+  }
+  Collection.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    shareToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'Collection',
+  });
+  return Collection;
+};
@@ -0,0 +1,23 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CollectionLocation extends Model {}
+  CollectionLocation.init({
+    collectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'CollectionLocation',
+    indexes: [
+      { unique: true, fields: ['collectionId', 'locationId'] },
+    ],
+  });
+  return CollectionLocation;
+};
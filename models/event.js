@@ -0,0 +1,55 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Event extends Model {
+    static associate(models) {
+      Event.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Event.belongsTo(models.User, { as: 'organizer', foreignKey: 'organizerId', onDelete: 'CASCADE' });
+      Event.hasMany(models.EventAttendee, { as: 'attendees', foreignKey: 'eventId', onDelete: 'CASCADE' });
+    }
+  }
+  Event.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    organizerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'Event',
+    validate: {
+      endsAfterStart() {
+        if (new Date(this.endsAt) <= new Date(this.startsAt)) {
+          throw new Error('O evento deve terminar depois de começar.');
+        }
+      },
+    },
+  });
+  return Event;
+};
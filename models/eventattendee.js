@@ -0,0 +1,37 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class EventAttendee extends Model {
+    static associate(models) {
+      EventAttendee.belongsTo(models.Event, { foreignKey: 'eventId', onDelete: 'CASCADE' });
+      EventAttendee.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    }
+  }
+  EventAttendee.init({
+    eventId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Quem entra com o evento lotado fica na lista de espera, pela ordem de inscrição.
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'confirmed',
+      validate: {
+        isIn: [['confirmed', 'waitlisted']],
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'EventAttendee',
+    indexes: [
+      { unique: true, fields: ['eventId', 'userId'] },
+    ],
+  });
+  return EventAttendee;
+};
@@ -0,0 +1,28 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Favorite extends Model {
+    static associate(models) {
+      Favorite.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      Favorite.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+    }
+  }
+  Favorite.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'Favorite',
+    indexes: [
+      { unique: true, fields: ['userId', 'locationId'] },
+    ],
+  });
+  return Favorite;
+};
@@ -1,10 +1,55 @@
 'use strict';
 const { Model } = require('sequelize');
+const { geocoder } = require('../services/geocoding');
+
+// Na troca de dono, o dono anterior também é avisado da alteração.
+const ownerIds = (location) => [location.userId, location.previous('userId')];
 
 module.exports = (sequelize, DataTypes) => {
   class Location extends Model {
     static associate(models) {
       Location.belongsTo(models.User, { foreignKey: 'userId' });
+      Location.hasMany(models.Review, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.Favorite, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.OpeningHour, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.OpeningHourException, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.Photo, { as: 'photos', foreignKey: 'locationId', onDelete: 'CASCADE', hooks: true });
+      Location.hasMany(models.Workout, { foreignKey: 'locationId', onDelete: 'SET NULL' });
+      Location.hasMany(models.Event, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.LocationShare, { as: 'shares', foreignKey: 'locationId', onDelete: 'CASCADE' });
+      Location.hasMany(models.LocationRevision, { as: 'revisions', foreignKey: 'locationId', constraints: false });
+      Location.belongsToMany(models.Collection, {
+        through: models.CollectionLocation,
+        foreignKey: 'locationId',
+        otherKey: 'collectionId',
+        onDelete: 'CASCADE',
+      });
+    }
+
+    // Preenche latitude e longitude pelo endereço quando ele mudou e as coordenadas não foram informadas.
+    // Coordenadas enviadas na requisição contam como informadas mesmo sem mudar de valor (coordinatesInformed).
+    // Se o endereço não for encontrado, as coordenadas que o local já tinha são mantidas.
+    // Quem salva dentro de uma transação chama antes de abri-la, para não mantê-la aberta durante a
+    // chamada ao provedor (o Nominatim aceita uma requisição por segundo).
+    async geocodeAddress({ coordinatesInformed = false } = {}) {
+      if (!this.changed('address')) {
+        return;
+      }
+      const informed = coordinatesInformed || (this.isNewRecord
+        ? this.latitude != null
+        : this.changed('latitude') || this.changed('longitude'));
+      if (informed) {
+        return;
+      }
+      try {
+        const result = await geocoder.geocode(this.address);
+        if (result) {
+          this.latitude = result.latitude;
+          this.longitude = result.longitude;
+        }
+      } catch (erro) {
+        console.error('Erro ao geocodificar endereço do local:', erro.message);
+      }
     }
   }
   Location.init({
@@ -20,13 +65,71 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false,
     },
-    coordinates: {
-      type: DataTypes.STRING,
+    latitude: {
+      type: DataTypes.DOUBLE,
+      allowNull: true,
+      validate: {
+        min: -90,
+        max: 90,
+      },
+    },
+    longitude: {
+      type: DataTypes.DOUBLE,
       allowNull: true,
+      validate: {
+        min: -180,
+        max: 180,
+      },
+    },
+    averageRating: {
+      type: DataTypes.DOUBLE,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
     },
   }, {
     sequelize,
     modelName: 'Location',
+    // Incrementada a cada alteração; é a base do ETag e da detecção de edições concorrentes.
+    version: true,
+    // Exclusões vão para a lixeira (deletedAt) e só viram definitivas no expurgo.
+    paranoid: true,
+    hooks: {
+      // Só geocodifica aqui o que é salvo fora de transação; ver geocodeAddress.
+      beforeSave: (location, options) => (options.transaction ? undefined : location.geocodeAddress()),
+      // Histórico de alterações e eventos de webhook, registrados na mesma transação da alteração.
+      afterCreate: async (location, options) => {
+        await sequelize.models.LocationRevision.record('create', location, options);
+        await sequelize.models.Webhook.dispatch('local.criado', location.userId, location.toJSON(), options);
+      },
+      afterUpdate: async (location, options) => {
+        await sequelize.models.LocationRevision.record('update', location, options);
+        await sequelize.models.Webhook.dispatch('local.atualizado', ownerIds(location), location.toJSON(), options);
+      },
+      // No expurgo (force) o histórico é apagado junto com o local.
+      afterDestroy: async (location, options) => {
+        if (options.force) {
+          return;
+        }
+        await sequelize.models.LocationRevision.record('delete', location, options);
+        await sequelize.models.Webhook.dispatch('local.removido', location.userId, location.toJSON(), options);
+      },
+      afterRestore: async (location, options) => {
+        await sequelize.models.LocationRevision.record('restore', location, options);
+        await sequelize.models.Webhook.dispatch('local.restaurado', location.userId, location.toJSON(), options);
+      },
+    },
+    validate: {
+      coordinatesPair() {
+        if ((this.latitude == null) !== (this.longitude == null)) {
+          throw new Error('Latitude e longitude devem ser informadas juntas.');
+        }
+      },
+    },
   });
   return Location;
 };
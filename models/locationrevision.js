@@ -0,0 +1,84 @@
+'use strict';
+const { Model } = require('sequelize');
+const { currentActorId } = require('../services/requestContext');
+
+// Campos do local que entram no histórico e que podem ser restaurados.
+const TRACKED_FIELDS = ['name', 'description', 'address', 'latitude', 'longitude', 'userId'];
+
+module.exports = (sequelize, DataTypes) => {
+  class LocationRevision extends Model {
+    static associate(models) {
+      // Sem chave estrangeira para o local: o histórico continua existindo depois que ele é excluído.
+      LocationRevision.belongsTo(models.Location, { foreignKey: 'locationId', constraints: false });
+      LocationRevision.belongsTo(models.User, { as: 'actor', foreignKey: 'actorId', onDelete: 'SET NULL' });
+    }
+
+    // Chamado pelos hooks de Location. O autor vem de options.actorId ou, em requisições autenticadas, do contexto.
+    static async record(action, location, options = {}) {
+      const previous = (field) => (['create', 'restore'].includes(action) ? null : location.previous(field));
+      const current = (field) => (action === 'delete' ? null : location.get(field));
+      const changes = {};
+      TRACKED_FIELDS
+        .filter(field => action !== 'update' || location.changed(field))
+        .forEach((field) => {
+          changes[field] = { from: previous(field), to: current(field) };
+        });
+      // Alterações só nos horários de funcionamento não mudam nenhum campo acompanhado.
+      if (Object.keys(changes).length === 0) {
+        return;
+      }
+      await LocationRevision.create({
+        locationId: location.id,
+        version: location.version,
+        action,
+        actorId: options.actorId !== undefined ? options.actorId : currentActorId(),
+        changes,
+        snapshot: Object.fromEntries(TRACKED_FIELDS.map(field => [field, location.get(field)])),
+        revertedFromVersion: options.revertedFromVersion ?? null,
+      }, { transaction: options.transaction });
+    }
+  }
+  LocationRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+  LocationRevision.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Versão do local depois da alteração (na exclusão, a última versão).
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [['create', 'update', 'delete', 'restore']],
+      },
+    },
+    actorId: {
+      type: DataTypes.INTEGER,
+    },
+    // { campo: { from, to } } apenas com os campos alterados.
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    // Estado completo dos campos acompanhados nesta versão, usado para reverter.
+    snapshot: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    revertedFromVersion: {
+      type: DataTypes.INTEGER,
+    },
+  }, {
+    sequelize,
+    modelName: 'LocationRevision',
+    updatedAt: false,
+    indexes: [
+      { fields: ['locationId', 'version'] },
+    ],
+  });
+  return LocationRevision;
+};
@@ -0,0 +1,36 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class LocationShare extends Model {
+    static associate(models) {
+      LocationShare.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+      LocationShare.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    }
+  }
+  LocationShare.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // viewer só consulta o local; editor também pode alterá-lo.
+    permission: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [['viewer', 'editor']],
+      },
+    },
+  }, {
+    sequelize,
+    modelName: 'LocationShare',
+    indexes: [
+      { unique: true, fields: ['locationId', 'userId'] },
+    ],
+  });
+  return LocationShare;
+};
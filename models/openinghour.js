@@ -0,0 +1,36 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OpeningHour extends Model {
+    static associate(models) {
+      OpeningHour.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+    }
+  }
+  OpeningHour.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    weekday: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 6,
+      },
+    },
+    opensAt: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+    },
+    closesAt: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'OpeningHour',
+  });
+  return OpeningHour;
+};
@@ -0,0 +1,36 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OpeningHourException extends Model {
+    static associate(models) {
+      OpeningHourException.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+    }
+  }
+  OpeningHourException.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    opensAt: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    closesAt: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'OpeningHourException',
+  });
+  return OpeningHourException;
+};
@@ -0,0 +1,52 @@
+'use strict';
+const { Model } = require('sequelize');
+const { storage } = require('../services/storage');
+
+module.exports = (sequelize, DataTypes) => {
+  class Photo extends Model {
+    static associate(models) {
+      Photo.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'CASCADE' });
+    }
+
+    // Remove o arquivo do armazenamento só depois que a exclusão do registro for confirmada.
+    static removeStoredFile(photo, { transaction } = {}) {
+      const remove = () => storage.remove(photo.storageKey).catch((erro) => {
+        console.error('Erro ao remover arquivo da foto:', erro);
+      });
+      if (transaction) {
+        transaction.afterCommit(remove);
+        return undefined;
+      }
+      return remove();
+    }
+  }
+  Photo.init({
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    originalName: {
+      type: DataTypes.STRING,
+    },
+  }, {
+    sequelize,
+    modelName: 'Photo',
+    hooks: {
+      afterDestroy: (photo, options) => Photo.removeStoredFile(photo, options),
+    },
+  });
+  return Photo;
+};
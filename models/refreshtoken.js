@@ -0,0 +1,37 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    static associate(models) {
+      RefreshToken.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    }
+  }
+  RefreshToken.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'RefreshToken',
+  });
+  return RefreshToken;
+};
@@ -0,0 +1,64 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Review extends Model {
+    static associate(models) {
+      Review.belongsTo(models.User, { as: 'author', foreignKey: 'userId' });
+      Review.belongsTo(models.Location, { foreignKey: 'locationId' });
+    }
+
+    // Recalcula a média e a quantidade de avaliações guardadas no local.
+    static async refreshLocationRating(locationId, { transaction } = {}) {
+      const [stats] = await Review.findAll({
+        attributes: [
+          [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        ],
+        where: { locationId },
+        raw: true,
+        transaction,
+      });
+      const count = Number(stats.count) || 0;
+      await sequelize.models.Location.update({
+        averageRating: count > 0 ? Number(Number(stats.average).toFixed(2)) : 0,
+        reviewCount: count,
+      }, { where: { id: locationId }, transaction, hooks: false });
+    }
+  }
+  Review.init({
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: true,
+        min: 1,
+        max: 5,
+      },
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    locationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  }, {
+    sequelize,
+    modelName: 'Review',
+    indexes: [
+      { unique: true, fields: ['userId', 'locationId'] },
+    ],
+    hooks: {
+      afterCreate: (review, options) => Review.refreshLocationRating(review.locationId, options),
+      afterUpdate: (review, options) => Review.refreshLocationRating(review.locationId, options),
+      afterDestroy: (review, options) => Review.refreshLocationRating(review.locationId, options),
+    },
+  });
+  return Review;
+};
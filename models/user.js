@@ -1,10 +1,29 @@
 'use strict';
 const { Model } = require('sequelize');
+const { normalizeCpf, isValidCpf, maskCpf } = require('../utils/cpf');
 
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
     static associate(models) {
       User.hasMany(models.Location, { foreignKey: 'userId' });
+      User.hasMany(models.RefreshToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.UserToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.Review, { foreignKey: 'userId', onDelete: 'CASCADE', hooks: true });
+      User.hasMany(models.Favorite, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.Collection, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.Workout, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.Event, { as: 'organizedEvents', foreignKey: 'organizerId', onDelete: 'CASCADE' });
+      User.hasMany(models.EventAttendee, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.LocationShare, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      User.hasMany(models.Webhook, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    }
+
+    toJSON() {
+      const { password, calendarToken, ...values } = super.toJSON();
+      if (values.cpf) {
+        values.cpf = maskCpf(values.cpf);
+      }
+      return values;
     }
   }
   User.init({
@@ -20,6 +39,16 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false,
       unique: true,
+      set(value) {
+        this.setDataValue('cpf', normalizeCpf(value));
+      },
+      validate: {
+        isCpf(value) {
+          if (!this.anonymizedAt && !isValidCpf(value)) {
+            throw new Error('CPF inválido.');
+          }
+        },
+      },
     },
     address: {
       type: DataTypes.STRING,
@@ -41,9 +70,49 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: false,
     },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'user',
+      validate: {
+        isIn: [['user', 'admin']],
+      },
+    },
+    suspendedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    anonymizationReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    calendarToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    },
   }, {
     sequelize,
     modelName: 'User',
+    // Exclusões vão para a lixeira (deletedAt) e só viram definitivas no expurgo.
+    paranoid: true,
+    hooks: {
+      // O expurgo (force) não gera evento: a remoção já foi avisada quando o usuário foi para a lixeira.
+      afterDestroy: (user, options) => (options.force ? undefined : sequelize.models.Webhook.dispatch(
+        'usuario.removido',
+        user.id,
+        { id: user.id, deletedAt: user.deletedAt },
+        options
+      )),
+    },
   });
   return User;
 };
@@ -0,0 +1,40 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserToken extends Model {
+    static associate(models) {
+      UserToken.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    }
+  }
+  UserToken.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [['email_verification', 'password_reset']],
+      },
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'UserToken',
+  });
+  return UserToken;
+};
@@ -0,0 +1,79 @@
+'use strict';
+const crypto = require('crypto');
+const { Model } = require('sequelize');
+
+// Eventos que um webhook pode assinar. ping só é enviado pela rota de teste.
+const WEBHOOK_EVENTS = ['local.criado', 'local.atualizado', 'local.removido', 'local.restaurado', 'usuario.removido'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Webhook extends Model {
+    static associate(models) {
+      Webhook.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      Webhook.hasMany(models.WebhookDelivery, { as: 'deliveries', foreignKey: 'webhookId', onDelete: 'CASCADE' });
+    }
+
+    static generateSecret() {
+      return crypto.randomBytes(32).toString('hex');
+    }
+
+    // Enfileira uma entrega por webhook ativo que assina o evento, na mesma transação da alteração.
+    // Só recebem os webhooks dos donos do recurso.
+    static async dispatch(event, ownerIds, data, options = {}) {
+      const webhooks = await Webhook.findAll({
+        where: { active: true, userId: [].concat(ownerIds).filter(id => id != null) },
+        transaction: options.transaction,
+      });
+      const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+      if (subscribed.length === 0) {
+        return;
+      }
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+      await sequelize.models.WebhookDelivery.bulkCreate(subscribed.map(webhook => ({
+        webhookId: webhook.id,
+        eventId,
+        event,
+        payload,
+        nextAttemptAt: new Date(),
+      })), { transaction: options.transaction });
+    }
+
+    // O segredo só é mostrado na criação e na troca de segredo.
+    toJSON() {
+      const { secret, ...values } = super.toJSON();
+      return values;
+    }
+  }
+  Webhook.EVENTS = WEBHOOK_EVENTS;
+  Webhook.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+    },
+    // Chave do HMAC que assina cada entrega.
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  }, {
+    sequelize,
+    modelName: 'Webhook',
+    indexes: [
+      { fields: ['userId'] },
+    ],
+  });
+  return Webhook;
+};
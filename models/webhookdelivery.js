@@ -0,0 +1,71 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class WebhookDelivery extends Model {
+    static associate(models) {
+      WebhookDelivery.belongsTo(models.Webhook, { as: 'webhook', foreignKey: 'webhookId', onDelete: 'CASCADE' });
+      WebhookDelivery.belongsTo(models.WebhookDelivery, { as: 'redeliveryOf', foreignKey: 'redeliveryOfId', onDelete: 'SET NULL' });
+    }
+  }
+  WebhookDelivery.init({
+    webhookId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // Igual em todas as entregas do mesmo evento, inclusive reenvios, para o receptor descartar duplicatas.
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    // pending aguarda a próxima tentativa; failed esgotou as tentativas; cancelled ficou na fila quando o webhook foi desativado.
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'succeeded', 'failed', 'cancelled']],
+      },
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+    },
+    // Início da resposta do receptor na última tentativa.
+    responseBody: {
+      type: DataTypes.TEXT,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+    },
+    redeliveryOfId: {
+      type: DataTypes.INTEGER,
+    },
+  }, {
+    sequelize,
+    modelName: 'WebhookDelivery',
+    indexes: [
+      { fields: ['webhookId', 'createdAt'] },
+      { fields: ['status', 'nextAttemptAt'] },
+    ],
+  });
+  return WebhookDelivery;
+};
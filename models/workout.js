@@ -0,0 +1,51 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const ACTIVITY_TYPES = ['corrida', 'caminhada', 'musculacao', 'ciclismo', 'natacao', 'funcional', 'yoga', 'luta', 'outro'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Workout extends Model {
+    static associate(models) {
+      Workout.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+      // O histórico de treinos é do usuário: continua existindo se o local for removido.
+      Workout.belongsTo(models.Location, { foreignKey: 'locationId', onDelete: 'SET NULL' });
+    }
+  }
+  Workout.ACTIVITY_TYPES = ACTIVITY_TYPES;
+  Workout.init({
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    locationId: {
+      type: DataTypes.INTEGER,
+    },
+    performedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    activityType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [ACTIVITY_TYPES],
+      },
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: 1440,
+      },
+    },
+    notes: {
+      type: DataTypes.TEXT,
+    },
+  }, {
+    sequelize,
+    modelName: 'Workout',
+  });
+  return Workout;
+};
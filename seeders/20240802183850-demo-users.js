@@ -7,22 +7,24 @@ module.exports = {
       { 
         name: 'User One', 
         gender: 'Male', 
-        cpf: '11111111111', 
+        cpf: '52998224725', 
         address: '123 Street, City, Country', 
         email: 'userone@example.com', 
         password: await bcrypt.hash('password', 8), 
         birthdate: '1990-01-01', 
+        role: 'admin', 
         createdAt: new Date(), 
         updatedAt: new Date() 
       },
       { 
         name: 'User Two', 
         gender: 'Female', 
-        cpf: '22222222222', 
+        cpf: '98765432100', 
         address: '456 Street, City, Country', 
         email: 'usertwo@example.com', 
         password: await bcrypt.hash('password', 8), 
         birthdate: '1985-05-05', 
+        role: 'user', 
         createdAt: new Date(), 
         updatedAt: new Date() 
       },
@@ -0,0 +1,30 @@
+'use strict';
+
+const { mailer } = require('./mailer');
+const { createUserToken } = require('./userTokens');
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user.id, 'email_verification');
+  const link = `${appUrl()}/email/verificar?token=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirme seu email no Exercita365',
+    text: `Olá, ${user.name}!\n\nPara confirmar seu email, acesse: ${link}\n\nSe você não criou uma conta, ignore esta mensagem.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user.id, 'password_reset');
+  await mailer.send({
+    to: user.email,
+    subject: 'Redefinição de senha do Exercita365',
+    text: `Olá, ${user.name}!\n\nUse o código abaixo em POST ${appUrl()}/senha/redefinir para criar uma nova senha:\n\n${token}\n\nSe você não pediu a redefinição, ignore esta mensagem.`,
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Event, EventAttendee, Location, User, sequelize } = require('../models');
+const { mailer } = require('./mailer');
+const { buildCalendar } = require('../utils/ical');
+const { unescapeHtml } = require('../utils/locationFormats');
+const { ApiError } = require('../utils/apiError');
+
+class EventError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+const attendanceCounts = async (eventIds, { transaction } = {}) => {
+  const rows = await EventAttendee.findAll({
+    attributes: ['eventId', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where: { eventId: eventIds },
+    group: ['eventId', 'status'],
+    raw: true,
+    transaction,
+  });
+  return rows.reduce((counts, { eventId, status, count }) => {
+    const current = counts.get(eventId) || { confirmed: 0, waitlisted: 0 };
+    current[status] = Number(count);
+    return counts.set(eventId, current);
+  }, new Map());
+};
+
+// Acrescenta as vagas ocupadas e o tamanho da lista de espera a cada evento.
+const withAttendance = async (events) => {
+  const counts = await attendanceCounts(events.map(event => event.id));
+  return events.map((event) => {
+    const { confirmed, waitlisted } = counts.get(event.id) || { confirmed: 0, waitlisted: 0 };
+    return {
+      ...event.toJSON(),
+      confirmedCount: confirmed,
+      waitlistCount: waitlisted,
+      spotsLeft: Math.max(event.capacity - confirmed, 0),
+    };
+  });
+};
+
+const listUpcomingEvents = async ({ locationId, from, to, limit = 20, offset = 0 }, now = new Date()) => {
+  const where = {
+    startsAt: {
+      [Op.gte]: from && from > now ? from : now,
+      ...(to && { [Op.lte]: to }),
+    },
+  };
+  if (locationId) {
+    where.locationId = locationId;
+  }
+  const { count, rows } = await Event.findAndCountAll({
+    where,
+    include: [{ model: Location, attributes: ['id', 'name', 'address'], required: true }],
+    order: [['startsAt', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset,
+  });
+  return { total: count, rows: await withAttendance(rows) };
+};
+
+// Situação do usuário no evento, com a posição na fila quando estiver na lista de espera.
+const attendanceOf = async (attendee, { transaction } = {}) => {
+  if (attendee.status !== 'waitlisted') {
+    return { status: attendee.status };
+  }
+  const ahead = await EventAttendee.count({
+    where: { eventId: attendee.eventId, status: 'waitlisted', id: { [Op.lt]: attendee.id } },
+    transaction,
+  });
+  return { status: attendee.status, waitlistPosition: ahead + 1 };
+};
+
+// A linha do evento fica bloqueada durante a inscrição para que duas pessoas não ocupem a última vaga.
+const joinEvent = (eventId, userId, now = new Date()) => sequelize.transaction(async (transaction) => {
+  const event = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (new Date(event.startsAt) <= now) {
+    throw new EventError('EVENT_ALREADY_STARTED');
+  }
+
+  const existing = await EventAttendee.findOne({ where: { eventId, userId }, transaction });
+  if (existing) {
+    return { created: false, ...await attendanceOf(existing, { transaction }) };
+  }
+
+  const confirmed = await EventAttendee.count({ where: { eventId, status: 'confirmed' }, transaction });
+  const attendee = await EventAttendee.create({
+    eventId,
+    userId,
+    status: confirmed < event.capacity ? 'confirmed' : 'waitlisted',
+  }, { transaction });
+  return { created: true, ...await attendanceOf(attendee, { transaction }) };
+});
+
+const formatStart = event => new Date(event.startsAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+
+const sendAttendeeEmail = async (userId, subject, body) => {
+  const user = await User.findByPk(userId);
+  await mailer.send({ to: user.email, subject, text: `Olá, ${user.name}!\n\n${body}` });
+};
+
+// Falhas de envio não desfazem a alteração já gravada; ficam só no log.
+const notifyAttendees = (userIds, subject, body) => Promise.all(userIds.map(userId =>
+  sendAttendeeEmail(userId, subject, body).catch((erro) => {
+    console.error('Erro ao enviar email aos inscritos do evento:', erro);
+  })));
+
+const notifyPromoted = (promoted, event) => notifyAttendees(
+  promoted.map(attendee => attendee.userId),
+  `Sua vaga em "${event.title}" foi confirmada`,
+  `Abriu uma vaga no evento "${event.title}", que começa em ${formatStart(event)}, e sua inscrição saiu da lista de espera.\n\nSe não puder comparecer, cancele sua participação para liberar a vaga.`,
+);
+
+// Confirma, pela ordem de inscrição, tantos da lista de espera quantas forem as vagas livres.
+const promoteWaitlisted = async (event, { transaction }) => {
+  const confirmed = await EventAttendee.count({ where: { eventId: event.id, status: 'confirmed' }, transaction });
+  if (confirmed >= event.capacity) {
+    return [];
+  }
+  const promoted = await EventAttendee.findAll({
+    where: { eventId: event.id, status: 'waitlisted' },
+    order: [['id', 'ASC']],
+    limit: event.capacity - confirmed,
+    transaction,
+  });
+  for (const attendee of promoted) {
+    await attendee.update({ status: 'confirmed' }, { transaction });
+  }
+  return promoted;
+};
+
+// Quando um confirmado sai, o primeiro da lista de espera assume a vaga e é avisado por email.
+const leaveEvent = async (eventId, userId, now = new Date()) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const event = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (new Date(event.startsAt) <= now) {
+      throw new EventError('EVENT_LEAVE_ALREADY_STARTED');
+    }
+
+    const attendee = await EventAttendee.findOne({ where: { eventId, userId }, transaction });
+    if (!attendee) {
+      return null;
+    }
+    await attendee.destroy({ transaction });
+    if (attendee.status !== 'confirmed') {
+      return { event, promoted: [] };
+    }
+    return { event, promoted: await promoteWaitlisted(event, { transaction }) };
+  });
+
+  if (result) {
+    await notifyPromoted(result.promoted, result.event);
+  }
+  return result && { promotedUserId: result.promoted.length > 0 ? result.promoted[0].userId : null };
+};
+
+const EDITABLE_FIELDS = ['title', 'description', 'startsAt', 'endsAt', 'capacity'];
+
+// Mais vagas confirmam a lista de espera; uma mudança de horário é avisada a todos os inscritos.
+// A capacidade não pode ficar abaixo das vagas já confirmadas.
+const updateEvent = async (eventId, changes, now = new Date()) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const event = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (new Date(event.startsAt) <= now) {
+      throw new EventError('EVENT_EDIT_ALREADY_STARTED');
+    }
+    const confirmed = await EventAttendee.count({ where: { eventId, status: 'confirmed' }, transaction });
+    if (changes.capacity !== undefined && changes.capacity < confirmed) {
+      throw new EventError('CAPACITY_BELOW_CONFIRMED', { params: { confirmed } });
+    }
+
+    const schedule = [event.startsAt, event.endsAt].map(date => new Date(date).getTime());
+    EDITABLE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        event[field] = changes[field];
+      }
+    });
+    if (new Date(event.endsAt) <= new Date(event.startsAt)) {
+      throw new EventError('ENDS_BEFORE_STARTS');
+    }
+    await event.save({ transaction });
+
+    const promoted = await promoteWaitlisted(event, { transaction });
+    const rescheduled = [event.startsAt, event.endsAt].some((date, index) => new Date(date).getTime() !== schedule[index]);
+    const attendees = rescheduled ? await EventAttendee.findAll({ where: { eventId }, transaction }) : [];
+    return {
+      event,
+      promoted,
+      rescheduled: attendees.filter(attendee => !promoted.some(item => item.id === attendee.id)),
+    };
+  });
+
+  const { event, promoted, rescheduled } = result;
+  await notifyPromoted(promoted, event);
+  await notifyAttendees(
+    rescheduled.map(attendee => attendee.userId),
+    `O evento "${event.title}" mudou de horário`,
+    `O evento "${event.title}" agora começa em ${formatStart(event)}.\n\nSe não puder comparecer, cancele sua participação para liberar a vaga.`,
+  );
+  return event;
+};
+
+// Remove o evento com as inscrições; quem estava inscrito é avisado se o evento ainda não tinha começado.
+const cancelEvent = async (eventId, now = new Date()) => {
+  const { event, attendees } = await sequelize.transaction(async (transaction) => {
+    const event = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+    const attendees = await EventAttendee.findAll({ where: { eventId }, transaction });
+    await EventAttendee.destroy({ where: { eventId }, transaction });
+    await event.destroy({ transaction });
+    return { event, attendees };
+  });
+
+  if (new Date(event.startsAt) > now) {
+    await notifyAttendees(
+      attendees.map(attendee => attendee.userId),
+      `O evento "${event.title}" foi cancelado`,
+      `O evento "${event.title}", que começaria em ${formatStart(event)}, foi cancelado pelo organizador.`,
+    );
+  }
+};
+
+// Calendário com os eventos em que o usuário tem vaga confirmada.
+const userCalendar = async (user, baseUrl) => {
+  const attendances = await EventAttendee.findAll({
+    where: { userId: user.id, status: 'confirmed' },
+    include: [{ model: Event, required: true, include: [{ model: Location, required: true }] }],
+  });
+  const host = new URL(baseUrl).hostname;
+  return buildCalendar({
+    name: 'Exercita365 - Meus eventos',
+    events: attendances
+      .map(({ Event: event }) => event)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+      .map(event => ({
+        uid: `evento-${event.id}@${host}`,
+        start: event.startsAt,
+        end: event.endsAt,
+        summary: event.title,
+        description: event.description,
+        // Nome e endereço do local são gravados com escape HTML; no .ics vão como texto.
+        location: [event.Location.name, event.Location.address].map(unescapeHtml).join(', '),
+        latitude: event.Location.latitude,
+        longitude: event.Location.longitude,
+        url: `${baseUrl}/eventos/${event.id}`,
+      })),
+  });
+};
+
+module.exports = {
+  EventError,
+  withAttendance,
+  listUpcomingEvents,
+  joinEvent,
+  leaveEvent,
+  updateEvent,
+  cancelEvent,
+  userCalendar,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const createNominatimProvider = require('./nominatimProvider');
+const createLocalProvider = require('./localProvider');
+
+const providers = {
+  nominatim: createNominatimProvider,
+  local: createLocalProvider,
+};
+
+const normalizeAddress = (address) => String(address).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Envolve um provedor com cache por endereço normalizado e um intervalo mínimo
+// entre chamadas. Buscas simultâneas pelo mesmo endereço compartilham a mesma promessa.
+const createGeocoder = (provider) => {
+  const cache = new Map();
+  let queue = Promise.resolve();
+  let lastCallAt = 0;
+
+  const throttled = (address) => {
+    const call = queue.then(async () => {
+      const elapsed = Date.now() - lastCallAt;
+      if (elapsed < provider.minIntervalMs) {
+        await wait(provider.minIntervalMs - elapsed);
+      }
+      lastCallAt = Date.now();
+      return provider.geocode(address);
+    });
+    queue = call.catch(() => {});
+    return call;
+  };
+
+  const geocode = (address) => {
+    if (!address || !String(address).trim()) {
+      return Promise.resolve(null);
+    }
+    const key = normalizeAddress(address);
+    if (!cache.has(key)) {
+      const lookup = throttled(String(address).trim());
+      cache.set(key, lookup);
+      lookup.catch(() => cache.delete(key));
+    }
+    return cache.get(key);
+  };
+
+  return {
+    provider: provider.name,
+    geocode,
+    clearCache: () => cache.clear(),
+  };
+};
+
+const createProvider = (name = process.env.GEOCODER_PROVIDER || 'nominatim') => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Provedor de geocodificação desconhecido: ${name}`);
+  }
+  return factory();
+};
+
+const geocoder = createGeocoder(createProvider());
+
+module.exports = {
+  geocoder,
+  createGeocoder,
+  createProvider,
+  createNominatimProvider,
+  createLocalProvider,
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Região aproximada da cidade de São Paulo, usada para gerar coordenadas plausíveis.
+const BOUNDS = { minLat: -23.8, maxLat: -23.4, minLng: -46.85, maxLng: -46.35 };
+
+const scale = (value, min, max) => Number((min + (value / 0xffffffff) * (max - min)).toFixed(6));
+
+// Provedor determinístico para testes e uso offline: o mesmo endereço sempre
+// resulta nas mesmas coordenadas, sem acesso à rede.
+const createLocalProvider = ({ fixtures = {} } = {}) => ({
+  name: 'local',
+  minIntervalMs: 0,
+  async geocode(address) {
+    if (Object.prototype.hasOwnProperty.call(fixtures, address)) {
+      return fixtures[address];
+    }
+    const digest = crypto.createHash('sha256').update(address).digest();
+    return {
+      latitude: scale(digest.readUInt32BE(0), BOUNDS.minLat, BOUNDS.maxLat),
+      longitude: scale(digest.readUInt32BE(4), BOUNDS.minLng, BOUNDS.maxLng),
+    };
+  },
+});
+
+module.exports = createLocalProvider;
@@ -0,0 +1,30 @@
+'use strict';
+
+const axios = require('axios');
+
+const DEFAULT_URL = 'https://nominatim.openstreetmap.org/search';
+const DEFAULT_USER_AGENT = 'Exercita365 API';
+
+// A política de uso do Nominatim exige no máximo uma requisição por segundo
+// e um User-Agent que identifique a aplicação.
+const createNominatimProvider = ({
+  url = process.env.NOMINATIM_URL || DEFAULT_URL,
+  userAgent = process.env.NOMINATIM_USER_AGENT || DEFAULT_USER_AGENT,
+  http = axios,
+} = {}) => ({
+  name: 'nominatim',
+  minIntervalMs: 1000,
+  async geocode(address) {
+    const response = await http.get(url, {
+      params: { q: address, format: 'json', limit: 1 },
+      headers: { 'User-Agent': userAgent },
+    });
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+      return null;
+    }
+    const { lat, lon } = response.data[0];
+    return { latitude: Number(lat), longitude: Number(lon) };
+  },
+});
+
+module.exports = createNominatimProvider;
@@ -0,0 +1,85 @@
+'use strict';
+
+const { Location, LocationShare, User, sequelize } = require('../models');
+const { ApiError } = require('../utils/apiError');
+
+// Cada nível inclui os anteriores. Administradores podem tudo, como antes do compartilhamento.
+const PERMISSION_LEVELS = ['viewer', 'editor', 'owner', 'admin'];
+
+const hasPermission = (permission, required) => PERMISSION_LEVELS.indexOf(permission) >= PERMISSION_LEVELS.indexOf(required);
+
+class LocationAccessError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+// Nível de acesso do usuário ao local, ou null se ele não tiver acesso nenhum.
+const permissionFor = async (user, location) => {
+  if (location.userId === user.id) {
+    return 'owner';
+  }
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  const share = await LocationShare.findOne({ where: { locationId: location.id, userId: user.id } });
+  return share ? share.permission : null;
+};
+
+const listShares = (locationId) => LocationShare.findAll({
+  where: { locationId },
+  include: [{ model: User, attributes: ['id', 'name', 'email'] }],
+  order: [['createdAt', 'ASC'], ['id', 'ASC']],
+});
+
+const shareLocation = async (location, user, permission) => {
+  if (user.id === location.userId) {
+    throw new LocationAccessError('SHARE_WITH_OWNER');
+  }
+  const [share, created] = await LocationShare.findOrCreate({
+    where: { locationId: location.id, userId: user.id },
+    defaults: { permission },
+  });
+  if (!created && share.permission !== permission) {
+    await share.update({ permission });
+  }
+  return { share, created };
+};
+
+// O novo dono deixa de ter um compartilhamento e o antigo continua como editor.
+const transferOwnership = async (location, newOwner) => {
+  if (newOwner.id === location.userId) {
+    throw new LocationAccessError('TRANSFER_TO_OWNER');
+  }
+  if (newOwner.anonymizedAt || newOwner.suspendedAt) {
+    throw new LocationAccessError('TRANSFER_NOT_ALLOWED');
+  }
+  const previousOwnerId = location.userId;
+  await sequelize.transaction(async (transaction) => {
+    await LocationShare.destroy({ where: { locationId: location.id, userId: newOwner.id }, transaction });
+    await LocationShare.create({ locationId: location.id, userId: previousOwnerId, permission: 'editor' }, { transaction });
+    await location.update({ userId: newOwner.id }, { transaction });
+  });
+  return location;
+};
+
+// Locais compartilhados com o usuário, com o nível de acesso de cada um.
+const sharedWith = async (userId) => {
+  const shares = await LocationShare.findAll({
+    where: { userId },
+    include: [{ model: Location, required: true }],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+  });
+  return shares.map(share => ({ ...share.Location.toJSON(), permission: share.permission, sharedAt: share.createdAt }));
+};
+
+module.exports = {
+  PERMISSION_LEVELS,
+  LocationAccessError,
+  hasPermission,
+  permissionFor,
+  listShares,
+  shareLocation,
+  transferOwnership,
+  sharedWith,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const { Location, sequelize } = require('../models');
+const { validateLocationInput } = require('../utils/locationValidation');
+const { ApiError } = require('../utils/apiError');
+
+const MAX_IMPORT_FEATURES = Number(process.env.IMPORT_MAX_FEATURES) || 1000;
+// Cada endereço sem coordenadas é geocodificado durante a requisição (no Nominatim, um por segundo).
+const MAX_IMPORT_GEOCODED = Number(process.env.IMPORT_MAX_GEOCODED) || 50;
+
+class ImportError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+// Chave de comparação de duplicatas: sem acentos, pontuação, caixa ou espaços repetidos.
+const duplicateKey = (name, address) => [name, address]
+  .map(value => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim())
+  .join('|');
+
+const errorResult = (base, errors) => ({ ...base, status: 'error', errors });
+
+// Classifica cada item do arquivo como válido, inválido ou duplicado, sem gravar nada.
+// Duplicatas são comparadas com os locais do usuário e com os itens anteriores do mesmo arquivo.
+const validateItems = async (userId, items) => {
+  const existing = await Location.findAll({ where: { userId }, attributes: ['id', 'name', 'address'] });
+  const seen = new Map(existing.map(location => [duplicateKey(location.name, location.address), { id: location.id }]));
+
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    const base = { index, ...(item.line !== undefined && { line: item.line }), name: item.name };
+    if (item.error) {
+      results.push(errorResult(base, [{ field: 'geometry', code: item.error }]));
+      continue;
+    }
+    const { errors, value } = await validateLocationInput({
+      name: item.name,
+      description: item.description,
+      address: item.address,
+      latitude: item.latitude,
+      longitude: item.longitude,
+    });
+    if (errors.length > 0) {
+      results.push(errorResult(base, errors));
+      continue;
+    }
+
+    const key = duplicateKey(value.name, value.address);
+    if (seen.has(key)) {
+      const original = seen.get(key);
+      results.push({ ...base, status: 'duplicate', ...(original.id ? { duplicateOf: original.id } : { duplicateOfIndex: original.index }) });
+      continue;
+    }
+    seen.set(key, { index });
+    const { name, description, address, latitude, longitude } = value;
+    results.push({ ...base, status: 'valid', value: { name, description, address, latitude, longitude } });
+  }
+  return results;
+};
+
+const summarize = (results, dryRun) => {
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    dryRun,
+    total: results.length,
+    [dryRun ? 'valid' : 'created']: count(dryRun ? 'valid' : 'created'),
+    duplicates: count('duplicate'),
+    failed: count('error'),
+    results: results.map(({ value, ...result }) => result),
+  };
+};
+
+// Itens inválidos ou duplicados são apenas relatados; os válidos são criados numa única transação,
+// então uma falha inesperada não deixa a importação pela metade. No modo dry run nada é gravado.
+const importLocations = async (userId, items, { dryRun = false } = {}) => {
+  const results = await validateItems(userId, items);
+  const valid = results.filter(result => result.status === 'valid');
+  // Conferido também no dry run, para que a simulação preveja a recusa.
+  const addressesToGeocode = new Set(valid.filter(result => result.value.latitude == null).map(result => result.value.address));
+  if (addressesToGeocode.size > MAX_IMPORT_GEOCODED) {
+    throw new ImportError('IMPORT_TOO_MANY_TO_GEOCODE', { params: { max: MAX_IMPORT_GEOCODED } });
+  }
+  if (dryRun) {
+    return summarize(results, true);
+  }
+
+  // Geocodifica antes de abrir a transação, para não mantê-la aberta durante as chamadas ao provedor.
+  const locations = valid.map(result => Location.build({ ...result.value, userId }));
+  for (const location of locations) {
+    await location.geocodeAddress();
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [index, location] of locations.entries()) {
+      await location.save({ transaction });
+      valid[index].status = 'created';
+      valid[index].id = location.id;
+    }
+  });
+  return summarize(results, false);
+};
+
+module.exports = {
+  MAX_IMPORT_FEATURES,
+  MAX_IMPORT_GEOCODED,
+  ImportError,
+  importLocations,
+};
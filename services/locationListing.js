@@ -0,0 +1,181 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Location, sequelize } = require('../models');
+const { distanceSql } = require('./nearbyLocations');
+const { haversineDistance } = require('../utils/geo');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { openNowCondition, withOpenStatus } = require('./openingHours');
+
+const LISTABLE_FIELDS = ['id', 'name', 'description', 'address', 'latitude', 'longitude', 'averageRating', 'reviewCount', 'openNow', 'userId', 'createdAt', 'updatedAt'];
+const SORT_COLUMNS = { name: 'name', createdAt: 'createdAt', rating: 'averageRating', distance: null };
+const SORTABLE_FIELDS = Object.keys(SORT_COLUMNS);
+
+const parseSort = (sort = 'createdAt') => {
+  const descending = sort.startsWith('-');
+  const key = descending ? sort.slice(1) : sort;
+  return { field: SORT_COLUMNS[key] || key, descending };
+};
+
+// % e _ digitados pelo usuário são literais, não curingas; a barra invertida é o caractere de escape.
+const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+const containsInsensitive = (column, value) => sequelize.where(
+  sequelize.fn('lower', sequelize.col(`Location.${column}`)),
+  Op.like,
+  sequelize.literal(`${sequelize.escape(`%${escapeLike(value.toLowerCase())}%`)} ESCAPE '\\'`)
+);
+
+const buildFilters = ({ name, address, createdFrom, createdTo, openNow, instant }) => {
+  const conditions = [];
+  if (openNow !== undefined) {
+    conditions.push(openNowCondition(openNow, instant));
+  }
+  if (name) {
+    conditions.push(containsInsensitive('name', name));
+  }
+  if (address) {
+    conditions.push(containsInsensitive('address', address));
+  }
+  if (createdFrom) {
+    conditions.push({ createdAt: { [Op.gte]: createdFrom } });
+  }
+  if (createdTo) {
+    conditions.push({ createdAt: { [Op.lte]: createdTo } });
+  }
+  return conditions;
+};
+
+// Condição de keyset: registros depois de (valor, id) na ordenação escolhida.
+const keysetCondition = (field, descending, cursor) => {
+  const op = descending ? Op.lt : Op.gt;
+  const value = field === 'createdAt' ? new Date(cursor.value) : cursor.value;
+  return {
+    [Op.or]: [
+      { [field]: { [op]: value } },
+      { [field]: value, id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+const pickFields = (row, fields) => {
+  if (!fields) {
+    return row;
+  }
+  return fields.reduce((picked, field) => {
+    if (row[field] !== undefined) {
+      picked[field] = row[field];
+    }
+    return picked;
+  }, {});
+};
+
+const roundDistance = (distance) => Number(Number(distance).toFixed(3));
+
+const withCoordinates = { latitude: { [Op.ne]: null }, longitude: { [Op.ne]: null } };
+
+const listByColumn = async ({ where, field, descending, limit, offset, cursor }) => {
+  const direction = descending ? 'DESC' : 'ASC';
+  const pageWhere = cursor ? { [Op.and]: [where, keysetCondition(field, descending, cursor)] } : where;
+  const [total, locations] = await Promise.all([
+    Location.count({ where }),
+    Location.findAll({
+      where: pageWhere,
+      order: [[field, direction], ['id', direction]],
+      limit,
+      offset: cursor ? 0 : offset,
+    }),
+  ]);
+  const rows = locations.map(location => location.toJSON());
+  return { total, rows, cursorValue: (row) => (field === 'createdAt' ? new Date(row.createdAt).toISOString() : row[field]) };
+};
+
+const listByDistanceInDatabase = async ({ where, descending, limit, offset, cursor, lat, lng }) => {
+  const direction = descending ? 'DESC' : 'ASC';
+  const distance = distanceSql(sequelize.escape(lat), sequelize.escape(lng));
+  const scoped = { [Op.and]: [where, withCoordinates] };
+  const pageWhere = cursor
+    ? {
+      [Op.and]: [
+        scoped,
+        sequelize.literal(`(${distance} ${descending ? '<' : '>'} ${sequelize.escape(cursor.value)} OR ` +
+          `(${distance} = ${sequelize.escape(cursor.value)} AND "Location"."id" ${descending ? '<' : '>'} ${sequelize.escape(cursor.id)}))`),
+      ],
+    }
+    : scoped;
+  const [total, locations] = await Promise.all([
+    Location.count({ where: scoped }),
+    Location.findAll({
+      attributes: { include: [[sequelize.literal(distance), 'distance']] },
+      where: pageWhere,
+      order: [[sequelize.literal('"distance"'), direction], ['id', direction]],
+      limit,
+      offset: cursor ? 0 : offset,
+    }),
+  ]);
+  const rows = locations.map(location => ({ ...location.toJSON(), distance: Number(location.get('distance')) }));
+  return { total, rows, cursorValue: (row) => row.distance };
+};
+
+const listByDistanceInMemory = async ({ where, descending, limit, offset, cursor, lat, lng }) => {
+  const locations = await Location.findAll({ where: { [Op.and]: [where, withCoordinates] } });
+  const sign = descending ? -1 : 1;
+  const sorted = locations
+    .map(location => ({
+      ...location.toJSON(),
+      distance: haversineDistance({ lat, lng }, { lat: location.latitude, lng: location.longitude }),
+    }))
+    .sort((a, b) => sign * (a.distance - b.distance || a.id - b.id));
+  const start = cursor
+    ? sorted.findIndex(row => sign * (row.distance - cursor.value || row.id - cursor.id) > 0)
+    : offset;
+  const rows = start === -1 ? [] : sorted.slice(start, start + limit);
+  return { total: sorted.length, rows, cursorValue: (row) => row.distance };
+};
+
+// Lista locais com filtros, ordenação e paginação por offset ou por cursor.
+// Retorna a página, o total de registros filtrados e o cursor da próxima página.
+const listLocations = async (baseWhere, {
+  limit = 20,
+  offset = 0,
+  cursor,
+  sort,
+  fields,
+  lat,
+  lng,
+  ...filters
+} = {}) => {
+  const { field, descending } = parseSort(sort);
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  const instant = new Date();
+  const where = { [Op.and]: [baseWhere, ...buildFilters({ ...filters, instant })] };
+  const params = { where, field, descending, limit, offset, cursor: decodedCursor, lat, lng };
+
+  let result;
+  if (field === 'distance') {
+    result = sequelize.getDialect() === 'postgres'
+      ? await listByDistanceInDatabase(params)
+      : await listByDistanceInMemory(params);
+  } else {
+    result = await listByColumn(params);
+  }
+
+  const { total, cursorValue } = result;
+  const rows = await withOpenStatus(result.rows, instant);
+  const last = rows[rows.length - 1];
+  const hasMore = rows.length === limit && (decodedCursor || offset + rows.length < total);
+  return {
+    total,
+    rows: rows.map(row => pickFields(
+      row.distance === undefined ? row : { ...row, distance: roundDistance(row.distance) },
+      fields
+    )),
+    nextCursor: hasMore && last ? encodeCursor({ value: cursorValue(last), id: last.id }) : null,
+  };
+};
+
+module.exports = {
+  LISTABLE_FIELDS,
+  SORTABLE_FIELDS,
+  listLocations,
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Location, sequelize } = require('../models');
+
+const SEARCH_FIELDS = ['name', 'description', 'address'];
+const FIELD_WEIGHTS = { name: 3, description: 2, address: 1 };
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// Deve ser idêntica à expressão do índice GIN criado na migração de busca.
+const SEARCH_DOCUMENT = `setweight(to_tsvector('pt_unaccent', coalesce("name", '')), 'A') || ` +
+  `setweight(to_tsvector('pt_unaccent', coalesce("description", '')), 'B') || ` +
+  `setweight(to_tsvector('pt_unaccent', coalesce("address", '')), 'C')`;
+
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=false, MaxFragments=2, MinWords=5, MaxWords=20`;
+
+const searchInDatabase = async (q, { limit }) => {
+  const headline = (field) => `ts_headline('pt_unaccent', coalesce("${field}", ''), query, :headlineOptions)`;
+  const rows = await sequelize.query(`
+    SELECT "id", "name", "description", "address", "latitude", "longitude",
+      ts_rank(${SEARCH_DOCUMENT}, query) AS "rank",
+      ${headline('name')} AS "nameHighlight",
+      ${headline('description')} AS "descriptionHighlight",
+      ${headline('address')} AS "addressHighlight"
+    FROM "Locations", websearch_to_tsquery('pt_unaccent', :q) AS query
+    WHERE (${SEARCH_DOCUMENT}) @@ query AND "deletedAt" IS NULL
+    ORDER BY "rank" DESC, "id" ASC
+    LIMIT :limit
+  `, {
+    replacements: { q, limit, headlineOptions: HEADLINE_OPTIONS },
+    type: sequelize.QueryTypes.SELECT,
+  });
+  return rows.map(({ nameHighlight, descriptionHighlight, addressHighlight, rank, ...location }) => ({
+    ...location,
+    rank: Number(rank),
+    highlight: { name: nameHighlight, description: descriptionHighlight, address: addressHighlight },
+  }));
+};
+
+// Remove acentos caractere a caractere, preservando o tamanho do texto para que as
+// posições encontradas no texto normalizado valham também para o original.
+const foldAccents = (text) => Array.from(String(text || ''))
+  .map(char => char.normalize('NFD')[0])
+  .join('')
+  .toLowerCase();
+
+const tokenize = (q) => foldAccents(q).split(/[^a-z0-9]+/).filter(term => term.length > 1);
+
+// No LIKE, letras que podem ter acento viram o curinga "_"; o filtro exato é feito em JS.
+const likePattern = (term) => `%${term.replace(/[aeioucn]/g, '_')}%`;
+
+const highlightTerms = (text, terms) => {
+  const original = String(text || '');
+  const folded = foldAccents(original);
+  const ranges = [];
+  terms.forEach(term => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = folded.indexOf(term, index + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  let result = '';
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < cursor) {
+      return;
+    }
+    result += original.slice(cursor, start) + HIGHLIGHT_START + original.slice(start, end) + HIGHLIGHT_END;
+    cursor = end;
+  });
+  return result + original.slice(cursor);
+};
+
+const searchWithLike = async (q, { limit }) => {
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    return [];
+  }
+  const candidates = await Location.findAll({
+    attributes: ['id', 'name', 'description', 'address', 'latitude', 'longitude'],
+    where: {
+      [Op.and]: terms.map(term => ({
+        [Op.or]: SEARCH_FIELDS.map(field =>
+          sequelize.where(sequelize.fn('lower', sequelize.col(field)), Op.like, likePattern(term))),
+      })),
+    },
+  });
+  return candidates
+    .map(location => location.toJSON())
+    .filter(location => terms.every(term => SEARCH_FIELDS.some(field => foldAccents(location[field]).includes(term))))
+    .map(location => ({
+      ...location,
+      rank: SEARCH_FIELDS.reduce((rank, field) =>
+        rank + terms.filter(term => foldAccents(location[field]).includes(term)).length * FIELD_WEIGHTS[field], 0),
+      highlight: SEARCH_FIELDS.reduce((highlight, field) => {
+        highlight[field] = highlightTerms(location[field], terms);
+        return highlight;
+      }, {}),
+    }))
+    .sort((a, b) => b.rank - a.rank || a.id - b.id)
+    .slice(0, limit);
+};
+
+const searchLocations = (q, { limit = 20 } = {}) => {
+  if (sequelize.getDialect() === 'postgres') {
+    return searchInDatabase(q, { limit });
+  }
+  return searchWithLike(q, { limit });
+};
+
+module.exports = {
+  searchLocations,
+  searchWithLike,
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+const createConsoleTransport = ({ logger = console } = {}) => ({
+  name: 'console',
+  async send(message) {
+    logger.log(`[email] Para: ${message.to} | Assunto: ${message.subject}\n${message.text}`);
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
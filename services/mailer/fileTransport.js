@@ -0,0 +1,17 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Grava cada email como um arquivo JSON, para desenvolvimento local e testes.
+const createFileTransport = ({ directory = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'emails') } = {}) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { file };
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,37 @@
+'use strict';
+
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+const DEFAULT_FROM = 'Exercita365 <nao-responda@exercita365.com>';
+
+const createMailer = (transport, { from = process.env.MAIL_FROM || DEFAULT_FROM } = {}) => ({
+  transport: transport.name,
+  send: ({ to, subject, text, html }) => transport.send({ from, to, subject, text, html }),
+});
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Transporte de email desconhecido: ${name}`);
+  }
+  return factory();
+};
+
+const mailer = createMailer(createTransport());
+
+module.exports = {
+  mailer,
+  createMailer,
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Location, sequelize } = require('../models');
+const { EARTH_RADIUS_KM, haversineDistance } = require('../utils/geo');
+const { openNowCondition, withOpenStatus } = require('./openingHours');
+
+const PUBLIC_ATTRIBUTES = ['id', 'name', 'description', 'address', 'latitude', 'longitude', 'averageRating', 'reviewCount'];
+
+const roundDistance = (distance) => Number(Number(distance).toFixed(3));
+
+const distanceSql = (lat, lng) => `(${EARTH_RADIUS_KM} * 2 * asin(least(1, sqrt(` +
+  `power(sin(radians("Location"."latitude" - ${lat}) / 2), 2) + ` +
+  `cos(radians(${lat})) * cos(radians("Location"."latitude")) * ` +
+  `power(sin(radians("Location"."longitude" - ${lng}) / 2), 2)` +
+  `))))`;
+
+const withCoordinates = {
+  latitude: { [Op.ne]: null },
+  longitude: { [Op.ne]: null },
+};
+
+const findNearbyInDatabase = async ({ lat, lng, radius, filters = [] }) => {
+  const distance = distanceSql(sequelize.escape(lat), sequelize.escape(lng));
+  const locations = await Location.findAll({
+    attributes: [...PUBLIC_ATTRIBUTES, [sequelize.literal(distance), 'distance']],
+    where: {
+      ...withCoordinates,
+      [Op.and]: [sequelize.literal(`${distance} <= ${sequelize.escape(radius)}`), ...filters],
+    },
+    order: sequelize.literal('"distance" ASC'),
+  });
+  return locations.map(location => ({
+    ...location.toJSON(),
+    distance: roundDistance(location.get('distance')),
+  }));
+};
+
+const findNearbyInMemory = async ({ lat, lng, radius, filters = [] }) => {
+  const locations = await Location.findAll({
+    attributes: PUBLIC_ATTRIBUTES,
+    where: { ...withCoordinates, [Op.and]: filters },
+  });
+  return locations
+    .map(location => ({
+      ...location.toJSON(),
+      distance: haversineDistance({ lat, lng }, { lat: location.latitude, lng: location.longitude }),
+    }))
+    .filter(location => location.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .map(location => ({ ...location, distance: roundDistance(location.distance) }));
+};
+
+const findNearbyLocations = async ({ openNow, ...params }) => {
+  const instant = new Date();
+  const filters = openNow === undefined ? [] : [openNowCondition(openNow, instant)];
+  const locations = sequelize.getDialect() === 'postgres'
+    ? await findNearbyInDatabase({ ...params, filters })
+    : await findNearbyInMemory({ ...params, filters });
+  return withOpenStatus(locations, instant);
+};
+
+module.exports = {
+  distanceSql,
+  findNearbyLocations,
+  findNearbyInMemory,
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const { OpeningHour, OpeningHourException, sequelize } = require('../models');
+const { localParts, isOpenAt } = require('../utils/openingHours');
+
+const replaceOpeningHours = async (locationId, { weekly = [], exceptions = [] }, { transaction } = {}) => {
+  await OpeningHour.destroy({ where: { locationId }, transaction });
+  await OpeningHourException.destroy({ where: { locationId }, transaction });
+  await OpeningHour.bulkCreate(
+    weekly.map(({ weekday, opensAt, closesAt }) => ({ locationId, weekday, opensAt, closesAt })),
+    { transaction }
+  );
+  await OpeningHourException.bulkCreate(
+    exceptions.map(({ date, opensAt = null, closesAt = null, description = null }) =>
+      ({ locationId, date, opensAt, closesAt, description })),
+    { transaction }
+  );
+};
+
+// Carrega os horários de vários locais de uma vez, no formato { weekly, exceptions }.
+const loadOpeningHours = async (locationIds) => {
+  const schedules = new Map(locationIds.map(id => [id, { weekly: [], exceptions: [] }]));
+  if (locationIds.length === 0) {
+    return schedules;
+  }
+  const [hours, exceptions] = await Promise.all([
+    OpeningHour.findAll({ where: { locationId: locationIds }, order: [['weekday', 'ASC'], ['opensAt', 'ASC']] }),
+    OpeningHourException.findAll({ where: { locationId: locationIds }, order: [['date', 'ASC'], ['opensAt', 'ASC']] }),
+  ]);
+  hours.forEach(({ locationId, weekday, opensAt, closesAt }) =>
+    schedules.get(locationId).weekly.push({ weekday, opensAt, closesAt }));
+  exceptions.forEach(({ locationId, date, opensAt, closesAt, description }) =>
+    schedules.get(locationId).exceptions.push({ date, opensAt, closesAt, description }));
+  return schedules;
+};
+
+const withOpeningHours = async (location, instant = new Date()) => {
+  const schedule = (await loadOpeningHours([location.id])).get(location.id);
+  return { ...location.toJSON(), openingHours: schedule, openNow: isOpenAt(schedule, instant) };
+};
+
+const withOpenStatus = async (rows, instant = new Date()) => {
+  const schedules = await loadOpeningHours(rows.map(row => row.id));
+  return rows.map(row => ({ ...row, openNow: isOpenAt(schedules.get(row.id), instant) }));
+};
+
+// Condição SQL equivalente a isOpenAt, para filtrar listagens sem carregar os horários.
+// Com open = false, retorna os locais com horários cadastrados que estão fechados.
+const openNowCondition = (open = true, instant = new Date()) => {
+  const { date, weekday, time, previousDate, previousWeekday } = localParts(instant);
+  const [d, w, t, pd, pw] = [date, weekday, time, previousDate, previousWeekday].map(value => sequelize.escape(value));
+  const exceptionsOn = (day) =>
+    `SELECT 1 FROM "OpeningHourExceptions" e WHERE e."locationId" = "Location"."id" AND e."date" = ${day}`;
+  const isOpen = `(
+    EXISTS (${exceptionsOn(d)} AND e."opensAt" <= ${t} AND e."closesAt" > ${t})
+    OR (NOT EXISTS (${exceptionsOn(d)}) AND EXISTS (
+      SELECT 1 FROM "OpeningHours" h WHERE h."locationId" = "Location"."id" AND h."weekday" = ${w}
+        AND h."opensAt" <= ${t} AND (h."closesAt" > ${t} OR h."closesAt" <= h."opensAt")))
+    OR (NOT EXISTS (${exceptionsOn(pd)}) AND EXISTS (
+      SELECT 1 FROM "OpeningHours" h WHERE h."locationId" = "Location"."id" AND h."weekday" = ${pw}
+        AND h."closesAt" <= h."opensAt" AND h."closesAt" > ${t}))
+  )`;
+  if (open) {
+    return sequelize.literal(isOpen);
+  }
+  return sequelize.literal(`(NOT ${isOpen} AND (
+    EXISTS (SELECT 1 FROM "OpeningHours" h WHERE h."locationId" = "Location"."id")
+    OR EXISTS (SELECT 1 FROM "OpeningHourExceptions" e WHERE e."locationId" = "Location"."id")
+  ))`);
+};
+
+module.exports = {
+  replaceOpeningHours,
+  loadOpeningHours,
+  withOpeningHours,
+  withOpenStatus,
+  openNowCondition,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Photo } = require('../models');
+const { storage } = require('./storage');
+const { detectImageType } = require('../utils/imageType');
+const { ApiError } = require('../utils/apiError');
+
+const MAX_PHOTO_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 5 * 1024 * 1024;
+
+class PhotoError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+const serializePhoto = (photo, baseUrl) => ({
+  id: photo.id,
+  url: storage.url(photo.storageKey, baseUrl),
+  contentType: photo.contentType,
+  size: photo.size,
+  originalName: photo.originalName,
+  createdAt: photo.createdAt,
+});
+
+// O tipo é decidido pelo conteúdo do arquivo; o nome salvo é gerado, nunca o enviado pelo cliente.
+const uploadPhoto = async (locationId, file) => {
+  if (!file || file.size === 0) {
+    throw new PhotoError('PHOTO_MISSING');
+  }
+  if (file.size > MAX_PHOTO_BYTES) {
+    throw new PhotoError('PHOTO_TOO_LARGE', { params: { max: MAX_PHOTO_BYTES } });
+  }
+  const type = detectImageType(file.buffer);
+  if (!type) {
+    throw new PhotoError('PHOTO_UNSUPPORTED_TYPE');
+  }
+
+  const storageKey = `locations/${locationId}/${crypto.randomUUID()}.${type.extension}`;
+  await storage.save(storageKey, file.buffer, type.contentType);
+  try {
+    return await Photo.create({
+      locationId,
+      storageKey,
+      contentType: type.contentType,
+      size: file.size,
+      originalName: file.originalname,
+    });
+  } catch (erro) {
+    await storage.remove(storageKey).catch(() => {});
+    throw erro;
+  }
+};
+
+const listPhotos = async (locationId, baseUrl) => {
+  const photos = await Photo.findAll({ where: { locationId }, order: [['createdAt', 'ASC'], ['id', 'ASC']] });
+  return photos.map(photo => serializePhoto(photo, baseUrl));
+};
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  PhotoError,
+  serializePhoto,
+  uploadPhoto,
+  listPhotos,
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { User, Location, LocationShare, RefreshToken, Review, Favorite, Collection, Event, EventAttendee, UserToken, Webhook, Workout, sequelize } = require('../models');
+const { ApiError } = require('../utils/apiError');
+
+class PrivacyError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+// Reúne todos os dados pessoais do usuário, incluindo o CPF completo, para o direito de acesso da LGPD.
+const exportUserData = async (userId) => {
+  const user = await User.findByPk(userId);
+  const locations = await Location.findAll({ where: { userId }, order: [['id', 'ASC']], paranoid: false });
+  const workouts = await Workout.findAll({ where: { userId }, order: [['performedAt', 'ASC'], ['id', 'ASC']] });
+  const reviews = await Review.findAll({ where: { userId }, order: [['id', 'ASC']] });
+  const favorites = await Favorite.findAll({ where: { userId }, order: [['id', 'ASC']] });
+  // O token do link público fica de fora, como o do calendário.
+  const collections = await Collection.findAll({
+    where: { userId },
+    attributes: { exclude: ['shareToken'] },
+    include: [{ model: Location, as: 'locations', attributes: ['id', 'name'], through: { attributes: [] } }],
+    order: [['id', 'ASC']],
+  });
+  const organizedEvents = await Event.findAll({ where: { organizerId: userId }, order: [['id', 'ASC']] });
+  const eventAttendances = await EventAttendee.findAll({
+    where: { userId },
+    include: [{ model: Event, attributes: ['id', 'title', 'startsAt', 'endsAt', 'locationId'] }],
+    order: [['id', 'ASC']],
+  });
+  const sharesReceived = await LocationShare.findAll({
+    where: { userId },
+    include: [{ model: Location, attributes: ['id', 'name'], paranoid: false }],
+    order: [['id', 'ASC']],
+  });
+  // Dos usuários com quem o titular compartilhou, só o id e o nome; o email é dado pessoal de terceiros.
+  const sharesGranted = await LocationShare.findAll({
+    include: [
+      { model: Location, attributes: ['id', 'name'], where: { userId }, paranoid: false },
+      { model: User, attributes: ['id', 'name'] },
+    ],
+    order: [['id', 'ASC']],
+  });
+  const webhooks = await Webhook.findAll({ where: { userId }, order: [['id', 'ASC']] });
+  const sessions = await RefreshToken.findAll({
+    where: { userId },
+    attributes: ['sessionId', 'createdAt', 'expiresAt', 'revokedAt'],
+    order: [['id', 'ASC']],
+  });
+  const { password, calendarToken, ...profile } = user.get({ plain: true });
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    locations: locations.map(location => location.get({ plain: true })),
+    workouts: workouts.map(workout => workout.get({ plain: true })),
+    reviews: reviews.map(review => review.get({ plain: true })),
+    favorites: favorites.map(favorite => favorite.get({ plain: true })),
+    collections: collections.map(collection => collection.get({ plain: true })),
+    organizedEvents: organizedEvents.map(event => event.get({ plain: true })),
+    eventAttendances: eventAttendances.map(attendance => attendance.get({ plain: true })),
+    sharesReceived: sharesReceived.map(share => share.get({ plain: true })),
+    sharesGranted: sharesGranted.map(share => share.get({ plain: true })),
+    // toJSON deixa o segredo de assinatura de fora.
+    webhooks: webhooks.map(webhook => webhook.toJSON()),
+    sessions: sessions.map(session => session.get({ plain: true })),
+  };
+};
+
+// Substitui os dados pessoais por valores neutros e mantém (ou transfere) os locais do usuário.
+// As notas das avaliações continuam na média dos locais, mas os comentários escritos pelo usuário são apagados.
+// Favoritos e coleções são mantidos; as coleções perdem o nome dado pelo usuário e o link público.
+// Eventos organizados e inscrições continuam como estão, porque outros participantes dependem deles.
+// Os webhooks do usuário recebem usuario.removido, como na exclusão da conta.
+// O CPF anonimizado tem mais de 11 dígitos, então nunca colide com um CPF real.
+const anonymizeUser = async (user, { reason, transferTo } = {}) => {
+  if (user.anonymizedAt) {
+    throw new PrivacyError('USER_ALREADY_ANONYMIZED');
+  }
+  if (transferTo !== undefined) {
+    if (Number(transferTo) === user.id) {
+      throw new PrivacyError('TRANSFER_TO_ANONYMIZED_USER');
+    }
+    const recipient = await User.findByPk(transferTo);
+    if (!recipient || recipient.anonymizedAt) {
+      throw new PrivacyError('TRANSFER_TARGET_NOT_FOUND');
+    }
+  }
+
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 8);
+  await sequelize.transaction(async (transaction) => {
+    if (transferTo !== undefined) {
+      // Um a um, para que a troca de dono entre no histórico de cada local.
+      const locations = await Location.findAll({ where: { userId: user.id }, paranoid: false, transaction });
+      for (const location of locations) {
+        await location.update({ userId: Number(transferTo) }, { transaction });
+      }
+    }
+    user.set({
+      anonymizedAt: new Date(),
+      anonymizationReason: reason,
+      name: 'Usuário anonimizado',
+      cpf: String(user.id).padStart(20, '0'),
+      email: `anonimizado-${user.id}@exercita365.invalid`,
+      address: 'Anonimizado',
+      birthdate: new Date(0),
+      password,
+      calendarToken: null,
+    });
+    await user.save({ transaction });
+    await Webhook.dispatch('usuario.removido', user.id, { id: user.id, anonymizedAt: user.anonymizedAt }, { transaction });
+    await Review.update({ comment: null }, { where: { userId: user.id }, transaction });
+    await Collection.update({ name: 'Coleção anonimizada', shareToken: null }, { where: { userId: user.id }, transaction });
+    await UserToken.destroy({ where: { userId: user.id }, transaction });
+    await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { userId: user.id, revokedAt: null }, transaction }
+    );
+  });
+  return user;
+};
+
+module.exports = {
+  PrivacyError,
+  exportUserData,
+  anonymizeUser,
+};
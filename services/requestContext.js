@@ -0,0 +1,18 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Acompanha a requisição em todo o fluxo assíncrono, para que hooks dos modelos saibam quem fez a alteração.
+const storage = new AsyncLocalStorage();
+
+const runWithActor = (actorId, callback) => storage.run({ actorId }, callback);
+
+const currentActorId = () => {
+  const context = storage.getStore();
+  return context ? context.actorId : null;
+};
+
+module.exports = {
+  runWithActor,
+  currentActorId,
+};
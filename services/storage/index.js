@@ -0,0 +1,27 @@
+'use strict';
+
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Todo backend expõe name, save(key, buffer, contentType), remove(key) e url(key, baseUrl).
+const backends = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+const createStorage = (name = process.env.STORAGE_BACKEND || 'local') => {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Backend de armazenamento desconhecido: ${name}`);
+  }
+  return factory();
+};
+
+const storage = createStorage();
+
+module.exports = {
+  storage,
+  createStorage,
+  createLocalStorage,
+  createS3Storage,
+};
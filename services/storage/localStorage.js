@@ -0,0 +1,34 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Grava os arquivos em disco; a API os serve em /uploads (ver index.js).
+const createLocalStorage = ({
+  directory = process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'),
+  publicUrl = process.env.STORAGE_PUBLIC_URL,
+} = {}) => {
+  const resolve = (key) => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+    url: (key, baseUrl) => `${publicUrl || `${baseUrl}/uploads`}/${key}`,
+  };
+};
+
+module.exports = createLocalStorage;
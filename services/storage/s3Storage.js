@@ -0,0 +1,40 @@
+'use strict';
+
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Compatível com AWS S3 e serviços com a mesma API (MinIO, R2, Spaces...) via S3_ENDPOINT.
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl = process.env.STORAGE_PUBLIC_URL,
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET não configurado.');
+  }
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const baseUrl = publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: 's3',
+    save: (key, buffer, contentType) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    })),
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    url: (key) => `${baseUrl}/${key}`,
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,104 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { RefreshToken, User } = require('../models');
+const { ApiError } = require('../utils/apiError');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class TokenError extends ApiError {
+  constructor(code, options) {
+    super(401, code, options);
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Apenas o hash do refresh token é persistido; o valor em claro é devolvido uma única vez ao cliente.
+const createRefreshToken = async (userId, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId,
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return refreshToken;
+};
+
+const issueTokens = async (user) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user.id, sessionId);
+  return { token: signAccessToken(user, sessionId), refreshToken };
+};
+
+const revokeSession = (sessionId) => RefreshToken.update(
+  { revokedAt: new Date() },
+  { where: { sessionId, revokedAt: null } }
+);
+
+const revokeUserSessions = (userId, { exceptSessionId } = {}) => RefreshToken.update(
+  { revokedAt: new Date() },
+  {
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { sessionId: { [Op.ne]: exceptSessionId } } : {}),
+    },
+  }
+);
+
+// Troca um refresh token válido por um novo par de tokens. A reutilização de um token
+// já trocado indica vazamento, então toda a sessão é revogada.
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+  if (!stored) {
+    throw new TokenError('REFRESH_TOKEN_INVALID');
+  }
+  if (stored.revokedAt) {
+    await revokeSession(stored.sessionId);
+    throw new TokenError('REFRESH_TOKEN_REUSED');
+  }
+  if (stored.expiresAt <= new Date()) {
+    throw new TokenError('REFRESH_TOKEN_EXPIRED');
+  }
+
+  const user = await User.findByPk(stored.userId);
+  if (!user) {
+    await revokeSession(stored.sessionId);
+    throw new TokenError('USER_NOT_FOUND');
+  }
+
+  const [revoked] = await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { id: stored.id, revokedAt: null } }
+  );
+  if (revoked === 0) {
+    await revokeSession(stored.sessionId);
+    throw new TokenError('REFRESH_TOKEN_REUSED');
+  }
+  const newRefreshToken = await createRefreshToken(stored.userId, stored.sessionId);
+  return { token: signAccessToken(user, stored.sessionId), refreshToken: newRefreshToken };
+};
+
+const isSessionActive = async (sessionId) => {
+  const count = await RefreshToken.count({
+    where: { sessionId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+  });
+  return count > 0;
+};
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { User, Location, LocationRevision, Favorite, CollectionLocation, Photo, sequelize } = require('../models');
+const { ApiError } = require('../utils/apiError');
+
+// Dias que locais e usuários excluídos ficam na lixeira antes do expurgo definitivo.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+const inTrash = { deletedAt: { [Op.ne]: null } };
+
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Administradores veem todos os locais e usuários excluídos; os demais, apenas os próprios locais.
+const listTrash = async (user) => {
+  const isAdmin = user.role === 'admin';
+  const order = [['deletedAt', 'DESC'], ['id', 'DESC']];
+  const locations = await Location.findAll({
+    where: { ...inTrash, ...(!isAdmin && { userId: user.id }) },
+    paranoid: false,
+    order,
+  });
+  const trash = {
+    retentionDays: TRASH_RETENTION_DAYS,
+    locations: locations.map(location => ({ ...location.toJSON(), purgeAt: purgeAt(location.deletedAt) })),
+  };
+  if (isAdmin) {
+    const users = await User.findAll({ where: inTrash, paranoid: false, order });
+    trash.users = users.map(deleted => ({ ...deleted.toJSON(), purgeAt: purgeAt(deleted.deletedAt) }));
+  }
+  return trash;
+};
+
+const findTrashedLocation = (id) => Location.findOne({ where: { id, ...inTrash }, paranoid: false });
+
+const findTrashedUser = (id) => User.findOne({ where: { id, ...inTrash }, paranoid: false });
+
+const restoreLocation = async (location) => {
+  if (location.userId != null && !(await User.findByPk(location.userId))) {
+    throw new TrashError('LOCATION_OWNER_IN_TRASH');
+  }
+  await sequelize.transaction(transaction => location.restore({ transaction }));
+  return location;
+};
+
+const restoreUser = async (user) => {
+  await user.restore();
+  return user;
+};
+
+// Exclusão definitiva: favoritos, coleções, histórico e fotos saem junto; horários caem em cascata.
+// As fotos são excluídas uma a uma para que o hook do modelo remova os arquivos do armazenamento após o commit.
+const purgeLocation = async (location, { transaction }) => {
+  const photos = await Photo.findAll({ where: { locationId: location.id }, transaction });
+  for (const photo of photos) {
+    await photo.destroy({ transaction });
+  }
+  await Favorite.destroy({ where: { locationId: location.id }, transaction });
+  await CollectionLocation.destroy({ where: { locationId: location.id }, transaction });
+  await LocationRevision.destroy({ where: { locationId: location.id }, transaction });
+  await location.destroy({ force: true, transaction });
+};
+
+// Remove definitivamente o que está na lixeira há mais tempo que a retenção. Os locais vêm antes dos
+// usuários, e os locais de um usuário expurgado (todos na lixeira, já que a exclusão exige isso) vão junto.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { [Op.lte]: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } };
+
+  const locations = await Location.findAll({ where: expired, paranoid: false });
+  for (const location of locations) {
+    await sequelize.transaction(transaction => purgeLocation(location, { transaction }));
+  }
+
+  const users = await User.findAll({ where: expired, paranoid: false });
+  for (const user of users) {
+    await sequelize.transaction(async (transaction) => {
+      const owned = await Location.findAll({ where: { userId: user.id }, paranoid: false, transaction });
+      for (const location of owned) {
+        await purgeLocation(location, { transaction });
+      }
+      await user.destroy({ force: true, transaction });
+    });
+  }
+  return { locations: locations.length, users: users.length };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TrashError,
+  listTrash,
+  findTrashedLocation,
+  findTrashedUser,
+  restoreLocation,
+  restoreUser,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserToken } = require('../models');
+const { ApiError } = require('../utils/apiError');
+
+const TOKEN_TTL_MINUTES = {
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+};
+
+class UserTokenError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Gera um token de uso único e invalida os tokens ainda não usados do mesmo tipo.
+const createUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId, type, usedAt: null } }
+  );
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000),
+  });
+  return token;
+};
+
+// Marca o token como usado de forma atômica, para que duas requisições
+// simultâneas não consigam consumir o mesmo token.
+const consumeUserToken = async (token, type, { transaction } = {}) => {
+  const stored = await UserToken.findOne({ where: { tokenHash: hashToken(token), type }, transaction });
+  if (!stored || stored.usedAt || stored.expiresAt <= new Date()) {
+    throw new UserTokenError('USER_TOKEN_INVALID');
+  }
+  const [updated] = await UserToken.update(
+    { usedAt: new Date() },
+    { where: { id: stored.id, usedAt: null, expiresAt: { [Op.gt]: new Date() } }, transaction }
+  );
+  if (updated === 0) {
+    throw new UserTokenError('USER_TOKEN_INVALID');
+  }
+  return stored;
+};
+
+module.exports = {
+  UserTokenError,
+  createUserToken,
+  consumeUserToken,
+};
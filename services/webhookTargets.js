@@ -0,0 +1,83 @@
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ApiError } = require('../utils/apiError');
+
+// Com true, webhooks podem apontar para localhost e redes internas (receptores locais em testes e desenvolvimento).
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+class WebhookTargetError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+// Loopback, redes privadas, link-local (inclusive o endereço de metadados das nuvens, 169.254.169.254),
+// unique-local, multicast e faixas reservadas. O BlockList confere IPv4 mapeado em IPv6 pelas regras IPv4;
+// NAT64 sai inteiro, porque embute endereços IPv4.
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = address => blocked.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Recusa a URL se o host for, ou resolver para, algum endereço interno.
+const checkWebhookTarget = async (url) => {
+  if (WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+    return;
+  }
+  const host = hostOf(url);
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (erro) {
+      throw new WebhookTargetError('WEBHOOK_URL_UNRESOLVABLE');
+    }
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new WebhookTargetError('WEBHOOK_URL_PRIVATE');
+  }
+};
+
+// lookup usado na conexão das entregas: confere o endereço que de fato vai ser usado, para que um DNS
+// que muda de resposta entre a verificação e o envio (DNS rebinding) não alcance a rede interna.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (erro, address, family) => {
+    if (erro) {
+      return callback(erro);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new WebhookTargetError('WEBHOOK_URL_PRIVATE'));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Opções do axios para as entregas. Sem proxy, que faria a conexão sair para outro endereço.
+const deliveryRequestOptions = WEBHOOK_ALLOW_PRIVATE_TARGETS
+  ? { proxy: false }
+  : {
+    proxy: false,
+    httpAgent: new http.Agent({ lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ lookup: guardedLookup }),
+  };
+
+module.exports = {
+  WEBHOOK_ALLOW_PRIVATE_TARGETS,
+  WebhookTargetError,
+  isPrivateAddress,
+  checkWebhookTarget,
+  deliveryRequestOptions,
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Webhook, WebhookDelivery } = require('../models');
+const { checkWebhookTarget, deliveryRequestOptions } = require('./webhookTargets');
+
+// Depois da primeira falha, a espera dobra a cada tentativa: 30s, 1min, 2min... até esgotar as tentativas.
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const DELIVERY_BATCH_SIZE = 50;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const retryDelayMs = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// Assinatura no estilo t=<timestamp>,v1=<hmac>. O HMAC-SHA256 cobre "<timestamp>.<corpo>",
+// o que permite ao receptor recusar entregas antigas reenviadas por terceiros.
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Uma tentativa de entrega. Falhas de rede e respostas fora de 2xx contam como tentativa
+// e reagendam a entrega, até o limite de tentativas.
+const attemptDelivery = async (delivery) => {
+  const webhook = delivery.webhook || await delivery.getWebhook();
+  const now = new Date();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  let response = null;
+  let error = null;
+  try {
+    // A URL é conferida de novo a cada envio: o DNS pode ter mudado desde o cadastro.
+    await checkWebhookTarget(webhook.url);
+    response = await axios.post(webhook.url, body, {
+      ...deliveryRequestOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Exercita365-Webhooks',
+        'X-Exercita-Event': delivery.event,
+        'X-Exercita-Delivery': String(delivery.id),
+        'X-Exercita-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true,
+    });
+    if (response.status < 200 || response.status >= 300) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (erro) {
+    error = erro.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const exhausted = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  delivery.set({
+    attempts,
+    lastAttemptAt: now,
+    responseStatus: response ? response.status : null,
+    responseBody: response && response.data ? String(response.data).slice(0, RESPONSE_BODY_LIMIT) : null,
+    lastError: error,
+    status: !error ? 'succeeded' : (exhausted ? 'failed' : 'pending'),
+    nextAttemptAt: !error || exhausted ? null : new Date(now.getTime() + retryDelayMs(attempts)),
+  });
+  await delivery.save();
+  return delivery;
+};
+
+// Tira da fila as entregas pendentes de um webhook desativado. Reativar o webhook não as retoma; o reenvio continua disponível.
+const cancelPendingDeliveries = (webhookId, { transaction } = {}) => WebhookDelivery.update(
+  { status: 'cancelled', nextAttemptAt: null },
+  { where: { webhookId, status: 'pending' }, transaction }
+);
+
+// Processa as entregas vencidas da fila. Chamadas sobrepostas (intervalo mais curto que uma rodada) são ignoradas.
+let processing = false;
+
+const processDueDeliveries = async (now = new Date()) => {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+  try {
+    const due = await WebhookDelivery.findAll({
+      where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+      include: [{ model: Webhook, as: 'webhook' }],
+      order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+      limit: DELIVERY_BATCH_SIZE,
+    });
+    // Entregas de webhooks desativados (enfileiradas junto com a desativação, por exemplo) são canceladas sem envio.
+    for (const delivery of due) {
+      if (delivery.webhook.active) {
+        await attemptDelivery(delivery);
+      } else {
+        await cancelPendingDeliveries(delivery.webhookId);
+      }
+    }
+    return due.length;
+  } finally {
+    processing = false;
+  }
+};
+
+// Envia agora uma entrega nova; se falhar, ela segue na fila com as novas tentativas.
+const deliverNow = async (webhook, attributes) => {
+  const delivery = await WebhookDelivery.create({ webhookId: webhook.id, nextAttemptAt: new Date(), ...attributes });
+  delivery.webhook = webhook;
+  return attemptDelivery(delivery);
+};
+
+const sendPing = (webhook) => {
+  const eventId = crypto.randomUUID();
+  return deliverNow(webhook, {
+    eventId,
+    event: 'ping',
+    payload: { id: eventId, event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } },
+  });
+};
+
+// O reenvio é uma entrega nova com o mesmo evento e o mesmo payload; a original fica no log como está.
+const redeliver = (webhook, original) => deliverNow(webhook, {
+  eventId: original.eventId,
+  event: original.event,
+  payload: original.payload,
+  redeliveryOfId: original.id,
+});
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  signPayload,
+  cancelPendingDeliveries,
+  processDueDeliveries,
+  sendPing,
+  redeliver,
+};
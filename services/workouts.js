@@ -0,0 +1,97 @@
+'use strict';
+
+const { Workout, Location } = require('../models');
+const { shiftDate, localParts } = require('../utils/openingHours');
+
+const STATS_WEEKS = 12;
+const STATS_MONTHS = 12;
+const TOP_LOCATIONS = 5;
+
+// Segunda-feira da semana de uma data (AAAA-MM-DD).
+const weekStart = (date) => {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return shiftDate(date, -((weekday + 6) % 7));
+};
+
+const shiftMonth = (month, months) => {
+  const shifted = new Date(`${month}-01T12:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().slice(0, 7);
+};
+
+// Cria os períodos do mais antigo para o atual, já com totais zerados.
+const emptyPeriods = (current, count, shift) => Array.from({ length: count }, (_, index) => ({
+  period: shift(current, index - count + 1),
+  workouts: 0,
+  minutes: 0,
+}));
+
+// Dias seguidos com treino até hoje; um dia sem treino ainda não quebra a sequência se for hoje.
+const currentStreak = (dates, today) => {
+  const days = new Set(dates);
+  let day = days.has(today) ? today : shiftDate(today, -1);
+  let streak = 0;
+  while (days.has(day)) {
+    streak += 1;
+    day = shiftDate(day, -1);
+  }
+  return streak;
+};
+
+// As datas são agrupadas no fuso de São Paulo, o mesmo dos horários de funcionamento.
+const workoutStatistics = async (userId, instant = new Date()) => {
+  const workouts = await Workout.findAll({
+    where: { userId },
+    attributes: ['performedAt', 'durationMinutes', 'locationId'],
+    raw: true,
+  });
+  const today = localParts(instant).date;
+
+  const weekly = emptyPeriods(weekStart(today), STATS_WEEKS, (week, offset) => shiftDate(week, offset * 7));
+  const monthly = emptyPeriods(today.slice(0, 7), STATS_MONTHS, shiftMonth);
+  const visits = new Map();
+  const dates = [];
+  let minutes = 0;
+
+  workouts.forEach((workout) => {
+    const date = localParts(new Date(workout.performedAt)).date;
+    dates.push(date);
+    minutes += workout.durationMinutes;
+    [[weekly, weekStart(date)], [monthly, date.slice(0, 7)]].forEach(([periods, key]) => {
+      const period = periods.find(candidate => candidate.period === key);
+      if (period) {
+        period.workouts += 1;
+        period.minutes += workout.durationMinutes;
+      }
+    });
+    if (workout.locationId != null) {
+      visits.set(workout.locationId, (visits.get(workout.locationId) || 0) + 1);
+    }
+  });
+
+  // Locais na lixeira não aparecem entre os mais visitados.
+  const locations = await Location.findAll({
+    where: { id: [...visits.keys()] },
+    attributes: ['id', 'name', 'address'],
+  });
+  const topVisits = [...visits.entries()]
+    .filter(([id]) => locations.some(location => location.id === id))
+    .sort(([idA, countA], [idB, countB]) => countB - countA || idA - idB)
+    .slice(0, TOP_LOCATIONS);
+
+  return {
+    totals: { workouts: workouts.length, minutes },
+    weekly: weekly.map(({ period, ...totals }) => ({ weekStart: period, ...totals })),
+    monthly: monthly.map(({ period, ...totals }) => ({ month: period, ...totals })),
+    mostVisitedLocations: topVisits.map(([id, count]) => ({
+      location: locations.find(location => location.id === id).toJSON(),
+      visits: count,
+    })),
+    currentStreak: currentStreak(dates, today),
+    lastWorkoutDate: dates.length > 0 ? dates.reduce((latest, date) => (date > latest ? date : latest)) : null,
+  };
+};
+
+module.exports = {
+  workoutStatistics,
+};
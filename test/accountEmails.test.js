@@ -0,0 +1,103 @@
+'use strict';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { mailer } = require('../services/mailer');
+
+let server;
+let user;
+const sent = [];
+
+before(async () => {
+  mock.method(mailer, 'send', async (message) => { sent.push(message); });
+  server = await startServer();
+  user = await server.createUser({ email: 'conta@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+// O email de redefinição é enviado sem esperar a resposta; aguarda a mensagem chegar ao mailer.
+const nextMail = async (subject, from) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const message = sent.slice(from).find(item => item.subject.includes(subject));
+    if (message) {
+      return message;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail(`Nenhum email com "${subject}" foi enviado.`);
+};
+
+const login = password => server.request('POST', '/login', { body: { email: 'conta@exemplo.com', password } });
+
+test('o cadastro envia o link de verificação, que só pode ser usado uma vez', async () => {
+  const message = await nextMail('Confirme seu email', 0);
+  assert.equal(message.to, 'conta@exemplo.com');
+  const token = decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+  assert.equal((await db.User.findByPk(user.id)).emailVerifiedAt, null);
+
+  const verified = await server.request('GET', `/email/verificar?token=${encodeURIComponent(token)}`);
+  assert.equal(verified.status, 200);
+  assert.ok((await db.User.findByPk(user.id)).emailVerifiedAt);
+
+  const reused = await server.request('GET', `/email/verificar?token=${encodeURIComponent(token)}`);
+  assert.equal(reused.status, 400);
+  assert.equal(reused.data.erro.code, 'USER_TOKEN_INVALID');
+});
+
+test('com a verificação obrigatória, o login de contas não verificadas é recusado', async (t) => {
+  t.after(() => { delete process.env.REQUIRE_EMAIL_VERIFICATION; });
+  await server.createUser({ email: 'pendente@exemplo.com', cpf: '11144477735' });
+  process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+  const pending = await server.request('POST', '/login', { body: { email: 'pendente@exemplo.com', password: 'senha1234' } });
+  assert.equal(pending.status, 403);
+  assert.equal(pending.data.erro.code, 'EMAIL_NOT_VERIFIED');
+  assert.equal((await login('senha1234')).status, 200);
+});
+
+test('o pedido de redefinição responde igual para emails cadastrados ou não', async () => {
+  const start = sent.length;
+  const known = await server.request('POST', '/senha/esqueci', { body: { email: 'conta@exemplo.com' } });
+  const unknown = await server.request('POST', '/senha/esqueci', { body: { email: 'ninguem@exemplo.com' } });
+  assert.equal(known.status, 200);
+  assert.deepEqual([unknown.status, unknown.data], [known.status, known.data]);
+  await nextMail('Redefinição de senha', start);
+  assert.equal(sent.slice(start).filter(message => message.to === 'ninguem@exemplo.com').length, 0);
+});
+
+test('a redefinição troca a senha, encerra as sessões e invalida o token', async () => {
+  const session = (await login('senha1234')).data;
+  const start = sent.length;
+  await server.request('POST', '/senha/esqueci', { body: { email: 'conta@exemplo.com' } });
+  const token = (await nextMail('Redefinição de senha', start)).text.match(/\n\n(\S+)\n\n/)[1];
+
+  const reset = await server.request('POST', '/senha/redefinir', { body: { token, password: 'novaSenha123' } });
+  assert.equal(reset.status, 200);
+  assert.equal((await login('senha1234')).data.erro.code, 'WRONG_PASSWORD');
+  assert.equal((await login('novaSenha123')).status, 200);
+  assert.equal((await server.request('GET', '/usuario/me', { token: session.token })).data.erro.code, 'SESSION_ENDED');
+  assert.equal((await server.request('GET', '/usuario/me', { token: user.token })).status, 401);
+
+  const reused = await server.request('POST', '/senha/redefinir', { body: { token, password: 'outraSenha123' } });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.data.erro.code, 'USER_TOKEN_INVALID');
+});
+
+test('um novo pedido invalida o token anterior e tokens expirados são recusados', async () => {
+  let start = sent.length;
+  await server.request('POST', '/senha/esqueci', { body: { email: 'conta@exemplo.com' } });
+  const first = (await nextMail('Redefinição de senha', start)).text.match(/\n\n(\S+)\n\n/)[1];
+  start = sent.length;
+  await server.request('POST', '/senha/esqueci', { body: { email: 'conta@exemplo.com' } });
+  const second = (await nextMail('Redefinição de senha', start)).text.match(/\n\n(\S+)\n\n/)[1];
+
+  const replaced = await server.request('POST', '/senha/redefinir', { body: { token: first, password: 'novaSenha456' } });
+  assert.equal(replaced.data.erro.code, 'USER_TOKEN_INVALID');
+
+  await db.UserToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { userId: user.id, usedAt: null } });
+  const expired = await server.request('POST', '/senha/redefinir', { body: { token: second, password: 'novaSenha456' } });
+  assert.equal(expired.status, 400);
+  assert.equal(expired.data.erro.code, 'USER_TOKEN_INVALID');
+  assert.equal((await login('novaSenha123')).status, 200);
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let owner;
+let other;
+let park;
+let gym;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  other = await server.createUser({ email: 'outro@exemplo.com', cpf: '11144477735' });
+  const create = async (user, name) => (await server.request('POST', '/local', {
+    token: user.token,
+    body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  park = await create(owner, 'Parque');
+  gym = await create(other, 'Academia');
+});
+
+after(() => server.close());
+
+test('favoritar é idempotente e a lista traz os mais recentes primeiro', async () => {
+  const first = await server.request('POST', `/local/${park.id}/favorito`, { token: owner.token });
+  assert.equal(first.status, 201);
+  assert.equal((await server.request('POST', `/local/${park.id}/favorito`, { token: owner.token })).status, 200);
+  assert.equal((await server.request('POST', `/local/${gym.id}/favorito`, { token: owner.token })).status, 201);
+  assert.equal((await server.request('POST', '/local/9999/favorito', { token: owner.token })).data.erro.code, 'LOCATION_NOT_FOUND');
+
+  const favorites = await server.request('GET', '/usuario/me/favoritos', { token: owner.token });
+  assert.deepEqual(favorites.data.map(location => location.name), ['Academia', 'Parque']);
+  assert.ok(favorites.data.every(location => location.favoritedAt));
+
+  assert.equal((await server.request('DELETE', `/local/${gym.id}/favorito`, { token: owner.token })).status, 200);
+  const missing = await server.request('DELETE', `/local/${gym.id}/favorito`, { token: owner.token });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.data.erro.code, 'LOCATION_NOT_IN_FAVORITES');
+  assert.deepEqual((await server.request('GET', '/usuario/me/favoritos', { token: other.token })).data, []);
+});
+
+test('coleções agrupam locais e só o dono as vê ou altera', async () => {
+  const created = await server.request('POST', '/colecoes', { token: owner.token, body: { name: 'Fim de semana' } });
+  assert.equal(created.status, 201);
+  const { id } = created.data;
+  assert.equal(created.data.shareUrl, null);
+
+  await server.request('POST', `/colecoes/${id}/locais/${park.id}`, { token: owner.token });
+  const withGym = await server.request('POST', `/colecoes/${id}/locais/${gym.id}`, { token: owner.token });
+  assert.deepEqual(withGym.data.locations.map(location => location.name).sort(), ['Academia', 'Parque']);
+  const removed = await server.request('DELETE', `/colecoes/${id}/locais/${gym.id}`, { token: owner.token });
+  assert.deepEqual(removed.data.locations.map(location => location.name), ['Parque']);
+  assert.equal((await server.request('DELETE', `/colecoes/${id}/locais/${gym.id}`, { token: owner.token })).data.erro.code, 'LOCATION_NOT_IN_COLLECTION');
+
+  for (const [method, url] of [['GET', `/colecoes/${id}`], ['PUT', `/colecoes/${id}`], ['DELETE', `/colecoes/${id}`], ['POST', `/colecoes/${id}/locais/${gym.id}`]]) {
+    const response = await server.request(method, url, { token: other.token, body: method === 'PUT' ? { name: 'Minha' } : undefined });
+    assert.equal(response.status, 404, `${method} ${url}`);
+    assert.equal(response.data.erro.code, 'COLLECTION_NOT_FOUND');
+  }
+  assert.deepEqual((await server.request('GET', '/colecoes', { token: other.token })).data, []);
+
+  const invalid = await server.request('PUT', `/colecoes/${id}`, { token: owner.token, body: { name: ' ' } });
+  assert.equal(invalid.data.erro.details[0].code, 'NAME_LENGTH');
+  const renamed = await server.request('PUT', `/colecoes/${id}`, { token: owner.token, body: { name: 'Corridas' } });
+  assert.equal(renamed.data.name, 'Corridas');
+});
+
+test('o link público mostra a coleção sem autenticação até ser revogado', async () => {
+  const { id } = (await server.request('POST', '/colecoes', { token: owner.token, body: { name: 'Pública' } })).data;
+  await server.request('POST', `/colecoes/${id}/locais/${park.id}`, { token: owner.token });
+  const shared = await server.request('POST', `/colecoes/${id}/compartilhar`, { token: owner.token });
+  const path = new URL(shared.data.shareUrl).pathname;
+
+  const visit = await server.request('GET', path);
+  assert.equal(visit.status, 200);
+  assert.deepEqual([visit.data.name, visit.data.locations.map(location => location.name)], ['Pública', ['Parque']]);
+  assert.equal(visit.data.shareToken, undefined);
+  assert.equal(visit.data.userId, undefined);
+
+  await server.request('DELETE', `/colecoes/${id}/compartilhar`, { token: owner.token });
+  assert.equal((await server.request('GET', path)).status, 404);
+
+  assert.equal((await server.request('DELETE', `/colecoes/${id}`, { token: owner.token })).status, 200);
+  assert.equal(await db.CollectionLocation.count({ where: { collectionId: id } }), 0);
+});
+
+test('a exportação traz favoritos e coleções e a anonimização apaga os nomes das coleções', async () => {
+  const user = await server.createUser({ email: 'colecionador@exemplo.com', cpf: '12345678909' });
+  await server.request('POST', `/local/${park.id}/favorito`, { token: user.token });
+  const { id } = (await server.request('POST', '/colecoes', { token: user.token, body: { name: 'Perto de casa' } })).data;
+  await server.request('POST', `/colecoes/${id}/locais/${park.id}`, { token: user.token });
+  const path = new URL((await server.request('POST', `/colecoes/${id}/compartilhar`, { token: user.token })).data.shareUrl).pathname;
+
+  const exported = (await server.request('GET', '/usuario/me/exportar', { token: user.token })).data;
+  assert.deepEqual(exported.favorites.map(favorite => favorite.locationId), [park.id]);
+  assert.deepEqual(exported.collections.map(collection => [collection.name, collection.locations.map(location => location.id)]), [['Perto de casa', [park.id]]]);
+  assert.equal(exported.collections[0].shareToken, undefined);
+
+  await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=x`, { token: user.token });
+  const collection = await db.Collection.findByPk(id);
+  assert.deepEqual([collection.name, collection.shareToken], ['Coleção anonimizada', null]);
+  assert.equal(await db.CollectionLocation.count({ where: { collectionId: id } }), 1);
+  assert.equal((await server.request('GET', path)).status, 404);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { normalizeCpf, isValidCpf, maskCpf } = require('../utils/cpf');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('isValidCpf confere os dígitos verificadores, com ou sem máscara', () => {
+  assert.equal(isValidCpf('52998224725'), true);
+  assert.equal(isValidCpf('529.982.247-25'), true);
+  assert.equal(isValidCpf(' 111.444.777-35 '), true);
+  assert.equal(isValidCpf('52998224724'), false);
+  assert.equal(isValidCpf('52998224715'), false);
+});
+
+test('isValidCpf recusa formatos inválidos e sequências repetidas', () => {
+  for (const value of ['', '5299822472', '529982247250', '529.982.24725', '529-982-247.25', 'abcdefghijk', '00000000000', '111.111.111-11']) {
+    assert.equal(isValidCpf(value), false, value);
+  }
+  for (const value of [52998224725, null, undefined, {}]) {
+    assert.equal(isValidCpf(value), false, String(value));
+  }
+});
+
+test('normalizeCpf remove a máscara e maskCpf oculta as pontas', () => {
+  assert.equal(normalizeCpf('529.982.247-25'), '52998224725');
+  assert.equal(normalizeCpf(null), '');
+  assert.equal(maskCpf('52998224725'), '***.982.247-**');
+  assert.equal(maskCpf('529.982.247-25'), '***.982.247-**');
+  assert.equal(maskCpf('123'), null);
+});
+
+test('o cadastro grava o CPF sem máscara, responde mascarado e não aceita repetidos', async () => {
+  const body = { name: 'Ana', gender: 'F', address: 'Rua A, 1', password: 'senha1234', birthdate: '1990-01-01' };
+
+  const invalid = await server.request('POST', '/usuario', { body: { ...body, email: 'ana@exemplo.com', cpf: '529.982.247-24' } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.data.erro.details.map(detail => [detail.field, detail.code]), [['cpf', 'CPF_INVALID']]);
+
+  const created = await server.request('POST', '/usuario', { body: { ...body, email: 'ana@exemplo.com', cpf: '529.982.247-25' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.user.cpf, '***.982.247-**');
+  const stored = await db.User.findByPk(created.data.user.id);
+  assert.equal(stored.getDataValue('cpf'), '52998224725');
+
+  const duplicate = await server.request('POST', '/usuario', { body: { ...body, email: 'outra@exemplo.com', cpf: '52998224725' } });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.data.erro.code, 'USER_ALREADY_EXISTS');
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { mailer } = require('../services/mailer');
+const unescapeEventTexts = require('../migrations/20241110120000-unescape-event-texts');
+
+let server;
+let organizer;
+let ana;
+let bia;
+let caio;
+let location;
+const sent = [];
+
+before(async () => {
+  mock.method(mailer, 'send', async (message) => { sent.push(message); });
+  server = await startServer();
+  const createUser = async (email, cpf) => ({ ...await server.createUser({ email, cpf }), email });
+  organizer = await createUser('organiza@exemplo.com', '52998224725');
+  ana = await createUser('ana@exemplo.com', '11144477735');
+  bia = await createUser('bia@exemplo.com', '12345678909');
+  caio = await createUser('caio@exemplo.com', '98765432100');
+  location = (await server.request('POST', '/local', {
+    token: organizer.token,
+    body: { name: 'Parque & Lago', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  })).data;
+});
+
+after(() => server.close());
+
+const inDays = (days, hours = 0) => new Date(Date.now() + (days * 24 + hours) * 60 * 60 * 1000).toISOString();
+
+const createEvent = async (body = {}) => {
+  const created = await server.request('POST', `/local/${location.id}/eventos`, {
+    token: organizer.token,
+    body: { title: 'Corrida', startsAt: inDays(2), endsAt: inDays(2, 1), capacity: 1, ...body },
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.data));
+  return created.data;
+};
+
+const join = (event, user) => server.request('POST', `/eventos/${event.id}/participar`, { token: user.token });
+const details = async event => (await server.request('GET', `/eventos/${event.id}`)).data;
+const mailsTo = (user, from) => sent.slice(from).filter(message => message.to === user.email);
+
+test('título e descrição são gravados como enviados e escapados só no .ics', async () => {
+  const event = await createEvent({ title: 'Corrida & <Treino>', description: 'Ritmo "leve", 5 km; água' });
+  assert.deepEqual([event.title, event.description], ['Corrida & <Treino>', 'Ritmo "leve", 5 km; água']);
+  assert.equal((await details(event)).title, 'Corrida & <Treino>');
+
+  await join(event, organizer);
+  const { feedUrl } = (await server.request('POST', '/usuario/me/calendario', { token: organizer.token })).data;
+  const feed = await server.request('GET', new URL(feedUrl).pathname);
+  assert.equal(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  const ics = feed.data.replace(/\r\n /g, '');
+  assert.match(ics, /\r\nSUMMARY:Corrida & <Treino>\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Ritmo "leve"\\, 5 km\\; água\r\n/);
+  assert.match(ics, /\r\nLOCATION:Parque & Lago\\, Rua A\\, 1\r\n/);
+  assert.ok(!ics.includes('&amp;'));
+  await server.request('DELETE', `/eventos/${event.id}`, { token: organizer.token });
+});
+
+test('a migração devolve ao original os textos gravados com escape', async () => {
+  const event = await createEvent();
+  await db.Event.update({ title: 'Corrida &amp; caminhada', description: '&lt;5 km&gt; &quot;leve&quot;' }, { where: { id: event.id } });
+  await unescapeEventTexts.up(db.sequelize.getQueryInterface());
+  const stored = await db.Event.findByPk(event.id);
+  assert.deepEqual([stored.title, stored.description], ['Corrida & caminhada', '<5 km> "leve"']);
+  await stored.destroy();
+});
+
+test('a lista de espera anda por ordem de inscrição quando um confirmado sai', async () => {
+  const event = await createEvent();
+  assert.deepEqual((await join(event, ana)).data, { eventId: event.id, status: 'confirmed' });
+  assert.deepEqual((await join(event, bia)).data, { eventId: event.id, status: 'waitlisted', waitlistPosition: 1 });
+  assert.deepEqual((await join(event, caio)).data, { eventId: event.id, status: 'waitlisted', waitlistPosition: 2 });
+  const again = await join(event, caio);
+  assert.equal(again.status, 200);
+  assert.equal(again.data.waitlistPosition, 2);
+  const { confirmedCount, waitlistCount, spotsLeft } = await details(event);
+  assert.deepEqual([confirmedCount, waitlistCount, spotsLeft], [1, 2, 0]);
+
+  const start = sent.length;
+  assert.equal((await server.request('DELETE', `/eventos/${event.id}/participar`, { token: ana.token })).status, 200);
+  assert.equal(mailsTo(bia, start).length, 1);
+  assert.match(mailsTo(bia, start)[0].subject, /foi confirmada/);
+  assert.equal((await join(event, bia)).data.status, 'confirmed');
+  assert.equal((await join(event, caio)).data.waitlistPosition, 1);
+
+  // Quem sai da lista de espera não libera vaga nenhuma.
+  assert.equal((await server.request('DELETE', `/eventos/${event.id}/participar`, { token: caio.token })).status, 200);
+  assert.equal((await details(event)).confirmedCount, 1);
+  assert.equal((await server.request('DELETE', `/eventos/${event.id}/participar`, { token: caio.token })).data.erro.code, 'NOT_ATTENDING_EVENT');
+  await server.request('DELETE', `/eventos/${event.id}`, { token: organizer.token });
+});
+
+test('só o organizador altera o evento; mais vagas confirmam a lista de espera', async () => {
+  const event = await createEvent();
+  await join(event, ana);
+  await join(event, bia);
+  await join(event, caio);
+
+  const forbidden = await server.request('PUT', `/eventos/${event.id}`, { token: ana.token, body: { capacity: 10 } });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.data.erro.code, 'EVENT_FORBIDDEN');
+
+  const start = sent.length;
+  const updated = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { capacity: 2, title: 'Corrida longa' } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.data.title, updated.data.capacity, updated.data.confirmedCount, updated.data.waitlistCount], ['Corrida longa', 2, 2, 1]);
+  assert.equal(mailsTo(bia, start).length, 1);
+  assert.deepEqual([mailsTo(ana, start).length, mailsTo(caio, start).length], [0, 0]);
+
+  const below = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { capacity: 1 } });
+  assert.equal(below.status, 400);
+  assert.equal(below.data.erro.code, 'CAPACITY_BELOW_CONFIRMED');
+  assert.match(below.data.erro.message, /2/);
+
+  const endsBefore = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { endsAt: inDays(1) } });
+  assert.equal(endsBefore.status, 400);
+  assert.equal(endsBefore.data.erro.code, 'ENDS_BEFORE_STARTS');
+  const invalid = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { title: '', startsAt: inDays(-1) } });
+  assert.deepEqual(invalid.data.erro.details.map(detail => detail.code).sort(), ['DATE_NOT_IN_FUTURE', 'TITLE_REQUIRED']);
+  assert.equal((await details(event)).capacity, 2);
+  await server.request('DELETE', `/eventos/${event.id}`, { token: organizer.token });
+});
+
+test('uma mudança de horário é avisada a todos os inscritos', async () => {
+  const event = await createEvent();
+  await join(event, ana);
+  await join(event, bia);
+
+  const start = sent.length;
+  const moved = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { startsAt: inDays(3), endsAt: inDays(3, 2) } });
+  assert.equal(moved.status, 200);
+  assert.deepEqual([mailsTo(ana, start).length, mailsTo(bia, start).length, mailsTo(caio, start).length], [1, 1, 0]);
+  assert.match(mailsTo(ana, start)[0].subject, /mudou de horário/);
+
+  const renamed = sent.length;
+  await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { description: 'Com alongamento', startsAt: moved.data.startsAt } });
+  assert.equal(sent.length, renamed);
+
+  await db.Event.update({ startsAt: inDays(0, -1), endsAt: inDays(0, 1) }, { where: { id: event.id } });
+  const started = await server.request('PUT', `/eventos/${event.id}`, { token: organizer.token, body: { title: 'Tarde demais' } });
+  assert.equal(started.status, 400);
+  assert.equal(started.data.erro.code, 'EVENT_EDIT_ALREADY_STARTED');
+  assert.equal((await join(event, caio)).data.erro.code, 'EVENT_ALREADY_STARTED');
+});
+
+test('o cancelamento remove o evento e avisa os inscritos', async () => {
+  const event = await createEvent();
+  await join(event, ana);
+  await join(event, bia);
+
+  const forbidden = await server.request('DELETE', `/eventos/${event.id}`, { token: bia.token });
+  assert.equal(forbidden.status, 403);
+
+  const start = sent.length;
+  const cancelled = await server.request('DELETE', `/eventos/${event.id}`, { token: organizer.token });
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual([mailsTo(ana, start).length, mailsTo(bia, start).length], [1, 1]);
+  assert.match(mailsTo(ana, start)[0].subject, /foi cancelado/);
+  assert.equal((await server.request('GET', `/eventos/${event.id}`)).status, 404);
+  assert.equal(await db.EventAttendee.count({ where: { eventId: event.id } }), 0);
+  assert.equal((await server.request('DELETE', `/eventos/${event.id}`, { token: organizer.token })).data.erro.code, 'EVENT_NOT_FOUND');
+});
+
+test('o .ics traz só os eventos confirmados e um novo link invalida o anterior', async () => {
+  const full = await createEvent({ title: 'Lotado' });
+  const open = await createEvent({ title: 'Com vaga', capacity: 5, startsAt: inDays(4), endsAt: inDays(4, 1) });
+  await join(full, bia);
+  await join(full, caio);
+  await join(open, caio);
+
+  const first = (await server.request('POST', '/usuario/me/calendario', { token: caio.token })).data.feedUrl;
+  const ics = (await server.request('GET', new URL(first).pathname)).data;
+  assert.deepEqual([...ics.matchAll(/\r\nSUMMARY:(.*)\r\n/g)].map(match => match[1]), ['Com vaga']);
+  assert.match(ics, new RegExp(`\\r\\nUID:evento-${open.id}@`));
+
+  const second = (await server.request('POST', '/usuario/me/calendario', { token: caio.token })).data.feedUrl;
+  assert.notEqual(second, first);
+  const old = await server.request('GET', new URL(first).pathname);
+  assert.equal(old.status, 404);
+  assert.equal(old.data.erro.code, 'CALENDAR_NOT_FOUND');
+  assert.equal((await server.request('GET', new URL(second).pathname)).status, 200);
+});
+
+test('a exportação traz os eventos organizados e as inscrições', async () => {
+  const exported = (await server.request('GET', '/usuario/me/exportar', { token: caio.token })).data;
+  assert.deepEqual(exported.eventAttendances.map(attendance => [attendance.Event.title, attendance.status]), [
+    ['Lotado', 'waitlisted'], ['Com vaga', 'confirmed'],
+  ]);
+  assert.deepEqual(exported.organizedEvents, []);
+  const byOrganizer = (await server.request('GET', '/usuario/me/exportar', { token: organizer.token })).data;
+  assert.deepEqual(byOrganizer.organizedEvents.map(event => event.title), ['Corrida', 'Lotado', 'Com vaga']);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { geocoder, createGeocoder, createProvider, createLocalProvider } = require('../services/geocoding');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'geo@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+// Provedor que conta as chamadas e pode falhar, para observar o cache do geocodificador.
+const countingProvider = (geocode) => {
+  const provider = { name: 'contador', minIntervalMs: 0, calls: 0 };
+  provider.geocode = async (address) => {
+    provider.calls += 1;
+    return geocode(address);
+  };
+  return provider;
+};
+
+test('o provedor local é determinístico e fica na região de São Paulo', async () => {
+  const provider = createLocalProvider();
+  const first = await provider.geocode('Av. Paulista, 1578');
+  assert.deepEqual(await provider.geocode('Av. Paulista, 1578'), first);
+  assert.notDeepEqual(await provider.geocode('Rua Augusta, 10'), first);
+  assert.ok(first.latitude >= -23.8 && first.latitude <= -23.4);
+  assert.ok(first.longitude >= -46.85 && first.longitude <= -46.35);
+
+  const withFixtures = createLocalProvider({ fixtures: { 'Lugar nenhum': null, Ibirapuera: { latitude: -23.58, longitude: -46.65 } } });
+  assert.equal(await withFixtures.geocode('Lugar nenhum'), null);
+  assert.deepEqual(await withFixtures.geocode('Ibirapuera'), { latitude: -23.58, longitude: -46.65 });
+});
+
+test('o geocodificador guarda em cache por endereço normalizado', async () => {
+  const provider = countingProvider(() => ({ latitude: 1, longitude: 2 }));
+  const geocoder = createGeocoder(provider);
+  await Promise.all([geocoder.geocode('Rua A,  1'), geocoder.geocode(' rua a, 1 ')]);
+  await geocoder.geocode('RUA A, 1');
+  assert.equal(provider.calls, 1);
+  assert.equal(await geocoder.geocode('   '), null);
+  assert.equal(provider.calls, 1);
+
+  geocoder.clearCache();
+  await geocoder.geocode('Rua A, 1');
+  assert.equal(provider.calls, 2);
+});
+
+test('falhas do provedor não ficam no cache', async () => {
+  let fail = true;
+  const provider = countingProvider(() => {
+    if (fail) {
+      throw new Error('indisponível');
+    }
+    return { latitude: 1, longitude: 2 };
+  });
+  const geocoder = createGeocoder(provider);
+  await assert.rejects(geocoder.geocode('Rua B'), /indisponível/);
+  fail = false;
+  assert.deepEqual(await geocoder.geocode('Rua B'), { latitude: 1, longitude: 2 });
+  assert.equal(provider.calls, 2);
+});
+
+test('createProvider recusa provedores desconhecidos', () => {
+  assert.equal(createProvider('local').name, 'local');
+  assert.throws(() => createProvider('inexistente'), /inexistente/);
+});
+
+test('locais sem coordenadas são geocodificados pelo endereço ao criar e ao trocar o endereço', async () => {
+  const provider = createLocalProvider();
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Parque', description: 'Pista de corrida', address: 'Av. Pedro Álvares Cabral, 100' },
+  });
+  assert.equal(created.status, 201);
+  const expected = await provider.geocode('Av. Pedro Álvares Cabral, 100');
+  assert.equal(created.data.latitude, expected.latitude);
+  assert.equal(created.data.longitude, expected.longitude);
+
+  const moved = await server.request('PUT', `/local/${created.data.id}`, {
+    token: owner.token,
+    body: { address: 'Rua Vergueiro, 1000' },
+  });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(
+    { latitude: moved.data.latitude, longitude: moved.data.longitude },
+    await provider.geocode('Rua Vergueiro, 1000'),
+  );
+
+  const informed = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Academia', description: 'Musculação', address: 'Rua Vergueiro, 1000', latitude: -23.5, longitude: -46.6 },
+  });
+  assert.equal(informed.data.latitude, -23.5);
+  assert.equal(informed.data.longitude, -46.6);
+});
+
+test('o link do Google Maps geocodifica locais sem coordenadas sem gravar nada', async () => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Praça', description: 'Barras', address: 'Praça da Sé', latitude: -23.55, longitude: -46.63 },
+  });
+  const cleared = await server.request('PATCH', `/local/${created.data.id}`, {
+    token: owner.token,
+    body: { latitude: null, longitude: null },
+  });
+  assert.equal(cleared.data.latitude, null);
+
+  const maps = await server.request('GET', `/local/${created.data.id}/maps`, { token: owner.token });
+  assert.equal(maps.status, 200);
+  const expected = await createLocalProvider().geocode('Praça da Sé');
+  assert.equal(maps.data.googleMapsLink, `https://www.google.com/maps/search/?api=1&query=${expected.latitude},${expected.longitude}`);
+
+  const stored = await db.Location.findByPk(created.data.id);
+  assert.equal(stored.latitude, null);
+  assert.equal(stored.version, cleared.data.version);
+});
+
+test('coordenadas enviadas junto com o novo endereço são mantidas, mesmo sem mudar de valor', async () => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Quadra', description: 'Vôlei', address: 'Rua Um, 1', latitude: -23.51, longitude: -46.61 },
+  });
+  for (const method of ['PUT', 'PATCH']) {
+    const updated = await server.request(method, `/local/${created.data.id}`, {
+      token: owner.token,
+      body: { address: `Rua ${method}, 2`, latitude: -23.51, longitude: -46.61 },
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual([updated.data.address, updated.data.latitude, updated.data.longitude], [`Rua ${method}, 2`, -23.51, -46.61]);
+  }
+});
+
+test('um endereço que o geocodificador não encontra não apaga as coordenadas anteriores', async (t) => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Pista', description: 'Skate', address: 'Rua Dois, 2', latitude: -23.52, longitude: -46.62 },
+  });
+  t.mock.method(geocoder, 'geocode', async () => null);
+  const updated = await server.request('PUT', `/local/${created.data.id}`, {
+    token: owner.token,
+    body: { address: 'Endereço que não existe' },
+  });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.data.latitude, updated.data.longitude], [-23.52, -46.62]);
+  assert.equal(geocoder.geocode.mock.callCount(), 1);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+// Banco SQLite em memória, geocodificação determinística e emails gravados em arquivo:
+// os testes rodam sem Postgres, sem rede e sem SMTP. Precisa vir antes de carregar os modelos.
+process.env.DB_DIALECT = 'sqlite';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'segredo-dos-testes';
+process.env.GEOCODER_PROVIDER = 'local';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = path.join(os.tmpdir(), 'exercita365-test-emails');
+
+const db = require('../models');
+
+db.sequelize.options.logging = false;
+
+// Cria as tabelas e sobe o app numa porta livre. Devolve um cliente HTTP e a função que encerra o servidor.
+const startServer = async () => {
+  await db.sequelize.sync({ force: true });
+  const app = require('../index');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Corpos FormData seguem como multipart (o fetch define o Content-Type); os demais, como JSON.
+  const request = async (method, url, { body, token, headers = {} } = {}) => {
+    const form = body instanceof FormData;
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(form ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined || form ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (erro) {
+      // corpo em texto puro
+    }
+    return { status: response.status, headers: response.headers, data };
+  };
+
+  // Cadastra um usuário e devolve o id e os tokens emitidos no cadastro.
+  const createUser = async ({ email, cpf }) => {
+    const created = await request('POST', '/usuario', {
+      body: { name: email, gender: 'F', cpf, address: 'Rua A, 1', email, password: 'senha1234', birthdate: '1990-01-01' },
+    });
+    if (created.status !== 201) {
+      throw new Error(`Cadastro falhou: ${created.status} ${JSON.stringify(created.data)}`);
+    }
+    return { id: created.data.user.id, token: created.data.token, refreshToken: created.data.refreshToken };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.sequelize.close();
+  };
+
+  return { request, createUser, close };
+};
+
+module.exports = {
+  db,
+  startServer,
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { translate, describeDetail } = require('../utils/i18n');
+const ptBR = require('../locales/pt-BR');
+const en = require('../locales/en');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'idioma@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+const placeholders = template => (template.match(/\{\w+\}/g) || []).sort();
+
+test('os catálogos têm os mesmos códigos e os mesmos parâmetros em cada mensagem', () => {
+  assert.deepEqual(Object.keys(en).sort(), Object.keys(ptBR).sort());
+  for (const code of Object.keys(ptBR)) {
+    assert.deepEqual(placeholders(en[code]), placeholders(ptBR[code]), code);
+  }
+});
+
+test('translate preenche os parâmetros e cai no próprio código quando não há mensagem', () => {
+  assert.equal(translate('en', 'LIMIT_RANGE', { max: 50 }), 'Limit must be between 1 and 50.');
+  assert.equal(translate('en', 'LIMIT_RANGE'), 'Limit must be between 1 and {max}.');
+  assert.equal(translate('pt-BR', 'CODIGO_INEXISTENTE'), 'CODIGO_INEXISTENTE');
+  assert.deepEqual(describeDetail('en', { field: 'limit', code: 'LIMIT_RANGE', params: { max: 50 } }),
+    { field: 'limit', code: 'LIMIT_RANGE', message: 'Limit must be between 1 and 50.' });
+});
+
+test('o idioma segue o Accept-Language, com pt-BR como padrão', async () => {
+  const cases = [
+    [undefined, 'pt-BR', ptBR.ROUTE_NOT_FOUND],
+    ['en', 'en', en.ROUTE_NOT_FOUND],
+    ['en-US,en;q=0.9', 'en', en.ROUTE_NOT_FOUND],
+    ['fr-FR, en;q=0.5', 'en', en.ROUTE_NOT_FOUND],
+    ['fr', 'pt-BR', ptBR.ROUTE_NOT_FOUND],
+    ['en;q=0.4, pt-BR', 'pt-BR', ptBR.ROUTE_NOT_FOUND],
+  ];
+  for (const [acceptLanguage, language, message] of cases) {
+    const response = await server.request('GET', '/rota-inexistente', { headers: acceptLanguage ? { 'Accept-Language': acceptLanguage } : {} });
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('content-language'), language, acceptLanguage);
+    assert.deepEqual(response.data, { erro: { code: 'ROUTE_NOT_FOUND', message } });
+  }
+});
+
+test('os detalhes de validação trazem campo, código e mensagem traduzida com os parâmetros', async () => {
+  const query = '/local?limit=500&sort=cor&offset=-1';
+  const english = await server.request('GET', query, { token: owner.token, headers: { 'Accept-Language': 'en' } });
+  assert.equal(english.status, 400);
+  assert.equal(english.data.erro.code, 'VALIDATION_FAILED');
+  assert.equal(english.data.erro.message, en.VALIDATION_FAILED);
+  const byField = Object.fromEntries(english.data.erro.details.map(detail => [detail.field, detail]));
+  assert.deepEqual(byField.limit, { field: 'limit', code: 'LIMIT_RANGE', message: 'Limit must be between 1 and 100.' });
+  assert.equal(byField.offset.code, 'OFFSET_INVALID');
+  assert.equal(byField.sort.code, 'SORT_INVALID');
+  assert.doesNotMatch(byField.sort.message, /\{fields\}/);
+
+  const portuguese = await server.request('GET', query, { token: owner.token });
+  assert.equal(portuguese.data.erro.message, ptBR.VALIDATION_FAILED);
+  assert.equal(portuguese.data.erro.details.find(detail => detail.field === 'limit').message, 'O limite deve estar entre 1 e 100.');
+});
+
+test('erros de autenticação e de corpo inválido usam o mesmo envelope', async () => {
+  const missing = await server.request('GET', '/local', { headers: { 'Accept-Language': 'en' } });
+  assert.equal(missing.status, 401);
+  assert.deepEqual(missing.data, { erro: { code: 'TOKEN_MISSING', message: en.TOKEN_MISSING } });
+
+  const invalidJson = await server.request('POST', '/local', { token: owner.token, body: 'não é um objeto' });
+  assert.equal(invalidJson.status, 400);
+  assert.deepEqual(invalidJson.data, { erro: { code: 'INVALID_JSON', message: ptBR.INVALID_JSON } });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORMAT_NAMES, resolveFormat, parseItems, serializeLocations } = require('../utils/locationFormats');
+const geojson = require('../utils/locationFormats/geojson');
+const kml = require('../utils/locationFormats/kml');
+const gpx = require('../utils/locationFormats/gpx');
+
+// Como ficam gravados no banco: os textos passam pelo escape() do express-validator.
+const STORED = [
+  { id: 1, name: 'Parque &amp; Pista', description: 'Corrida &lt;5km&gt;', address: 'Av. Paulista, 1578', latitude: -23.561414, longitude: -46.655881 },
+  { id: 2, name: 'Academia', description: 'Musculação', address: 'Rua A&#x2F;B, 10', latitude: null, longitude: null },
+];
+
+test('resolveFormat usa o formato informado ou a extensão do arquivo', () => {
+  assert.deepEqual(FORMAT_NAMES, ['geojson', 'kml', 'gpx', 'csv']);
+  assert.equal(resolveFormat('kml').name, 'kml');
+  assert.equal(resolveFormat(undefined, 'locais.JSON').name, 'geojson');
+  assert.equal(resolveFormat(undefined, 'locais.gpx').name, 'gpx');
+  assert.equal(resolveFormat(undefined, 'locais.xlsx'), null);
+  assert.equal(resolveFormat(undefined, ''), null);
+});
+
+test('GeoJSON: exportar e importar devolve os mesmos locais, sem as entidades HTML', () => {
+  const items = geojson.parse(serializeLocations(geojson, STORED, { name: 'Locais' }));
+  assert.deepEqual(items, [
+    { name: 'Parque & Pista', description: 'Corrida <5km>', address: 'Av. Paulista, 1578', latitude: -23.561414, longitude: -46.655881 },
+    { name: 'Academia', description: 'Musculação', address: 'Rua A/B, 10' },
+  ]);
+});
+
+test('GeoJSON: aceita uma Feature isolada e aponta itens que não são pontos', () => {
+  assert.deepEqual(geojson.parse(JSON.stringify({
+    type: 'Feature', properties: { name: 'Praça' }, geometry: { type: 'Point', coordinates: [-46.6, -23.5] },
+  })), [{ name: 'Praça', description: undefined, address: undefined, latitude: -23.5, longitude: -46.6 }]);
+
+  const items = geojson.parse(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Trilha' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+      { type: 'Point', coordinates: [0, 0] },
+      { type: 'Feature', properties: { name: 'Sem ponto' }, geometry: { type: 'Point', coordinates: [1] } },
+    ],
+  }));
+  assert.deepEqual(items, [
+    { name: 'Trilha', error: 'IMPORT_ITEM_NOT_POINT' },
+    { error: 'IMPORT_ITEM_NOT_FEATURE' },
+    { name: 'Sem ponto', error: 'IMPORT_ITEM_NOT_POINT' },
+  ]);
+});
+
+test('GeoJSON: arquivos que não são coleções de features são inválidos', () => {
+  assert.equal(geojson.parse('{"type": "FeatureCollection", '), null);
+  assert.equal(geojson.parse('[]'), null);
+  assert.equal(geojson.parse('{"type": "FeatureCollection", "features": {}}'), null);
+  assert.equal(geojson.parse('null'), null);
+});
+
+test('KML: exportar e importar devolve os mesmos locais', () => {
+  const text = serializeLocations(kml, STORED, { name: 'Meus <locais>' });
+  assert.match(text, /<name>Meus &lt;locais&gt;<\/name>/);
+  assert.deepEqual(kml.parse(text), [
+    { name: 'Parque & Pista', description: 'Corrida <5km>', address: 'Av. Paulista, 1578', latitude: '-23.561414', longitude: '-46.655881' },
+    { name: 'Academia', description: 'Musculação', address: 'Rua A/B, 10' },
+  ]);
+});
+
+test('KML: lê Placemarks em pastas aninhadas, os de cada pasta antes dos das subpastas, e o endereço do ExtendedData', () => {
+  const text = `<?xml version="1.0"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Placemark><name>P1</name><Point><coordinates>-46.6, -23.5, 0</coordinates></Point></Placemark>
+      <Folder>
+        <Placemark><name>P2</name><ExtendedData><Data name="Address"><value>Rua B, 2</value></Data></ExtendedData></Placemark>
+        <Folder><Placemark><name>P3</name><LineString><coordinates>0,0 1,1</coordinates></LineString></Placemark></Folder>
+      </Folder>
+      <Placemark><name>P4</name><Point><coordinates>-46.7</coordinates></Point></Placemark>
+    </Document></kml>`;
+  assert.deepEqual(kml.parse(text), [
+    { name: 'P1', description: undefined, address: undefined, latitude: '-23.5', longitude: '-46.6' },
+    { name: 'P4', error: 'IMPORT_ITEM_INVALID_COORDINATES' },
+    { name: 'P2', description: undefined, address: 'Rua B, 2' },
+    { name: 'P3', error: 'IMPORT_ITEM_NOT_POINT' },
+  ]);
+});
+
+test('KML: XML malformado, outro documento ou aninhamento excessivo tornam o arquivo inválido', () => {
+  assert.equal(kml.parse('<kml><Placemark>'), null);
+  assert.equal(kml.parse('<gpx version="1.1"></gpx>'), null);
+  assert.equal(kml.parse('não é xml'), null);
+
+  const deep = `<kml>${'<Folder>'.repeat(5000)}<Placemark><name>x</name></Placemark>${'</Folder>'.repeat(5000)}</kml>`;
+  assert.throws(() => kml.parse(deep));
+  assert.equal(parseItems(kml, deep), null);
+});
+
+test('GPX: exporta só locais com coordenadas e lê o endereço da extensão', () => {
+  const text = serializeLocations(gpx, STORED, { name: 'Locais' });
+  assert.deepEqual(gpx.parse(text), [
+    { name: 'Parque & Pista', description: 'Corrida <5km>', address: 'Av. Paulista, 1578', latitude: '-23.561414', longitude: '-46.655881' },
+  ]);
+});
+
+test('GPX: prefixos de namespace são ignorados e outros documentos são inválidos', () => {
+  const text = `<gpx:gpx xmlns:gpx="http://www.topografix.com/GPX/1/1">
+    <gpx:wpt lat="-23.5" lon="-46.6"><gpx:name>A</gpx:name><gpx:desc>Barras</gpx:desc></gpx:wpt>
+    <gpx:wpt lat="-23.6" lon="-46.7"><gpx:name>B</gpx:name></gpx:wpt>
+  </gpx:gpx>`;
+  assert.deepEqual(gpx.parse(text).map(item => [item.name, item.description, item.latitude, item.longitude]), [
+    ['A', 'Barras', '-23.5', '-46.6'],
+    ['B', undefined, '-23.6', '-46.7'],
+  ]);
+  assert.equal(gpx.parse('<kml></kml>'), null);
+  assert.equal(gpx.parse('<gpx><wpt></gpx>'), null);
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+// Limite baixo de endereços a geocodificar, para exercitar a recusa com arquivos pequenos.
+process.env.IMPORT_MAX_GEOCODED = '3';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const csv = require('../utils/locationFormats/csv');
+const { createLocalProvider } = require('../services/geocoding');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'importa@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+const upload = (text, filename, { query = '', headers } = {}) => {
+  const body = new FormData();
+  body.append('arquivo', new Blob([text]), filename);
+  return server.request('POST', `/local/importar${query}`, { token: owner.token, body, headers });
+};
+
+const ownLocations = () => db.Location.findAll({ where: { userId: owner.id }, order: [['id', 'ASC']] });
+
+test('CSV: separador, apelidos de coluna, aspas e vírgula decimal', () => {
+  const text = '\uFEFFNome;Descrição;Endereço;Lat;Lng\r\n' +
+    'Parque;"Pista; 5km";"Rua A, 1";-23,55;-46,63\r\n' +
+    '\r\n' +
+    '"Academia ""Top""";"Duas\nlinhas";Rua B;;\r\n';
+  assert.deepEqual(csv.parse(text), [
+    { line: 2, name: 'Parque', description: 'Pista; 5km', address: 'Rua A, 1', latitude: '-23.55', longitude: '-46.63' },
+    { line: 4, name: 'Academia "Top"', description: 'Duas\nlinhas', address: 'Rua B', latitude: undefined, longitude: undefined },
+  ]);
+});
+
+test('CSV: sem coluna de nome, vazio ou com aspas sem fechamento é inválido', () => {
+  assert.equal(csv.parse('descricao,endereco\nx,y\n'), null);
+  assert.equal(csv.parse(''), null);
+  assert.equal(csv.parse('name,address\n"Parque,Rua A\n'), null);
+  assert.deepEqual(csv.parse('name\n'), []);
+});
+
+test('CSV: a exportação neutraliza fórmulas e volta igual na importação', () => {
+  const text = csv.serialize([{ name: '=HYPERLINK("x")', description: 'a, "b"', address: '@Rua', latitude: -23.5, longitude: -46.6 }]);
+  assert.match(text, /^\uFEFFname,description,address,latitude,longitude\r\n"'=HYPERLINK\(""x""\)"/);
+  assert.deepEqual(csv.parse(text), [
+    { line: 2, name: '\'=HYPERLINK("x")', description: 'a, "b"', address: '\'@Rua', latitude: '-23.5', longitude: '-46.6' },
+  ]);
+});
+
+test('dry run classifica os itens sem gravar nada', async () => {
+  const text = 'name,description,address,latitude,longitude\n' +
+    'Parque,Pista,Rua A,-23.5,-46.6\n' +
+    ',Sem nome,Rua B,-23.5,-46.6\n' +
+    'parque!,Pista,rua a,-23.5,-46.6\n' +
+    'Praça,Barras,Rua C,95,-46.6\n';
+  const response = await upload(text, 'locais.csv', { query: '?dry_run=true', headers: { 'Accept-Language': 'en' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.data.dryRun, true);
+  assert.deepEqual([response.data.total, response.data.valid, response.data.duplicates, response.data.failed], [4, 1, 1, 2]);
+  assert.deepEqual(response.data.results.map(result => [result.line, result.status]), [
+    [2, 'valid'], [3, 'error'], [4, 'duplicate'], [5, 'error'],
+  ]);
+  assert.equal(response.data.results[2].duplicateOfIndex, 0);
+  assert.deepEqual(response.data.results[1].errors, [{ field: 'name', code: 'NAME_REQUIRED', message: 'Name is required.' }]);
+  assert.equal(response.data.results[3].errors[0].code, 'LATITUDE_RANGE');
+  assert.equal((await ownLocations()).length, 0);
+});
+
+test('itens sem endereço são recusados com erro no próprio item', async () => {
+  const text = 'name,description,address,latitude,longitude\n' +
+    'Parque,Pista,,-23.5,-46.6\n' +
+    'Praça,Barras,   ,-23.5,-46.6\n' +
+    'Quadra,Areia,Rua D,-23.5,-46.6\n';
+  const csvResponse = await upload(text, 'locais.csv', { query: '?dry_run=true' });
+  assert.equal(csvResponse.status, 200);
+  assert.deepEqual(csvResponse.data.results.map(result => [result.status, result.errors && result.errors.map(error => [error.field, error.code])]), [
+    ['error', [['address', 'ADDRESS_REQUIRED']]],
+    ['error', [['address', 'ADDRESS_REQUIRED']]],
+    ['valid', undefined],
+  ]);
+
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { name: 'Sem endereço', description: 'Pista' }, geometry: { type: 'Point', coordinates: [-46.6, -23.5] } }],
+  });
+  const geojsonResponse = await upload(geojson, 'locais.geojson');
+  assert.equal(geojsonResponse.status, 400);
+  assert.deepEqual([geojsonResponse.data.created, geojsonResponse.data.failed], [0, 1]);
+  assert.equal(geojsonResponse.data.results[0].errors[0].code, 'ADDRESS_REQUIRED');
+  assert.equal((await ownLocations()).length, 0);
+});
+
+test('importa os itens válidos, geocodifica os sem coordenadas e aponta duplicatas de locais existentes', async () => {
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Ibirapuera', description: 'Parque', address: 'Av. Pedro Álvares Cabral' }, geometry: null },
+      { type: 'Feature', properties: { name: 'Paulista', description: 'Ciclovia', address: 'Av. Paulista' }, geometry: { type: 'Point', coordinates: [-46.65, -23.56] } },
+      { type: 'Feature', properties: { name: 'Trilha' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+    ],
+  });
+  const response = await upload(geojson, 'locais.json');
+  assert.equal(response.status, 201);
+  assert.deepEqual([response.data.created, response.data.failed], [2, 1]);
+  assert.equal(response.data.results[2].errors[0].code, 'IMPORT_ITEM_NOT_POINT');
+
+  const [ibirapuera, paulista] = await ownLocations();
+  const expected = await createLocalProvider().geocode('Av. Pedro Álvares Cabral');
+  assert.deepEqual([ibirapuera.latitude, ibirapuera.longitude], [expected.latitude, expected.longitude]);
+  assert.deepEqual([paulista.latitude, paulista.longitude], [-23.56, -46.65]);
+  assert.equal(response.data.results[0].id, ibirapuera.id);
+
+  const again = await upload(geojson, 'locais.geojson', { query: '?dry_run=true' });
+  assert.deepEqual(again.data.results.slice(0, 2).map(result => [result.status, result.duplicateOf]), [
+    ['duplicate', ibirapuera.id], ['duplicate', paulista.id],
+  ]);
+});
+
+test('recusa arquivos com mais endereços a geocodificar que o limite, também no dry run', async () => {
+  const rows = ['Rua 1', 'Rua 2', 'Rua 3', 'Rua 4'].map((address, index) => `Local ${index},Quadra,${address}`);
+  const text = ['name,description,address', ...rows].join('\n');
+  for (const query of ['', '?dry_run=true']) {
+    const response = await upload(text, 'locais.csv', { query });
+    assert.equal(response.status, 400);
+    assert.equal(response.data.erro.code, 'IMPORT_TOO_MANY_TO_GEOCODE');
+  }
+  // Endereços repetidos contam uma vez só.
+  const repeated = ['name,description,address', 'A,Quadra,Rua 1', 'B,Quadra,Rua 1', 'C,Quadra,Rua 2', 'D,Quadra,Rua 3'].join('\n');
+  assert.equal((await upload(repeated, 'locais.csv', { query: '?dry_run=true' })).status, 200);
+});
+
+test('arquivos inválidos, vazios ou de formato desconhecido são recusados', async () => {
+  const deepKml = `<kml>${'<Folder>'.repeat(5000)}<Placemark><name>x</name></Placemark>${'</Folder>'.repeat(5000)}</kml>`;
+  const cases = [
+    [deepKml, 'locais.kml', 'IMPORT_FILE_INVALID'],
+    ['<gpx><wpt></gpx>', 'locais.gpx', 'IMPORT_FILE_INVALID'],
+    ['{"type": "FeatureCollection", "features": []}', 'locais.geojson', 'IMPORT_EMPTY'],
+    ['name,address\n', 'locais.csv', 'IMPORT_EMPTY'],
+    ['qualquer coisa', 'locais.xlsx', 'IMPORT_FORMAT_UNKNOWN'],
+  ];
+  for (const [text, filename, code] of cases) {
+    const response = await upload(text, filename);
+    assert.equal(response.status, 400, filename);
+    assert.equal(response.data.erro.code, code, filename);
+  }
+});
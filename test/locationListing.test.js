@@ -0,0 +1,76 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'filtros@exemplo.com', cpf: '52998224725' });
+  const places = [
+    { name: '100% Fit', address: 'Rua A_1' },
+    { name: '100 Fit', address: 'Rua AB1' },
+    { name: 'Cross Fit', address: 'Rua 50%' },
+  ];
+  for (const place of places) {
+    await server.request('POST', '/local', {
+      token: owner.token,
+      body: { ...place, description: 'Academia', latitude: -23.5, longitude: -46.6 },
+    });
+  }
+});
+
+after(() => server.close());
+
+const names = async (query) => {
+  const response = await server.request('GET', `/local?${new URLSearchParams(query)}`, { token: owner.token });
+  assert.equal(response.status, 200);
+  return response.data.map(location => location.name).sort();
+};
+
+test('os filtros de nome e endereço não diferenciam maiúsculas', async () => {
+  assert.deepEqual(await names({ name: 'FIT' }), ['100 Fit', '100% Fit', 'Cross Fit']);
+  assert.deepEqual(await names({ address: 'rua ab' }), ['100 Fit']);
+});
+
+test('% e _ nos filtros são caracteres literais, não curingas', async () => {
+  assert.deepEqual(await names({ name: '100%' }), ['100% Fit']);
+  assert.deepEqual(await names({ name: '%' }), ['100% Fit']);
+  assert.deepEqual(await names({ address: 'a_1' }), ['100% Fit']);
+  assert.deepEqual(await names({ address: '_' }), ['100% Fit']);
+  assert.deepEqual(await names({ address: '50%' }), ['Cross Fit']);
+});
+
+// Percorre a listagem seguindo o rel="next" do cabeçalho Link e devolve os nomes na ordem.
+const followNextLinks = async (query, check) => {
+  let url = `/local?${new URLSearchParams(query)}`;
+  const visited = [];
+  while (url) {
+    const response = await server.request('GET', url, { token: owner.token });
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    visited.push(...response.data.map(location => location.name));
+    const next = /<([^>]+)>; rel="next"/.exec(response.headers.get('link'));
+    url = null;
+    if (next) {
+      const link = new URL(next[1]);
+      check(link.searchParams);
+      url = link.pathname + link.search;
+    }
+  }
+  return visited;
+};
+
+test('os links de paginação preservam os filtros de data e podem ser seguidos', async () => {
+  const createdFrom = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const createdTo = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const check = (params) => {
+    assert.equal(params.get('createdFrom'), createdFrom);
+    assert.equal(params.get('createdTo'), createdTo);
+  };
+  const all = ['100 Fit', '100% Fit', 'Cross Fit'];
+  assert.deepEqual(await followNextLinks({ createdFrom, createdTo, limit: 1, sort: 'name' }, check), all);
+  assert.deepEqual(await followNextLinks({ createdFrom, createdTo, limit: 2, sort: 'name', cursor: '' }, check), all);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let owner;
+let editor;
+let viewer;
+let stranger;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  editor = await server.createUser({ email: 'editor@exemplo.com', cpf: '11144477735' });
+  viewer = await server.createUser({ email: 'leitor@exemplo.com', cpf: '12345678909' });
+  stranger = await server.createUser({ email: 'estranho@exemplo.com', cpf: '98765432100' });
+});
+
+after(() => server.close());
+
+const createLocation = async () => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Parque', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  });
+  assert.equal(created.status, 201);
+  for (const [email, permission] of [['editor@exemplo.com', 'editor'], ['leitor@exemplo.com', 'viewer']]) {
+    await server.request('POST', `/local/${created.data.id}/compartilhamentos`, { token: owner.token, body: { email, permission } });
+  }
+  return created.data;
+};
+
+const history = async (location, token = viewer.token, query = '') => {
+  const response = await server.request('GET', `/local/${location.id}/historico${query}`, { token });
+  assert.equal(response.status, 200);
+  return response;
+};
+
+test('o histórico registra autor, versão e só os campos alterados', async () => {
+  const location = await createLocation();
+  await server.request('PUT', `/local/${location.id}`, { token: editor.token, body: { name: 'Parque Novo', description: 'Pista' } });
+  await server.request('PUT', `/local/${location.id}`, {
+    token: owner.token, body: { openingHours: { weekly: [{ weekday: 1, opensAt: '06:00', closesAt: '22:00' }] } },
+  });
+
+  const { data, headers } = await history(location);
+  assert.equal(headers.get('x-total-count'), '2');
+  assert.deepEqual(data.map(revision => [revision.action, revision.actor.id]), [['update', editor.id], ['create', owner.id]]);
+  assert.deepEqual(data[0].changes, { name: { from: 'Parque', to: 'Parque Novo' } });
+  assert.equal(data[0].version, data[1].version + 1);
+  assert.deepEqual(data[1].changes.address, { from: null, to: 'Rua A, 1' });
+  assert.equal(data[0].snapshot.name, 'Parque Novo');
+
+  assert.equal((await history(location, viewer.token, '?limit=1&offset=1')).data[0].action, 'create');
+  const hidden = await server.request('GET', `/local/${location.id}/historico`, { token: stranger.token });
+  assert.equal(hidden.status, 404);
+});
+
+test('reverter restaura a versão pedida e entra no histórico como nova versão', async () => {
+  const location = await createLocation();
+  const first = (await history(location)).data[0].version;
+  await server.request('PUT', `/local/${location.id}`, { token: owner.token, body: { name: 'Parque Novo', address: 'Rua B, 2', latitude: -23.6, longitude: -46.7 } });
+
+  const reverted = await server.request('POST', `/local/${location.id}/reverter/${first}`, { token: editor.token });
+  assert.equal(reverted.status, 200);
+  assert.deepEqual([reverted.data.name, reverted.data.address, reverted.data.latitude, reverted.data.longitude], ['Parque', 'Rua A, 1', -23.5, -46.6]);
+  assert.equal(reverted.headers.get('etag'), `"${location.id}-${reverted.data.version}"`);
+
+  const [latest] = (await history(location)).data;
+  assert.deepEqual([latest.action, latest.revertedFromVersion, latest.version, latest.actor.id], ['update', first, reverted.data.version, editor.id]);
+  assert.deepEqual(Object.keys(latest.changes).sort(), ['address', 'latitude', 'longitude', 'name']);
+});
+
+test('reverter exige permissão de edição, versão existente e If-Match atual', async () => {
+  const location = await createLocation();
+  const [{ version }] = (await history(location)).data;
+  await server.request('PUT', `/local/${location.id}`, { token: owner.token, body: { name: 'Parque Novo' } });
+
+  assert.equal((await server.request('POST', `/local/${location.id}/reverter/${version}`, { token: viewer.token })).status, 403);
+  for (const missing of [version + 10, 'abc']) {
+    const response = await server.request('POST', `/local/${location.id}/reverter/${missing}`, { token: owner.token });
+    assert.equal(response.status, 404);
+    assert.equal(response.data.erro.code, 'VERSION_NOT_FOUND');
+  }
+  const stale = await server.request('POST', `/local/${location.id}/reverter/${version}`, {
+    token: owner.token, headers: { 'If-Match': `"${location.id}-${version}"` },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal((await db.Location.findByPk(location.id)).name, 'Parque Novo');
+});
+
+test('reverter não desfaz uma transferência e o histórico sobrevive à exclusão', async () => {
+  const location = await createLocation();
+  const [{ version }] = (await history(location)).data;
+  await server.request('POST', `/local/${location.id}/transferir`, { token: owner.token, body: { email: 'editor@exemplo.com' } });
+  const [transfer] = (await history(location)).data;
+  assert.deepEqual(transfer.changes, { userId: { from: owner.id, to: editor.id } });
+
+  const reverted = await server.request('POST', `/local/${location.id}/reverter/${version}`, { token: editor.token });
+  assert.equal(reverted.status, 200);
+  assert.equal(reverted.data.userId, editor.id);
+
+  assert.equal((await server.request('DELETE', `/local/${location.id}`, { token: editor.token })).status, 200);
+  const revisions = await db.LocationRevision.findAll({ where: { locationId: location.id }, order: [['id', 'ASC']] });
+  assert.deepEqual(revisions.map(revision => revision.action), ['create', 'update', 'delete']);
+  assert.equal(revisions.at(-1).actorId, editor.id);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { searchWithLike } = require('../services/locationSearch');
+
+let server;
+const ids = {};
+
+before(async () => {
+  server = await startServer();
+  const owner = await server.createUser({ email: 'busca@exemplo.com', cpf: '52998224725' });
+  const places = [
+    { key: 'academia', name: 'Academia São João', description: 'Musculação e natação', address: 'Rua das Flores, 10' },
+    { key: 'parque', name: 'Parque Joao', description: 'Pista para corrida', address: 'Av. Academia, 5' },
+    { key: 'clube', name: 'Clube', description: 'Quadra de tênis', address: 'Rua Sao Joao, 1' },
+    { key: 'jardim', name: 'Jardim', description: 'Jogos de mesa', address: 'Rua Jaraguá, 2' },
+  ];
+  for (const { key, ...place } of places) {
+    const created = await server.request('POST', '/local', {
+      token: owner.token,
+      body: { ...place, latitude: -23.5, longitude: -46.6 },
+    });
+    ids[key] = created.data.id;
+  }
+});
+
+after(() => server.close());
+
+const search = async (q, limit) => {
+  const response = await server.request('GET', `/locais/busca?q=${encodeURIComponent(q)}${limit ? `&limit=${limit}` : ''}`);
+  assert.equal(response.status, 200);
+  return response.data;
+};
+
+test('fora do PostgreSQL a busca exige todos os termos, sem diferenciar acentos', async () => {
+  assert.deepEqual((await search('academia sao joao')).map(location => location.id), [ids.academia]);
+  assert.deepEqual((await search('NATACAO')).map(location => location.id), [ids.academia]);
+  assert.deepEqual((await search('tenis')).map(location => location.id), [ids.clube]);
+});
+
+test('o curinga usado no lugar das letras acentuadas não deixa passar falsos positivos', async () => {
+  // "joao" vira %j___% no LIKE, que também casa com "Jardim" e "Jogos"; o filtro em JS os descarta.
+  const found = (await search('joao')).map(location => location.id);
+  assert.ok(!found.includes(ids.jardim));
+  assert.equal(found.length, 3);
+});
+
+test('ordena pelo peso dos campos encontrados e respeita o limite', async () => {
+  const results = await search('joao');
+  assert.deepEqual(results.map(location => location.id), [ids.academia, ids.parque, ids.clube]);
+  assert.deepEqual(results.map(location => location.rank), [3, 3, 1]);
+
+  assert.deepEqual((await search('academia')).map(location => location.id), [ids.academia, ids.parque]);
+  assert.deepEqual((await search('academia', 1)).map(location => location.id), [ids.academia]);
+});
+
+test('destaca os trechos encontrados preservando os acentos do texto original', async () => {
+  const [location] = await search('sao joao');
+  assert.equal(location.highlight.name, 'Academia <mark>São</mark> <mark>João</mark>');
+  assert.equal(location.highlight.description, 'Musculação e natação');
+});
+
+test('buscas sem termos úteis e textos curtos', async () => {
+  assert.deepEqual(await searchWithLike('a - b', { limit: 20 }), []);
+  const short = await server.request('GET', '/locais/busca?q=a');
+  assert.equal(short.status, 400);
+  assert.equal(short.data.erro.details[0].code, 'SEARCH_TEXT_LENGTH');
+});
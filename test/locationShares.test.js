@@ -0,0 +1,147 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let owner;
+let viewer;
+let editor;
+let stranger;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  viewer = await server.createUser({ email: 'leitor@exemplo.com', cpf: '11144477735' });
+  editor = await server.createUser({ email: 'editor@exemplo.com', cpf: '12345678909' });
+  stranger = await server.createUser({ email: 'estranho@exemplo.com', cpf: '98765432100' });
+});
+
+after(() => server.close());
+
+const createLocation = async (name) => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+};
+
+const share = (location, email, permission, token = owner.token) => server.request('POST', `/local/${location.id}/compartilhamentos`, {
+  token, body: { email, permission },
+});
+
+const shareWithBoth = async (location) => {
+  assert.equal((await share(location, 'leitor@exemplo.com', 'viewer')).status, 201);
+  assert.equal((await share(location, 'editor@exemplo.com', 'editor')).status, 201);
+};
+
+test('leitores só consultam; editores também alteram; só o dono exclui e compartilha', async () => {
+  const location = await createLocation('Parque');
+  await shareWithBoth(location);
+
+  const seen = await server.request('GET', `/local/${location.id}`, { token: viewer.token });
+  assert.deepEqual([seen.status, seen.data.permission], [200, 'viewer']);
+  const viewerEdit = await server.request('PUT', `/local/${location.id}`, { token: viewer.token, body: { name: 'Outro' } });
+  assert.equal(viewerEdit.status, 403);
+  assert.equal(viewerEdit.data.erro.code, 'LOCATION_FORBIDDEN');
+
+  const edited = await server.request('PUT', `/local/${location.id}`, { token: editor.token, body: { name: 'Parque Editado' } });
+  assert.deepEqual([edited.status, edited.data.name], [200, 'Parque Editado']);
+  const patched = await server.request('PATCH', `/local/${location.id}`, {
+    token: editor.token, body: { description: 'Pista nova' }, headers: { 'Content-Type': 'application/merge-patch+json' },
+  });
+  assert.equal(patched.status, 200);
+
+  for (const user of [viewer, editor]) {
+    assert.equal((await server.request('DELETE', `/local/${location.id}`, { token: user.token })).status, 403);
+    assert.equal((await server.request('GET', `/local/${location.id}/compartilhamentos`, { token: user.token })).status, 403);
+    assert.equal((await share(location, 'estranho@exemplo.com', 'viewer', user.token)).status, 403);
+    assert.equal((await server.request('POST', `/local/${location.id}/transferir`, { token: user.token, body: { email: 'estranho@exemplo.com' } })).status, 403);
+  }
+
+  const hidden = await server.request('GET', `/local/${location.id}`, { token: stranger.token });
+  assert.equal(hidden.status, 404);
+  assert.equal(hidden.data.erro.code, 'LOCATION_NOT_FOUND');
+  assert.equal((await server.request('PUT', `/local/${location.id}`, { token: stranger.token, body: { name: 'x' } })).status, 404);
+});
+
+test('compartilhar de novo troca a permissão e a lista mostra o nível de cada um', async () => {
+  const location = await createLocation('Quadra');
+  await shareWithBoth(location);
+  const promoted = await share(location, 'leitor@exemplo.com', 'editor');
+  assert.deepEqual([promoted.status, promoted.data.permission], [200, 'editor']);
+
+  const shares = await server.request('GET', `/local/${location.id}/compartilhamentos`, { token: owner.token });
+  assert.deepEqual(shares.data.map(item => [item.user.email, item.permission]), [['leitor@exemplo.com', 'editor'], ['editor@exemplo.com', 'editor']]);
+  const mine = await server.request('GET', '/usuario/me/locais-compartilhados', { token: viewer.token });
+  assert.ok(mine.data.some(item => item.id === location.id && item.permission === 'editor'));
+
+  const cases = [
+    ['dono@exemplo.com', 'viewer', 400, 'SHARE_WITH_OWNER'],
+    ['ninguem@exemplo.com', 'viewer', 404, 'USER_NOT_FOUND'],
+  ];
+  for (const [email, permission, status, code] of cases) {
+    const response = await share(location, email, permission);
+    assert.deepEqual([response.status, response.data.erro.code], [status, code]);
+  }
+  const invalid = await share(location, 'estranho@exemplo.com', 'owner');
+  assert.equal(invalid.data.erro.details[0].code, 'PERMISSION_INVALID');
+});
+
+test('cada um pode sair de um compartilhamento, mas só o dono remove os outros', async () => {
+  const location = await createLocation('Academia');
+  await shareWithBoth(location);
+
+  const byEditor = await server.request('DELETE', `/local/${location.id}/compartilhamentos/${viewer.id}`, { token: editor.token });
+  assert.equal(byEditor.status, 403);
+  assert.equal(byEditor.data.erro.code, 'SHARE_REMOVE_FORBIDDEN');
+
+  assert.equal((await server.request('DELETE', `/local/${location.id}/compartilhamentos/${viewer.id}`, { token: viewer.token })).status, 200);
+  assert.equal((await server.request('GET', `/local/${location.id}`, { token: viewer.token })).status, 404);
+
+  assert.equal((await server.request('DELETE', `/local/${location.id}/compartilhamentos/${editor.id}`, { token: owner.token })).status, 200);
+  const missing = await server.request('DELETE', `/local/${location.id}/compartilhamentos/${editor.id}`, { token: owner.token });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.data.erro.code, 'LOCATION_NOT_SHARED_WITH_USER');
+});
+
+test('a transferência troca o dono e o anterior continua como editor', async () => {
+  const location = await createLocation('Praça');
+  await shareWithBoth(location);
+
+  const toSelf = await server.request('POST', `/local/${location.id}/transferir`, { token: owner.token, body: { email: 'dono@exemplo.com' } });
+  assert.equal(toSelf.data.erro.code, 'TRANSFER_TO_OWNER');
+
+  const transferred = await server.request('POST', `/local/${location.id}/transferir`, { token: owner.token, body: { email: 'editor@exemplo.com' } });
+  assert.equal(transferred.status, 200);
+  assert.equal(transferred.data.location.userId, editor.id);
+
+  const asEditor = await server.request('GET', `/local/${location.id}`, { token: owner.token });
+  assert.equal(asEditor.data.permission, 'editor');
+  assert.equal((await server.request('DELETE', `/local/${location.id}`, { token: owner.token })).status, 403);
+  assert.equal((await server.request('GET', `/local/${location.id}`, { token: editor.token })).data.permission, 'owner');
+  assert.equal(await db.LocationShare.count({ where: { locationId: location.id, userId: editor.id } }), 0);
+  assert.equal((await server.request('GET', `/local/${location.id}`, { token: viewer.token })).data.permission, 'viewer');
+
+  await db.User.update({ suspendedAt: new Date() }, { where: { id: stranger.id } });
+  const toSuspended = await server.request('POST', `/local/${location.id}/transferir`, { token: editor.token, body: { email: 'estranho@exemplo.com' } });
+  assert.equal(toSuspended.data.erro.code, 'TRANSFER_NOT_ALLOWED');
+  await db.User.update({ suspendedAt: null }, { where: { id: stranger.id } });
+});
+
+test('a exportação traz os compartilhamentos recebidos e concedidos', async () => {
+  const location = await createLocation('Ginásio');
+  await share(location, 'leitor@exemplo.com', 'viewer');
+
+  const received = (await server.request('GET', '/usuario/me/exportar', { token: viewer.token })).data.sharesReceived;
+  assert.ok(received.some(item => item.locationId === location.id && item.permission === 'viewer' && item.Location.name === 'Ginásio'));
+
+  const granted = (await server.request('GET', '/usuario/me/exportar', { token: owner.token })).data.sharesGranted;
+  const grant = granted.find(item => item.locationId === location.id);
+  assert.deepEqual([grant.permission, grant.User.id, grant.User.email], ['viewer', viewer.id, undefined]);
+  // Locais transferidos deixam de ser do titular, então os compartilhamentos deles não aparecem.
+  assert.ok(granted.every(item => item.Location.name !== 'Praça'));
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { applyMergePatch } = require('../utils/mergePatch');
+const { versionETag, ifMatchSatisfied } = require('../utils/etag');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'patch@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+const createLocation = async () => {
+  const created = await server.request('POST', '/local', {
+    token: owner.token,
+    body: {
+      name: 'Parque', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6,
+      openingHours: { weekly: [{ weekday: 1, opensAt: '06:00', closesAt: '22:00' }] },
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+};
+
+const patch = (id, body, headers = {}) => server.request('PATCH', `/local/${id}`, {
+  token: owner.token,
+  body,
+  headers: { 'Content-Type': 'application/merge-patch+json', ...headers },
+});
+
+test('applyMergePatch segue os exemplos da RFC 7386', () => {
+  const cases = [
+    [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+    [{ a: 'b' }, { a: null }, {}],
+    [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+    [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+    [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+    [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+    [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+    [['a', 'b'], ['c', 'd'], ['c', 'd']],
+    [{ a: 'b' }, ['c'], ['c']],
+    [{ a: 'foo' }, null, null],
+    [{ a: 'foo' }, 'bar', 'bar'],
+    [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+    [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+    [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+  ];
+  for (const [target, mergePatch, expected] of cases) {
+    assert.deepEqual(applyMergePatch(target, mergePatch), expected, JSON.stringify([target, mergePatch]));
+  }
+  const target = { a: { b: 1 } };
+  applyMergePatch(target, { a: { b: 2 } });
+  assert.deepEqual(target, { a: { b: 1 } });
+});
+
+test('ifMatchSatisfied usa comparação forte e aceita listas e *', () => {
+  const etag = versionETag({ id: 7, version: 3 });
+  assert.equal(etag, '"7-3"');
+  assert.equal(ifMatchSatisfied(undefined, etag), true);
+  assert.equal(ifMatchSatisfied('"7-3"', etag), true);
+  assert.equal(ifMatchSatisfied('"7-2", "7-3"', etag), true);
+  assert.equal(ifMatchSatisfied('*', etag), true);
+  assert.equal(ifMatchSatisfied('"7-2"', etag), false);
+  assert.equal(ifMatchSatisfied('W/"7-3"', etag), false);
+});
+
+test('PATCH com If-Match desatualizado responde 412 e não altera o local', async () => {
+  const location = await createLocation();
+  const stale = (await server.request('GET', `/local/${location.id}`, { token: owner.token })).headers.get('etag');
+
+  const first = await patch(location.id, { name: 'Parque Novo' }, { 'If-Match': stale });
+  assert.equal(first.status, 200);
+  const current = first.headers.get('etag');
+  assert.notEqual(current, stale);
+
+  const conflict = await patch(location.id, { name: 'Outro nome' }, { 'If-Match': stale });
+  assert.equal(conflict.status, 412);
+  assert.equal(conflict.data.erro.code, 'EDIT_CONFLICT');
+  const weak = await patch(location.id, { name: 'Outro nome' }, { 'If-Match': `W/${current}` });
+  assert.equal(weak.status, 412);
+  const put = await server.request('PUT', `/local/${location.id}`, {
+    token: owner.token, body: { name: 'Outro nome' }, headers: { 'If-Match': stale },
+  });
+  assert.equal(put.status, 412);
+
+  const stored = await db.Location.findByPk(location.id);
+  assert.equal(stored.name, 'Parque Novo');
+  assert.equal(versionETag(stored), current);
+
+  assert.equal((await patch(location.id, { description: 'Pista nova' }, { 'If-Match': '*' })).status, 200);
+});
+
+test('PATCH mescla os horários e troca só as listas enviadas', async () => {
+  const location = await createLocation();
+  const exceptions = [{ date: '2026-12-25', opensAt: null, closesAt: null }];
+  const withExceptions = await patch(location.id, { openingHours: { exceptions } });
+  assert.equal(withExceptions.status, 200);
+  assert.deepEqual(withExceptions.data.openingHours.weekly, [{ weekday: 1, opensAt: '06:00', closesAt: '22:00' }]);
+  assert.deepEqual(withExceptions.data.openingHours.exceptions.map(exception => exception.date), ['2026-12-25']);
+  assert.equal(withExceptions.data.version, location.version + 1);
+
+  const cleared = await patch(location.id, { openingHours: null });
+  assert.deepEqual(cleared.data.openingHours, { weekly: [], exceptions: [] });
+  assert.equal(cleared.data.openNow, null);
+});
+
+test('PATCH remove coordenadas com null, mas não campos obrigatórios', async () => {
+  const location = await createLocation();
+  const withoutCoordinates = await patch(location.id, { latitude: null, longitude: null });
+  assert.equal(withoutCoordinates.status, 200);
+  assert.equal(withoutCoordinates.data.latitude, null);
+  assert.equal(withoutCoordinates.data.name, 'Parque');
+
+  const withoutName = await patch(location.id, { name: null });
+  assert.equal(withoutName.status, 400);
+  assert.equal(withoutName.data.erro.details[0].field, 'name');
+
+  const notObject = await patch(location.id, [{ name: 'x' }]);
+  assert.equal(notObject.status, 400);
+  assert.equal(notObject.data.erro.code, 'MERGE_PATCH_NOT_OBJECT');
+
+  assert.equal((await patch(location.id, { userId: 99 })).status, 400);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { EARTH_RADIUS_KM, haversineDistance } = require('../utils/geo');
+const { findNearbyInMemory } = require('../services/nearbyLocations');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'proximos@exemplo.com', cpf: '52998224725' });
+  const places = [
+    { name: 'Ibirapuera', latitude: -23.587416, longitude: -46.657634 },
+    { name: 'Paulista', latitude: -23.561414, longitude: -46.655881 },
+    { name: 'Campinas', latitude: -22.905560, longitude: -47.060830 },
+  ];
+  for (const place of places) {
+    const created = await server.request('POST', '/local', {
+      token: owner.token,
+      body: { ...place, description: 'Parque', address: `${place.name}, SP` },
+    });
+    assert.equal(created.status, 201);
+  }
+});
+
+after(() => server.close());
+
+test('haversineDistance mede quilômetros sobre a esfera terrestre', () => {
+  const origin = { lat: 0, lng: 0 };
+  assert.equal(haversineDistance(origin, origin), 0);
+  assert.ok(Math.abs(haversineDistance(origin, { lat: 0, lng: 1 }) - 111.195) < 0.001);
+  assert.ok(Math.abs(haversineDistance(origin, { lat: 0, lng: 180 }) - Math.PI * EARTH_RADIUS_KM) < 1e-6);
+  assert.equal(
+    haversineDistance({ lat: -23.5, lng: -46.6 }, { lat: -22.9, lng: -47.1 }),
+    haversineDistance({ lat: -22.9, lng: -47.1 }, { lat: -23.5, lng: -46.6 }),
+  );
+});
+
+test('findNearbyInMemory filtra pelo raio e ordena pela distância', async () => {
+  const locations = await findNearbyInMemory({ lat: -23.587416, lng: -46.657634, radius: 5 });
+  assert.deepEqual(locations.map(location => location.name), ['Ibirapuera', 'Paulista']);
+  assert.equal(locations[0].distance, 0);
+  assert.ok(locations[1].distance > 2.8 && locations[1].distance < 3);
+});
+
+test('GET /locais/proximos usa o cálculo em JS fora do PostgreSQL', async () => {
+  const near = await server.request('GET', '/locais/proximos?lat=-23.5614&lng=-46.6558&raio=100');
+  assert.equal(near.status, 200);
+  assert.deepEqual(near.data.map(location => location.name), ['Paulista', 'Ibirapuera', 'Campinas']);
+  assert.ok(near.data.every(location => typeof location.distance === 'number'));
+
+  const narrow = await server.request('GET', '/locais/proximos?lat=-23.5614&lng=-46.6558&raio=1');
+  assert.deepEqual(narrow.data.map(location => location.name), ['Paulista']);
+
+  const invalid = await server.request('GET', '/locais/proximos?lat=91&lng=0');
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { isOpenAt, validateOpeningHours } = require('../utils/openingHours');
+const { loadOpeningHours, openNowCondition } = require('../services/openingHours');
+
+let server;
+const ids = {};
+
+// 2026-12-18 é uma sexta-feira; 2026-12-20, domingo; 2026-12-21, segunda; 2026-12-25, sexta.
+const SCHEDULES = {
+  comercial: { weekly: [{ weekday: 1, opensAt: '06:00', closesAt: '22:00' }] },
+  madrugada: { weekly: [{ weekday: 5, opensAt: '22:00', closesAt: '02:00' }] },
+  sabado: { weekly: [{ weekday: 6, opensAt: '00:00', closesAt: '24:00' }] },
+  feriados: {
+    weekly: [{ weekday: 1, opensAt: '08:00', closesAt: '12:00' }, { weekday: 5, opensAt: '08:00', closesAt: '12:00' }],
+    exceptions: [
+      { date: '2026-12-21', opensAt: null, closesAt: null },
+      { date: '2026-12-25', opensAt: '10:00', closesAt: '14:00' },
+    ],
+  },
+  domingo: {
+    weekly: [{ weekday: 0, opensAt: '20:00', closesAt: '04:00' }],
+    exceptions: [{ date: '2026-12-20', opensAt: '09:00', closesAt: '12:00' }],
+  },
+  sem_horario: null,
+};
+
+// São Paulo não tem horário de verão desde 2019: o horário local é sempre UTC-3.
+const at = (local) => new Date(`${local}:00-03:00`);
+
+before(async () => {
+  server = await startServer();
+  const owner = await server.createUser({ email: 'horarios@exemplo.com', cpf: '52998224725' });
+  for (const [key, openingHours] of Object.entries(SCHEDULES)) {
+    const created = await server.request('POST', '/local', {
+      token: owner.token,
+      body: {
+        name: key, description: 'Local', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6,
+        ...(openingHours ? { openingHours } : {}),
+      },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    ids[key] = created.data.id;
+  }
+});
+
+after(() => server.close());
+
+const openInSql = async (open, instant) => {
+  const locations = await db.Location.findAll({ attributes: ['name'], where: openNowCondition(open, instant), order: [['id', 'ASC']] });
+  return locations.map(location => location.name);
+};
+
+const openInJs = async (open, instant) => {
+  const schedules = await loadOpeningHours(Object.values(ids));
+  return Object.keys(ids).filter(key => isOpenAt(schedules.get(ids[key]), instant) === open);
+};
+
+test('isOpenAt cobre intervalos normais, madrugadas, dia inteiro e exceções', async () => {
+  const schedule = (key) => ({ exceptions: [], ...SCHEDULES[key] });
+  assert.equal(isOpenAt(schedule('comercial'), at('2026-12-21T06:00')), true);
+  assert.equal(isOpenAt(schedule('comercial'), at('2026-12-21T22:00')), false);
+  assert.equal(isOpenAt(schedule('madrugada'), at('2026-12-18T23:30')), true);
+  assert.equal(isOpenAt(schedule('madrugada'), at('2026-12-19T01:59')), true);
+  assert.equal(isOpenAt(schedule('madrugada'), at('2026-12-19T02:00')), false);
+  assert.equal(isOpenAt(schedule('sabado'), at('2026-12-19T23:59')), true);
+  assert.equal(isOpenAt(schedule('feriados'), at('2026-12-21T09:00')), false);
+  assert.equal(isOpenAt(schedule('feriados'), at('2026-12-25T09:00')), false);
+  assert.equal(isOpenAt(schedule('feriados'), at('2026-12-25T13:00')), true);
+  // A exceção do domingo substitui o intervalo que entraria pela madrugada de segunda.
+  assert.equal(isOpenAt(schedule('domingo'), at('2026-12-21T01:00')), false);
+  assert.equal(isOpenAt(schedule('domingo'), at('2026-12-28T01:00')), true);
+  assert.equal(isOpenAt({ weekly: [], exceptions: [] }, at('2026-12-21T10:00')), null);
+});
+
+test('openNowCondition concorda com isOpenAt a cada meia hora de 18 a 28 de dezembro', async () => {
+  const start = at('2026-12-18T00:00').getTime();
+  const end = at('2026-12-29T00:00').getTime();
+  for (let time = start; time < end; time += 30 * 60 * 1000) {
+    const instant = new Date(time);
+    assert.deepEqual(await openInSql(true, instant), await openInJs(true, instant), `abertos em ${instant.toISOString()}`);
+    assert.deepEqual(await openInSql(false, instant), await openInJs(false, instant), `fechados em ${instant.toISOString()}`);
+  }
+});
+
+test('openNowCondition concorda com isOpenAt nos minutos de abertura e fechamento', async () => {
+  const instants = ['2026-12-18T21:59', '2026-12-18T22:00', '2026-12-19T01:59', '2026-12-19T02:00',
+    '2026-12-20T23:59', '2026-12-21T00:00', '2026-12-25T09:59', '2026-12-25T10:00', '2026-12-25T13:59', '2026-12-25T14:00',
+    '2026-12-27T19:59', '2026-12-28T03:59', '2026-12-28T04:00'].map(at);
+  for (const instant of instants) {
+    assert.deepEqual(await openInSql(true, instant), await openInJs(true, instant), `abertos em ${instant.toISOString()}`);
+    assert.deepEqual(await openInSql(false, instant), await openInJs(false, instant), `fechados em ${instant.toISOString()}`);
+  }
+});
+
+test('locais sem horários cadastrados não entram em nenhum dos filtros', async () => {
+  const instant = at('2026-12-21T10:00');
+  assert.ok(!(await openInSql(true, instant)).includes('sem_horario'));
+  assert.ok(!(await openInSql(false, instant)).includes('sem_horario'));
+});
+
+test('validateOpeningHours aponta sobreposições, inclusive na virada da semana', () => {
+  assert.deepEqual(validateOpeningHours(SCHEDULES.feriados), []);
+  assert.deepEqual(validateOpeningHours({
+    weekly: [{ weekday: 6, opensAt: '22:00', closesAt: '03:00' }, { weekday: 0, opensAt: '02:00', closesAt: '05:00' }],
+  }), [{ code: 'OPENING_HOURS_WEEKLY_OVERLAP', params: { first: 0, second: 1 } }]);
+  assert.deepEqual(validateOpeningHours({ weekly: [{ weekday: 7, opensAt: '08:00', closesAt: '09:00' }] }),
+    [{ code: 'OPENING_HOURS_WEEKDAY_INVALID', params: { index: 0 } }]);
+  assert.deepEqual(validateOpeningHours({
+    exceptions: [{ date: '2026-12-25', opensAt: null, closesAt: null }, { date: '2026-12-25', opensAt: '08:00', closesAt: '09:00' }],
+  }), [{ code: 'OPENING_HOURS_CLOSED_DAY_CONFLICT', params: { date: '2026-12-25' } }]);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Arquivos num diretório temporário e limite baixo, para exercitar a recusa por tamanho.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exercita365-fotos-'));
+process.env.STORAGE_DIR = storageDir;
+process.env.PHOTO_MAX_BYTES = '1024';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { detectImageType } = require('../utils/imageType');
+
+let server;
+let owner;
+let viewer;
+let stranger;
+let location;
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32)]);
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), Buffer.alloc(32)]);
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  viewer = await server.createUser({ email: 'visitante@exemplo.com', cpf: '11144477735' });
+  stranger = await server.createUser({ email: 'estranho@exemplo.com', cpf: '12345678909' });
+  location = (await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Parque', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  await server.request('POST', `/local/${location.id}/compartilhamentos`, {
+    token: owner.token, body: { email: 'visitante@exemplo.com', permission: 'viewer' },
+  });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const upload = (content, filename, { token = owner.token, type = 'image/png' } = {}) => {
+  const body = new FormData();
+  body.append('foto', new Blob([content], { type }), filename);
+  return server.request('POST', `/local/${location.id}/fotos`, { token, body });
+};
+
+test('detectImageType reconhece JPEG, PNG e WebP pelos primeiros bytes', () => {
+  assert.deepEqual(detectImageType(PNG), { contentType: 'image/png', extension: 'png' });
+  assert.deepEqual(detectImageType(JPEG), { contentType: 'image/jpeg', extension: 'jpg' });
+  assert.deepEqual(detectImageType(WEBP), { contentType: 'image/webp', extension: 'webp' });
+  assert.equal(detectImageType(Buffer.from('GIF89a')), null);
+  assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  assert.equal(detectImageType(Buffer.from([0xff, 0xd8])), null);
+});
+
+test('o tipo vem do conteúdo: extensão e Content-Type enviados não valem', async () => {
+  const disguised = await upload('<html><script>alert(1)</script></html>', 'foto.png');
+  assert.equal(disguised.status, 400);
+  assert.equal(disguised.data.erro.code, 'PHOTO_UNSUPPORTED_TYPE');
+
+  const renamed = await upload(JPEG, 'foto.png', { type: 'image/png' });
+  assert.equal(renamed.status, 201);
+  assert.equal(renamed.data.contentType, 'image/jpeg');
+  assert.equal(renamed.data.originalName, 'foto.png');
+  assert.match(renamed.data.url, new RegExp(`/uploads/locations/${location.id}/[0-9a-f-]{36}\\.jpg$`));
+});
+
+test('fotos ausentes, vazias, grandes demais ou em mais de um arquivo são recusadas', async () => {
+  const missing = await server.request('POST', `/local/${location.id}/fotos`, { token: owner.token, body: new FormData() });
+  assert.equal(missing.data.erro.code, 'PHOTO_MISSING');
+  assert.equal((await upload(Buffer.alloc(0), 'vazia.png')).data.erro.code, 'PHOTO_MISSING');
+
+  const large = await upload(Buffer.concat([PNG, Buffer.alloc(2048)]), 'grande.png');
+  assert.equal(large.status, 413);
+  assert.equal(large.data.erro.code, 'PHOTO_TOO_LARGE');
+
+  const body = new FormData();
+  body.append('foto', new Blob([PNG]), 'a.png');
+  body.append('foto', new Blob([PNG]), 'b.png');
+  const two = await server.request('POST', `/local/${location.id}/fotos`, { token: owner.token, body });
+  assert.equal(two.status, 400);
+  assert.equal(two.data.erro.code, 'PHOTO_SINGLE_FILE');
+});
+
+test('o arquivo é servido em /uploads e removido junto com a foto', async () => {
+  const created = await upload(PNG, 'parque.png');
+  assert.equal(created.status, 201);
+  const { pathname } = new URL(created.data.url);
+  const served = await server.request('GET', pathname);
+  assert.equal(served.status, 200);
+  assert.equal(served.headers.get('content-type'), 'image/png');
+  const stored = await db.Photo.findByPk(created.data.id);
+  const file = path.join(storageDir, stored.storageKey);
+  assert.ok(fs.existsSync(file));
+
+  const listed = await server.request('GET', `/local/${location.id}/fotos`, { token: viewer.token });
+  assert.ok(listed.data.some(photo => photo.id === created.data.id));
+  assert.ok((await server.request('GET', `/local/${location.id}`, { token: owner.token })).data.photos.some(photo => photo.id === created.data.id));
+
+  const removed = await server.request('DELETE', `/local/${location.id}/fotos/${created.data.id}`, { token: owner.token });
+  assert.equal(removed.status, 200);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal((await server.request('DELETE', `/local/${location.id}/fotos/${created.data.id}`, { token: owner.token })).data.erro.code, 'PHOTO_NOT_FOUND');
+});
+
+test('só o dono envia e remove fotos; quem não tem acesso nem as vê', async () => {
+  const byViewer = await upload(PNG, 'visitante.png', { token: viewer.token });
+  assert.equal(byViewer.status, 403);
+  assert.equal(byViewer.data.erro.code, 'LOCATION_FORBIDDEN');
+  const byStranger = await upload(PNG, 'estranho.png', { token: stranger.token });
+  assert.equal(byStranger.status, 404);
+  assert.equal((await server.request('GET', `/local/${location.id}/fotos`, { token: stranger.token })).status, 404);
+});
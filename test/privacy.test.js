@@ -0,0 +1,112 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.createUser({ email: 'admin@exemplo.com', cpf: '12345678909' });
+  await db.User.update({ role: 'admin' }, { where: { id: admin.id } });
+});
+
+after(() => server.close());
+
+const createLocation = async (user, name) => {
+  const created = await server.request('POST', '/local', {
+    token: user.token,
+    body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+};
+
+const exportData = async (user) => {
+  const response = await server.request('GET', '/usuario/me/exportar', { token: user.token });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), new RegExp(`attachment; filename="exercita365-dados-usuario-${user.id}\\.json"`));
+  return response.data;
+};
+
+test('a exportação traz o perfil completo, os locais (também os excluídos) e as sessões', async () => {
+  const user = await server.createUser({ email: 'exporta@exemplo.com', cpf: '52998224725' });
+  await createLocation(user, 'Parque');
+  const removed = await createLocation(user, 'Quadra');
+  await server.request('DELETE', `/local/${removed.id}`, { token: user.token });
+
+  const data = await exportData(user);
+  assert.equal(data.profile.cpf, '52998224725');
+  assert.equal(data.profile.email, 'exporta@exemplo.com');
+  assert.equal(data.profile.password, undefined);
+  assert.equal(data.profile.calendarToken, undefined);
+  assert.deepEqual(data.locations.map(location => [location.name, location.deletedAt !== null]), [['Parque', false], ['Quadra', true]]);
+  assert.equal(data.sessions.length, 1);
+  assert.deepEqual(Object.keys(data.sessions[0]).sort(), ['createdAt', 'expiresAt', 'revokedAt', 'sessionId']);
+  assert.ok(!JSON.stringify(data).includes(user.refreshToken));
+});
+
+test('a anonimização troca os dados pessoais, encerra as sessões e mantém os locais', async () => {
+  const user = await server.createUser({ email: 'anonimiza@exemplo.com', cpf: '11144477735' });
+  const location = await createLocation(user, 'Praça');
+  const response = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=Pedido%20do%20titular`, { token: user.token });
+  assert.equal(response.status, 200);
+
+  const stored = await db.User.findByPk(user.id);
+  assert.ok(stored.anonymizedAt);
+  assert.deepEqual([stored.name, stored.email, stored.address, stored.anonymizationReason],
+    ['Usuário anonimizado', `anonimizado-${user.id}@exercita365.invalid`, 'Anonimizado', 'Pedido do titular']);
+  assert.notEqual(stored.cpf, '11144477735');
+  assert.equal((await db.Location.findByPk(location.id)).userId, user.id);
+
+  assert.equal((await server.request('GET', '/usuario/me', { token: user.token })).data.erro.code, 'SESSION_ENDED');
+  assert.equal((await server.request('POST', '/token/refresh', { body: { refreshToken: user.refreshToken } })).status, 401);
+  const login = await server.request('POST', '/login', { body: { email: 'anonimiza@exemplo.com', password: 'senha1234' } });
+  assert.equal(login.data.erro.code, 'USER_NOT_FOUND');
+
+  // O CPF e o email originais ficam livres para um novo cadastro.
+  await server.createUser({ email: 'anonimiza@exemplo.com', cpf: '11144477735' });
+
+  const again = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=x`, { token: admin.token });
+  assert.equal(again.status, 400);
+  assert.equal(again.data.erro.code, 'USER_ALREADY_ANONYMIZED');
+});
+
+test('a anonimização pode transferir os locais para outro usuário', async () => {
+  const user = await server.createUser({ email: 'transfere@exemplo.com', cpf: '98765432100' });
+  const recipient = await server.createUser({ email: 'recebe@exemplo.com', cpf: '24681357928' });
+  const location = await createLocation(user, 'Academia');
+
+  const cases = [
+    [user.id, 'TRANSFER_TO_ANONYMIZED_USER'],
+    [9999, 'TRANSFER_TARGET_NOT_FOUND'],
+  ];
+  for (const [target, code] of cases) {
+    const rejected = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=x&transferirPara=${target}`, { token: user.token });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.data.erro.code, code);
+  }
+
+  const response = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=x&transferirPara=${recipient.id}`, { token: user.token });
+  assert.equal(response.status, 200);
+  assert.equal((await db.Location.findByPk(location.id)).userId, recipient.id);
+});
+
+test('a anonimização exige motivo e só pode ser pedida pelo titular ou por um administrador', async () => {
+  const user = await server.createUser({ email: 'protegido@exemplo.com', cpf: '71428793860' });
+  const other = await server.createUser({ email: 'curioso@exemplo.com', cpf: '86288366757' });
+
+  const withoutReason = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar`, { token: user.token });
+  assert.equal(withoutReason.status, 400);
+  assert.equal(withoutReason.data.erro.details[0].code, 'REASON_REQUIRED');
+
+  const forbidden = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=x`, { token: other.token });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.data.erro.code, 'ACCOUNT_DELETE_FORBIDDEN');
+
+  const byAdmin = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=Ordem%20judicial`, { token: admin.token });
+  assert.equal(byAdmin.status, 200);
+  assert.ok((await db.User.findByPk(user.id)).anonymizedAt);
+});
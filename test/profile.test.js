@@ -0,0 +1,75 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.createUser({ email: 'perfil@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+const login = password => server.request('POST', '/login', { body: { email: 'perfil@exemplo.com', password } });
+
+test('o perfil é devolvido sem a senha', async () => {
+  const profile = await server.request('GET', '/usuario/me', { token: user.token });
+  assert.equal(profile.status, 200);
+  assert.deepEqual([profile.data.id, profile.data.email, profile.data.cpf], [user.id, 'perfil@exemplo.com', '***.982.247-**']);
+  assert.equal(profile.data.password, undefined);
+  assert.equal((await server.request('GET', '/usuario/me')).status, 401);
+});
+
+test('a edição do perfil altera só os campos permitidos e valida os enviados', async () => {
+  const updated = await server.request('PUT', '/usuario/me', {
+    token: user.token,
+    body: { name: 'Maria', address: 'Rua B, 2', email: 'outro@exemplo.com', cpf: '11144477735', role: 'admin' },
+  });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.data.name, updated.data.address, updated.data.gender], ['Maria', 'Rua B, 2', 'F']);
+  assert.equal(updated.data.password, undefined);
+  const stored = await db.User.findByPk(user.id);
+  assert.deepEqual([stored.email, stored.cpf, stored.role], ['perfil@exemplo.com', '52998224725', 'user']);
+
+  const invalid = await server.request('PUT', '/usuario/me', { token: user.token, body: { gender: 'X', name: '' } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.data.erro.details.map(detail => detail.code).sort(), ['GENDER_INVALID', 'NAME_REQUIRED']);
+  assert.equal((await db.User.findByPk(user.id)).name, 'Maria');
+});
+
+test('a troca de senha exige a senha atual', async () => {
+  const wrong = await server.request('PUT', '/usuario/me/senha', {
+    token: user.token, body: { currentPassword: 'errada123', newPassword: 'novaSenha123' },
+  });
+  assert.equal(wrong.status, 400);
+  assert.equal(wrong.data.erro.code, 'CURRENT_PASSWORD_INCORRECT');
+
+  const missing = await server.request('PUT', '/usuario/me/senha', { token: user.token, body: { newPassword: 'novaSenha123' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.data.erro.details[0].field, 'currentPassword');
+
+  const short = await server.request('PUT', '/usuario/me/senha', { token: user.token, body: { currentPassword: 'senha1234', newPassword: '123' } });
+  assert.equal(short.status, 400);
+  assert.equal(short.data.erro.details[0].code, 'PASSWORD_TOO_SHORT');
+  assert.equal((await login('senha1234')).status, 200);
+});
+
+test('a troca de senha encerra as outras sessões e mantém a atual', async () => {
+  const other = (await login('senha1234')).data;
+  const changed = await server.request('PUT', '/usuario/me/senha', {
+    token: user.token, body: { currentPassword: 'senha1234', newPassword: 'novaSenha123' },
+  });
+  assert.equal(changed.status, 200);
+
+  assert.equal((await server.request('GET', '/usuario/me', { token: user.token })).status, 200);
+  assert.equal((await server.request('GET', '/usuario/me', { token: other.token })).data.erro.code, 'SESSION_ENDED');
+  assert.equal((await server.request('POST', '/token/refresh', { body: { refreshToken: other.refreshToken } })).status, 401);
+  assert.equal((await server.request('POST', '/token/refresh', { body: { refreshToken: user.refreshToken } })).status, 200);
+
+  assert.equal((await login('senha1234')).data.erro.code, 'WRONG_PASSWORD');
+  assert.equal((await login('novaSenha123')).status, 200);
+});
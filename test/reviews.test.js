@@ -0,0 +1,99 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let owner;
+let viewer;
+let stranger;
+let location;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  viewer = await server.createUser({ email: 'visitante@exemplo.com', cpf: '11144477735' });
+  stranger = await server.createUser({ email: 'estranho@exemplo.com', cpf: '12345678909' });
+  location = (await server.request('POST', '/local', {
+    token: owner.token,
+    body: { name: 'Parque', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  await server.request('POST', `/local/${location.id}/compartilhamentos`, {
+    token: owner.token, body: { email: 'visitante@exemplo.com', permission: 'viewer' },
+  });
+});
+
+after(() => server.close());
+
+const reviewsUrl = () => `/local/${location.id}/avaliacoes`;
+
+const rating = async () => {
+  const response = await server.request('GET', `/local/${location.id}`, { token: owner.token });
+  return [response.data.averageRating, response.data.reviewCount];
+};
+
+test('a média e a quantidade de avaliações acompanham criação, edição e remoção', async () => {
+  assert.deepEqual(await rating(), [0, 0]);
+  const first = await server.request('POST', reviewsUrl(), { token: owner.token, body: { rating: 5, comment: 'Ótima pista' } });
+  assert.equal(first.status, 201);
+  const second = await server.request('POST', reviewsUrl(), { token: viewer.token, body: { rating: 2 } });
+  assert.equal(second.status, 201);
+  assert.deepEqual(await rating(), [3.5, 2]);
+
+  const updated = await server.request('PUT', reviewsUrl(), { token: viewer.token, body: { rating: 4, comment: 'Melhorou' } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(await rating(), [4.5, 2]);
+
+  const listed = await server.request('GET', reviewsUrl(), { token: viewer.token });
+  assert.deepEqual(listed.data.map(review => [review.author.id, review.rating, review.comment]), [
+    [viewer.id, 4, 'Melhorou'],
+    [owner.id, 5, 'Ótima pista'],
+  ]);
+
+  assert.equal((await server.request('DELETE', reviewsUrl(), { token: viewer.token })).status, 200);
+  assert.deepEqual(await rating(), [5, 1]);
+  assert.equal((await server.request('DELETE', reviewsUrl(), { token: viewer.token })).data.erro.code, 'REVIEW_NOT_FOUND');
+});
+
+test('cada usuário avalia o local uma vez, com nota de 1 a 5', async () => {
+  const duplicate = await server.request('POST', reviewsUrl(), { token: owner.token, body: { rating: 3 } });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.data.erro.code, 'REVIEW_ALREADY_EXISTS');
+
+  for (const value of [0, 6, 'cinco']) {
+    const invalid = await server.request('POST', reviewsUrl(), { token: viewer.token, body: { rating: value } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.data.erro.details[0].code, 'RATING_RANGE');
+  }
+  const tooLong = await server.request('PUT', reviewsUrl(), { token: owner.token, body: { comment: 'a'.repeat(2001) } });
+  assert.equal(tooLong.data.erro.details[0].code, 'COMMENT_TOO_LONG');
+});
+
+test('quem não tem acesso ao local não lê nem escreve avaliações', async () => {
+  const requests = [
+    ['GET', undefined],
+    ['POST', { rating: 1 }],
+    ['PUT', { rating: 1 }],
+    ['DELETE', undefined],
+  ];
+  for (const [method, body] of requests) {
+    const response = await server.request(method, reviewsUrl(), { token: stranger.token, body });
+    assert.equal(response.status, 404, method);
+    assert.equal(response.data.erro.code, 'LOCATION_NOT_FOUND');
+  }
+  assert.equal((await server.request('GET', reviewsUrl())).status, 401);
+  assert.deepEqual(await rating(), [5, 1]);
+});
+
+test('a exportação traz as avaliações e a anonimização apaga os comentários, mas mantém as notas', async () => {
+  await server.request('POST', reviewsUrl(), { token: viewer.token, body: { rating: 3, comment: 'Texto pessoal' } });
+  const exported = await server.request('GET', '/usuario/me/exportar', { token: viewer.token });
+  assert.deepEqual(exported.data.reviews.map(review => [review.locationId, review.rating, review.comment]), [[location.id, 3, 'Texto pessoal']]);
+
+  const anonymized = await server.request('DELETE', `/usuario/${viewer.id}?modo=anonimizar&motivo=x`, { token: viewer.token });
+  assert.equal(anonymized.status, 200);
+  const [review] = await db.Review.findAll({ where: { userId: viewer.id } });
+  assert.deepEqual([review.rating, review.comment], [3, null]);
+  assert.deepEqual(await rating(), [4, 2]);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+let server;
+let admin;
+let member;
+let other;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.createUser({ email: 'admin@exemplo.com', cpf: '52998224725' });
+  member = await server.createUser({ email: 'membro@exemplo.com', cpf: '11144477735' });
+  other = await server.createUser({ email: 'outro@exemplo.com', cpf: '12345678909' });
+  // O papel é lido do banco a cada requisição, então o token já emitido passa a valer como administrador.
+  await db.User.update({ role: 'admin' }, { where: { id: admin.id } });
+});
+
+after(() => server.close());
+
+test('o cadastro não aceita escolher o papel', async () => {
+  const created = await server.request('POST', '/usuario', {
+    body: {
+      name: 'Intruso', gender: 'F', cpf: '98765432100', address: 'Rua A', email: 'intruso@exemplo.com',
+      password: 'senha1234', birthdate: '1990-01-01', role: 'admin',
+    },
+  });
+  assert.equal(created.status, 201);
+  assert.equal((await db.User.findByPk(created.data.user.id)).role, 'user');
+});
+
+test('as rotas de administração respondem 403 a usuários comuns', async () => {
+  const routes = [
+    ['GET', '/admin/usuarios'],
+    ['GET', '/admin/locais'],
+    ['POST', `/admin/usuarios/${other.id}/suspender`],
+    ['POST', `/admin/usuarios/${other.id}/reativar`],
+  ];
+  for (const [method, url] of routes) {
+    const response = await server.request(method, url, { token: member.token });
+    assert.equal(response.status, 403, url);
+    assert.equal(response.data.erro.code, 'FORBIDDEN');
+  }
+  assert.equal((await db.User.findByPk(other.id)).suspendedAt, null);
+});
+
+test('administradores listam usuários sem as senhas e veem locais de todos', async () => {
+  await server.request('POST', '/local', {
+    token: member.token,
+    body: { name: 'Parque', description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  });
+  const users = await server.request('GET', '/admin/usuarios', { token: admin.token });
+  assert.equal(users.status, 200);
+  assert.ok(users.data.length >= 3);
+  assert.ok(users.data.every(user => user.password === undefined));
+
+  const locations = await server.request('GET', '/admin/locais', { token: admin.token });
+  assert.deepEqual(locations.data.map(location => location.userId), [member.id]);
+  const updated = await server.request('PUT', `/local/${locations.data[0].id}`, { token: admin.token, body: { name: 'Parque Central' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.name, 'Parque Central');
+});
+
+test('a suspensão encerra as sessões e bloqueia o acesso até a reativação', async () => {
+  const suspended = await server.request('POST', `/admin/usuarios/${other.id}/suspender`, { token: admin.token });
+  assert.equal(suspended.status, 200);
+
+  const denied = await server.request('GET', '/usuario/me', { token: other.token });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.data.erro.code, 'ACCOUNT_SUSPENDED');
+  const login = await server.request('POST', '/login', { body: { email: 'outro@exemplo.com', password: 'senha1234' } });
+  assert.equal(login.status, 403);
+  assert.equal(login.data.erro.code, 'ACCOUNT_SUSPENDED');
+
+  const reactivated = await server.request('POST', `/admin/usuarios/${other.id}/reativar`, { token: admin.token });
+  assert.equal(reactivated.status, 200);
+  // As sessões encerradas na suspensão não voltam; é preciso entrar de novo.
+  assert.equal((await server.request('GET', '/usuario/me', { token: other.token })).data.erro.code, 'SESSION_ENDED');
+  const again = await server.request('POST', '/login', { body: { email: 'outro@exemplo.com', password: 'senha1234' } });
+  assert.equal(again.status, 200);
+  assert.equal((await server.request('GET', '/usuario/me', { token: again.data.token })).status, 200);
+});
+
+test('administradores não suspendem a si mesmos e recebem 404 para usuários inexistentes', async () => {
+  const self = await server.request('POST', `/admin/usuarios/${admin.id}/suspender`, { token: admin.token });
+  assert.equal(self.status, 400);
+  assert.equal(self.data.erro.code, 'CANNOT_SUSPEND_SELF');
+  const missing = await server.request('POST', '/admin/usuarios/9999/suspender', { token: admin.token });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.data.erro.code, 'USER_NOT_FOUND');
+});
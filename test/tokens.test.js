@@ -0,0 +1,106 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { db, startServer } = require('./helpers');
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.createUser({ email: 'sessoes@exemplo.com', cpf: '52998224725' });
+});
+
+after(() => server.close());
+
+const login = async () => {
+  const response = await server.request('POST', '/login', { body: { email: 'sessoes@exemplo.com', password: 'senha1234' } });
+  assert.equal(response.status, 200);
+  return response.data;
+};
+
+const refresh = refreshToken => server.request('POST', '/token/refresh', { body: { refreshToken } });
+const profileStatus = async token => (await server.request('GET', '/usuario/me', { token })).status;
+
+test('o login devolve um token de acesso e um refresh token, guardado só como hash', async () => {
+  const session = await login();
+  assert.equal(typeof session.token, 'string');
+  assert.equal(typeof session.refreshToken, 'string');
+  assert.equal(session.user.password, undefined);
+  const { sid } = jwt.decode(session.token);
+  const stored = await db.RefreshToken.findAll({ where: { sessionId: sid } });
+  assert.equal(stored.length, 1);
+  assert.notEqual(stored[0].tokenHash, session.refreshToken);
+});
+
+test('o refresh token é trocado por um novo par e o anterior deixa de valer', async () => {
+  const session = await login();
+  const rotated = await refresh(session.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.data.refreshToken, session.refreshToken);
+  assert.equal(jwt.decode(rotated.data.token).sid, jwt.decode(session.token).sid);
+  assert.equal(await profileStatus(rotated.data.token), 200);
+
+  const again = await refresh(rotated.data.refreshToken);
+  assert.equal(again.status, 200);
+});
+
+test('reutilizar um refresh token já trocado revoga a sessão inteira', async () => {
+  const session = await login();
+  const rotated = await refresh(session.refreshToken);
+
+  const reused = await refresh(session.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.data.erro.code, 'REFRESH_TOKEN_REUSED');
+
+  assert.equal((await refresh(rotated.data.refreshToken)).data.erro.code, 'REFRESH_TOKEN_REUSED');
+  const denied = await server.request('GET', '/usuario/me', { token: rotated.data.token });
+  assert.equal(denied.status, 401);
+  assert.equal(denied.data.erro.code, 'SESSION_ENDED');
+  // As outras sessões do usuário continuam valendo.
+  assert.equal(await profileStatus(user.token), 200);
+});
+
+test('refresh tokens desconhecidos, expirados ou ausentes são recusados', async () => {
+  assert.equal((await refresh('nao-existe')).data.erro.code, 'REFRESH_TOKEN_INVALID');
+  const missing = await server.request('POST', '/token/refresh', { body: {} });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.data.erro.details[0].field, 'refreshToken');
+
+  const session = await login();
+  await db.RefreshToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { sessionId: jwt.decode(session.token).sid } });
+  const expired = await refresh(session.refreshToken);
+  assert.equal(expired.status, 401);
+  assert.equal(expired.data.erro.code, 'REFRESH_TOKEN_EXPIRED');
+  // Sem refresh token válido, a sessão termina também para o token de acesso.
+  assert.equal(await profileStatus(session.token), 401);
+});
+
+test('o logout encerra apenas a sessão atual', async () => {
+  const first = await login();
+  const second = await login();
+  const loggedOut = await server.request('POST', '/logout', { token: first.token });
+  assert.equal(loggedOut.status, 200);
+
+  assert.equal(await profileStatus(first.token), 401);
+  assert.equal((await refresh(first.refreshToken)).status, 401);
+  assert.equal(await profileStatus(second.token), 200);
+  assert.equal((await refresh(second.refreshToken)).status, 200);
+});
+
+test('tokens de acesso ausentes, inválidos ou expirados são recusados', async () => {
+  const cases = [
+    [undefined, 'TOKEN_MISSING'],
+    ['nao-e-um-jwt', 'TOKEN_INVALID'],
+    [jwt.sign({ id: user.id, sid: 'x' }, 'outro-segredo'), 'TOKEN_INVALID'],
+    [jwt.sign({ id: user.id, sid: jwt.decode(user.token).sid }, process.env.JWT_SECRET, { expiresIn: -10 }), 'TOKEN_EXPIRED'],
+    [jwt.sign({ id: user.id }, process.env.JWT_SECRET), 'SESSION_ENDED'],
+  ];
+  for (const [token, code] of cases) {
+    const response = await server.request('GET', '/usuario/me', { token });
+    assert.equal(response.status, 401, code);
+    assert.equal(response.data.erro.code, code);
+  }
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { TRASH_RETENTION_DAYS, purgeExpiredTrash } = require('../services/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let owner;
+let other;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  other = await server.createUser({ email: 'outro@exemplo.com', cpf: '11144477735' });
+  admin = await server.createUser({ email: 'admin@exemplo.com', cpf: '12345678909' });
+  await db.User.update({ role: 'admin' }, { where: { id: admin.id } });
+});
+
+after(() => server.close());
+
+const createLocation = async (user, name) => {
+  const created = await server.request('POST', '/local', {
+    token: user.token,
+    body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+};
+
+const trashOf = async (user) => {
+  const response = await server.request('GET', '/lixeira', { token: user.token });
+  assert.equal(response.status, 200);
+  return response.data;
+};
+
+test('o local excluído vai para a lixeira do dono e pode ser restaurado por ele', async () => {
+  const location = await createLocation(owner, 'Parque');
+  await server.request('POST', `/local/${location.id}/favorito`, { token: other.token });
+  assert.equal((await server.request('DELETE', `/local/${location.id}`, { token: owner.token })).status, 200);
+  assert.equal((await server.request('GET', `/local/${location.id}`, { token: owner.token })).status, 404);
+
+  const trash = await trashOf(owner);
+  assert.equal(trash.retentionDays, TRASH_RETENTION_DAYS);
+  assert.equal(trash.users, undefined);
+  const [trashed] = trash.locations;
+  assert.equal(trashed.id, location.id);
+  assert.equal(new Date(trashed.purgeAt) - new Date(trashed.deletedAt), TRASH_RETENTION_DAYS * DAY_MS);
+  assert.deepEqual((await trashOf(other)).locations, []);
+  assert.deepEqual((await trashOf(admin)).locations.map(item => item.id), [location.id]);
+
+  const denied = await server.request('POST', `/local/${location.id}/restaurar`, { token: other.token });
+  assert.equal(denied.status, 404);
+  assert.equal(denied.data.erro.code, 'LOCATION_NOT_IN_TRASH');
+
+  const restored = await server.request('POST', `/local/${location.id}/restaurar`, { token: owner.token });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.data.name, 'Parque');
+  assert.equal((await server.request('GET', `/local/${location.id}`, { token: owner.token })).status, 200);
+  assert.equal((await db.Favorite.count({ where: { locationId: location.id } })), 1);
+  assert.equal((await server.request('POST', `/local/${location.id}/restaurar`, { token: owner.token })).status, 404);
+  const [last] = await db.LocationRevision.findAll({ where: { locationId: location.id }, order: [['id', 'DESC']], limit: 1 });
+  assert.deepEqual([last.action, last.actorId], ['restore', owner.id]);
+});
+
+test('usuários excluídos só aparecem e são restaurados por administradores, antes dos seus locais', async () => {
+  const user = await server.createUser({ email: 'sai@exemplo.com', cpf: '98765432100' });
+  const location = await createLocation(user, 'Quadra');
+  await server.request('DELETE', `/local/${location.id}`, { token: user.token });
+  assert.equal((await server.request('DELETE', `/usuario/${user.id}`, { token: user.token })).status, 200);
+
+  const trash = await trashOf(admin);
+  assert.deepEqual(trash.users.map(item => item.id), [user.id]);
+  assert.equal(new Date(trash.users[0].purgeAt) - new Date(trash.users[0].deletedAt), TRASH_RETENTION_DAYS * DAY_MS);
+
+  const ownerInTrash = await server.request('POST', `/local/${location.id}/restaurar`, { token: admin.token });
+  assert.equal(ownerInTrash.status, 400);
+  assert.equal(ownerInTrash.data.erro.code, 'LOCATION_OWNER_IN_TRASH');
+
+  assert.equal((await server.request('POST', `/usuario/${user.id}/restaurar`, { token: owner.token })).status, 403);
+  const restoredUser = await server.request('POST', `/usuario/${user.id}/restaurar`, { token: admin.token });
+  assert.equal(restoredUser.status, 200);
+  assert.equal(restoredUser.data.deletedAt, null);
+  assert.equal((await server.request('POST', `/usuario/${user.id}/restaurar`, { token: admin.token })).data.erro.code, 'USER_NOT_IN_TRASH');
+  assert.equal((await server.request('POST', `/local/${location.id}/restaurar`, { token: admin.token })).status, 200);
+  assert.deepEqual((await trashOf(admin)).users, []);
+});
+
+test('o expurgo remove definitivamente só o que passou da retenção, com o que depende disso', async () => {
+  const kept = await createLocation(owner, 'Pista recente');
+  const expired = await createLocation(owner, 'Pista antiga');
+  await server.request('POST', `/local/${expired.id}/favorito`, { token: other.token });
+  for (const location of [kept, expired]) {
+    await server.request('DELETE', `/local/${location.id}`, { token: owner.token });
+  }
+  const gone = await server.createUser({ email: 'expira@exemplo.com', cpf: '24681357928' });
+  const goneLocation = await createLocation(gone, 'Praça');
+  await server.request('DELETE', `/local/${goneLocation.id}`, { token: gone.token });
+  await server.request('DELETE', `/usuario/${gone.id}`, { token: gone.token });
+
+  const longAgo = new Date(Date.now() - (TRASH_RETENTION_DAYS + 1) * DAY_MS);
+  await db.Location.update({ deletedAt: longAgo }, { where: { id: [expired.id, goneLocation.id] }, paranoid: false });
+  await db.User.update({ deletedAt: longAgo }, { where: { id: gone.id }, paranoid: false });
+
+  assert.equal((await server.request('POST', '/admin/lixeira/expurgar', { token: owner.token })).status, 403);
+  const purged = await server.request('POST', '/admin/lixeira/expurgar', { token: admin.token });
+  assert.equal(purged.status, 200);
+  assert.deepEqual(purged.data, { locations: 2, users: 1 });
+
+  assert.equal(await db.Location.count({ where: { id: [expired.id, goneLocation.id] }, paranoid: false }), 0);
+  assert.equal(await db.User.count({ where: { id: gone.id }, paranoid: false }), 0);
+  assert.equal(await db.Favorite.count({ where: { locationId: expired.id } }), 0);
+  assert.equal(await db.LocationRevision.count({ where: { locationId: [expired.id, goneLocation.id] } }), 0);
+  assert.deepEqual((await trashOf(owner)).locations.map(item => item.id), [kept.id]);
+
+  // Nada mais venceu; daqui a TRASH_RETENTION_DAYS dias, o local restante vence.
+  assert.deepEqual(await purgeExpiredTrash(), { locations: 0, users: 0 });
+  assert.deepEqual(await purgeExpiredTrash(new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * DAY_MS)), { locations: 1, users: 0 });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { db, startServer } = require('./helpers');
+const { WEBHOOK_ALLOW_PRIVATE_TARGETS, isPrivateAddress, checkWebhookTarget } = require('../services/webhookTargets');
+
+let server;
+let receiver;
+let owner;
+let requests = 0;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    requests += 1;
+    res.end('ok');
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  server = await startServer();
+  owner = await server.createUser({ email: 'alvos@exemplo.com', cpf: '52998224725' });
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await server.close();
+});
+
+test('isPrivateAddress reconhece loopback, redes privadas, link-local e IPv4 mapeado em IPv6', () => {
+  assert.equal(WEBHOOK_ALLOW_PRIVATE_TARGETS, false);
+  const internal = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.0.10', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1'];
+  const external = ['8.8.8.8', '172.32.0.1', '100.128.0.1', '93.184.216.34', '2001:4860:4860::8888', '::ffff:8.8.8.8'];
+  internal.forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  external.forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('checkWebhookTarget recusa destinos internos e hosts que não resolvem', async () => {
+  for (const url of ['http://127.0.0.1:3000/', 'http://localhost/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data', 'https://10.0.0.5/']) {
+    await assert.rejects(checkWebhookTarget(url), { status: 400, code: 'WEBHOOK_URL_PRIVATE' }, url);
+  }
+  await assert.rejects(checkWebhookTarget('https://nao-existe.invalid/'), { status: 400, code: 'WEBHOOK_URL_UNRESOLVABLE' });
+  await checkWebhookTarget('https://93.184.216.34/webhook');
+});
+
+test('o cadastro e a edição de webhooks recusam destinos internos', async () => {
+  const rejected = await server.request('POST', '/webhooks', {
+    token: owner.token,
+    body: { url: 'http://169.254.169.254/latest/meta-data', events: ['local.criado'] },
+  });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.data.erro.details.map(detail => [detail.field, detail.code]), [['url', 'WEBHOOK_URL_PRIVATE']]);
+
+  const created = await server.request('POST', '/webhooks', {
+    token: owner.token,
+    body: { url: 'https://93.184.216.34/webhook', events: ['local.criado'] },
+  });
+  assert.equal(created.status, 201);
+  const updated = await server.request('PUT', `/webhooks/${created.data.id}`, {
+    token: owner.token,
+    body: { url: 'http://localhost:3000/' },
+  });
+  assert.equal(updated.status, 400);
+  assert.equal(updated.data.erro.details[0].code, 'WEBHOOK_URL_PRIVATE');
+});
+
+test('a entrega confere o destino de novo e não chega a endereços internos', async () => {
+  // Como um webhook cadastrado antes da verificação, ou cujo DNS passou a apontar para a rede interna.
+  const webhook = await db.Webhook.create({
+    userId: owner.id,
+    url: `http://127.0.0.1:${receiver.address().port}/`,
+    events: ['local.criado'],
+    secret: db.Webhook.generateSecret(),
+  });
+  const ping = await server.request('POST', `/webhooks/${webhook.id}/testar`, { token: owner.token });
+  assert.equal(ping.status, 201);
+  assert.deepEqual([ping.data.status, ping.data.attempts, ping.data.responseStatus, ping.data.lastError],
+    ['pending', 1, null, 'WEBHOOK_URL_PRIVATE']);
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+// O receptor dos testes roda em 127.0.0.1, que só é aceito com os destinos internos liberados.
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { db, startServer } = require('./helpers');
+const { signPayload, processDueDeliveries } = require('../services/webhooks');
+
+let server;
+let receiver;
+let receiverUrl;
+let owner;
+let other;
+const received = [];
+// Quantas das próximas requisições o receptor responde com 500.
+let failures = 0;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      if (failures > 0) {
+        failures -= 1;
+        res.statusCode = 500;
+        return res.end('falhou');
+      }
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  server = await startServer();
+  owner = await server.createUser({ email: 'dono@exemplo.com', cpf: '52998224725' });
+  other = await server.createUser({ email: 'outro@exemplo.com', cpf: '11144477735' });
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await server.close();
+});
+
+// Confere a assinatura como um receptor faria: HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo.
+const verifySignature = (header, body, secret) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+const createWebhook = async (user, path, events) => {
+  const created = await server.request('POST', '/webhooks', { token: user.token, body: { url: receiverUrl + path, events } });
+  assert.equal(created.status, 201, JSON.stringify(created.data));
+  return created.data;
+};
+
+const createLocation = async (user, name) => (await server.request('POST', '/local', {
+  token: user.token,
+  body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+})).data;
+
+const deliveriesOf = webhook => db.WebhookDelivery.findAll({ where: { webhookId: webhook.id }, order: [['id', 'ASC']] });
+
+test('signPayload assina "<timestamp>.<corpo>" com HMAC-SHA256', () => {
+  const body = JSON.stringify({ event: 'ping' });
+  const signature = signPayload('segredo', 1700000000, body);
+  assert.match(signature, /^t=1700000000,v1=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(signature, body, 'segredo'), true);
+  assert.equal(verifySignature(signature, body, 'outro segredo'), false);
+  assert.equal(verifySignature(signature, `${body} `, 'segredo'), false);
+  assert.notEqual(signPayload('segredo', 1700000001, body), signature);
+});
+
+test('o ping chega ao receptor local com assinatura verificável', async () => {
+  const webhook = await createWebhook(owner, '/ping', ['local.criado']);
+  const ping = await server.request('POST', `/webhooks/${webhook.id}/testar`, { token: owner.token });
+  assert.equal(ping.status, 201);
+  assert.deepEqual([ping.data.status, ping.data.attempts, ping.data.responseStatus, ping.data.responseBody], ['succeeded', 1, 200, 'ok']);
+
+  const request = received.at(-1);
+  assert.equal(request.path, '/ping');
+  assert.equal(request.headers['x-exercita-event'], 'ping');
+  assert.equal(request.headers['x-exercita-delivery'], String(ping.data.id));
+  assert.equal(verifySignature(request.headers['x-exercita-signature'], request.body, webhook.secret), true);
+  assert.equal(JSON.parse(request.body).data.webhookId, webhook.id);
+  await server.request('DELETE', `/webhooks/${webhook.id}`, { token: owner.token });
+});
+
+test('eventos de um local vão apenas para os webhooks do dono', async () => {
+  const mine = await createWebhook(owner, '/meu', ['local.criado', 'local.atualizado']);
+  const theirs = await createWebhook(other, '/outro', ['local.criado', 'local.atualizado']);
+  const location = await createLocation(owner, 'Parque');
+  await server.request('PUT', `/local/${location.id}`, { token: owner.token, body: { name: 'Parque Novo' } });
+
+  const start = received.length;
+  await processDueDeliveries();
+  const requests = received.slice(start).filter(request => request.path === '/meu' || request.path === '/outro');
+  assert.deepEqual(requests.map(request => [request.path, request.headers['x-exercita-event'], JSON.parse(request.body).data.name]), [
+    ['/meu', 'local.criado', 'Parque'],
+    ['/meu', 'local.atualizado', 'Parque Novo'],
+  ]);
+  assert.ok(requests.every(request => verifySignature(request.headers['x-exercita-signature'], request.body, mine.secret)));
+  assert.equal((await deliveriesOf(theirs)).length, 0);
+  await server.request('DELETE', `/webhooks/${mine.id}`, { token: owner.token });
+  await server.request('DELETE', `/webhooks/${theirs.id}`, { token: other.token });
+});
+
+test('falhas são repetidas com espera dobrando a cada tentativa, até o limite', async () => {
+  const webhook = await createWebhook(owner, '/instavel', ['local.removido']);
+  const location = await createLocation(owner, 'Quadra');
+  await server.request('DELETE', `/local/${location.id}`, { token: owner.token });
+
+  failures = 1;
+  await processDueDeliveries();
+  let [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.responseStatus, delivery.lastError], ['pending', 1, 500, 'HTTP 500']);
+  assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, 30 * 1000);
+
+  // Antes do horário agendado, nada é reenviado.
+  assert.equal(await processDueDeliveries(new Date(delivery.nextAttemptAt.getTime() - 1000)), 0);
+
+  failures = 1;
+  assert.equal(await processDueDeliveries(new Date(delivery.nextAttemptAt.getTime() + 1000)), 1);
+  [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts], ['pending', 2]);
+  assert.equal(delivery.nextAttemptAt - delivery.lastAttemptAt, 60 * 1000);
+
+  failures = 1;
+  await processDueDeliveries(new Date(delivery.nextAttemptAt.getTime() + 1000));
+  [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.nextAttemptAt], ['failed', 3, null]);
+  assert.equal(await processDueDeliveries(new Date(Date.now() + 10 ** 9)), 0);
+  await server.request('DELETE', `/webhooks/${webhook.id}`, { token: owner.token });
+});
+
+test('uma entrega que se recupera fica como concluída e pode ser reenviada', async () => {
+  const webhook = await createWebhook(owner, '/recupera', ['local.criado']);
+  await createLocation(owner, 'Academia');
+
+  failures = 1;
+  await processDueDeliveries();
+  let [delivery] = await deliveriesOf(webhook);
+  await processDueDeliveries(new Date(delivery.nextAttemptAt.getTime() + 1000));
+  [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.nextAttemptAt, delivery.lastError], ['succeeded', 2, null, null]);
+
+  const redelivered = await server.request('POST', `/webhooks/${webhook.id}/entregas/${delivery.id}/reenviar`, { token: owner.token });
+  assert.equal(redelivered.status, 201);
+  assert.deepEqual([redelivered.data.status, redelivered.data.redeliveryOfId, redelivered.data.eventId], ['succeeded', delivery.id, delivery.eventId]);
+  const [first, , again] = received.filter(request => request.path === '/recupera');
+  assert.equal(again.body, first.body);
+});
+
+test('desativar o webhook cancela as entregas pendentes, e reativá-lo não as retoma', async () => {
+  const webhook = await createWebhook(owner, '/desativado', ['local.criado']);
+  await createLocation(owner, 'Ginásio');
+  const [queued] = await deliveriesOf(webhook);
+  assert.equal(queued.status, 'pending');
+
+  const deactivated = await server.request('PUT', `/webhooks/${webhook.id}`, { token: owner.token, body: { active: false } });
+  assert.equal(deactivated.status, 200);
+  let [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.nextAttemptAt], ['cancelled', 0, null]);
+
+  await server.request('PUT', `/webhooks/${webhook.id}`, { token: owner.token, body: { active: true } });
+  const start = received.length;
+  await processDueDeliveries(new Date(Date.now() + 10 ** 9));
+  assert.equal(received.slice(start).filter(request => request.path === '/desativado').length, 0);
+  [delivery] = await deliveriesOf(webhook);
+  assert.equal(delivery.status, 'cancelled');
+
+  const cancelled = await server.request('GET', `/webhooks/${webhook.id}/entregas?status=cancelled`, { token: owner.token });
+  assert.deepEqual(cancelled.data.map(item => item.id), [delivery.id]);
+  await server.request('DELETE', `/webhooks/${webhook.id}`, { token: owner.token });
+});
+
+test('a fila cancela, sem enviar, entregas pendentes de webhooks já desativados', async () => {
+  // Como uma entrega enfileirada antes de o cancelamento na desativação existir.
+  const webhook = await createWebhook(owner, '/parado', ['local.criado']);
+  await db.Webhook.update({ active: false }, { where: { id: webhook.id } });
+  await db.WebhookDelivery.create({ webhookId: webhook.id, eventId: crypto.randomUUID(), event: 'local.criado', payload: {}, nextAttemptAt: new Date() });
+
+  const start = received.length;
+  assert.equal(await processDueDeliveries(), 1);
+  assert.equal(received.slice(start).filter(request => request.path === '/parado').length, 0);
+  const [delivery] = await deliveriesOf(webhook);
+  assert.deepEqual([delivery.status, delivery.attempts], ['cancelled', 0]);
+  assert.equal(await processDueDeliveries(new Date(Date.now() + 10 ** 9)), 0);
+  await server.request('DELETE', `/webhooks/${webhook.id}`, { token: owner.token });
+});
+
+test('anonimizar a conta envia usuario.removido e a exportação lista os webhooks sem o segredo', async () => {
+  const user = await server.createUser({ email: 'anonimo@exemplo.com', cpf: '12345678909' });
+  const webhook = await createWebhook(user, '/conta', ['usuario.removido']);
+
+  const exported = await server.request('GET', '/usuario/me/exportar', { token: user.token });
+  assert.deepEqual(exported.data.webhooks.map(item => [item.id, item.url, item.secret]), [[webhook.id, `${receiverUrl}/conta`, undefined]]);
+
+  const anonymized = await server.request('DELETE', `/usuario/${user.id}?modo=anonimizar&motivo=Pedido do titular`, { token: user.token });
+  assert.equal(anonymized.status, 200);
+  const start = received.length;
+  await processDueDeliveries();
+  const [request] = received.slice(start).filter(item => item.path === '/conta');
+  assert.equal(request.headers['x-exercita-event'], 'usuario.removido');
+  const { data } = JSON.parse(request.body);
+  assert.equal(data.id, user.id);
+  assert.ok(data.anonymizedAt);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { workoutStatistics } = require('../services/workouts');
+
+let server;
+let user;
+let park;
+let gym;
+
+before(async () => {
+  server = await startServer();
+  user = await server.createUser({ email: 'atleta@exemplo.com', cpf: '52998224725' });
+  const create = async name => (await server.request('POST', '/local', {
+    token: user.token,
+    body: { name, description: 'Pista', address: 'Rua A, 1', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  park = await create('Parque');
+  gym = await create('Academia');
+});
+
+after(() => server.close());
+
+const checkin = (locationId, body) => server.request('POST', `/local/${locationId}/checkin`, { token: user.token, body });
+
+test('o check-in valida atividade, duração e data', async () => {
+  const created = await checkin(park.id, { activityType: 'corrida', durationMinutes: 30, notes: 'Treino leve' });
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.data.userId, created.data.locationId, created.data.activityType], [user.id, park.id, 'corrida']);
+  assert.ok(created.data.performedAt);
+
+  const invalid = await checkin(park.id, {
+    activityType: 'xadrez', durationMinutes: 0, performedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.data.erro.details.map(detail => detail.code).sort(), ['ACTIVITY_TYPE_INVALID', 'DATE_IN_FUTURE', 'DURATION_RANGE']);
+  assert.equal((await checkin(9999, { activityType: 'corrida', durationMinutes: 30 })).data.erro.code, 'LOCATION_NOT_FOUND');
+});
+
+test('o histórico filtra por período e atividade e informa o total', async () => {
+  await db.Workout.destroy({ where: { userId: user.id } });
+  await checkin(park.id, { activityType: 'corrida', durationMinutes: 30, performedAt: '2026-01-05T10:00:00Z' });
+  await checkin(gym.id, { activityType: 'musculacao', durationMinutes: 60, performedAt: '2026-01-10T10:00:00Z' });
+  await checkin(park.id, { activityType: 'corrida', durationMinutes: 40, performedAt: '2026-02-01T10:00:00Z' });
+
+  const all = await server.request('GET', '/usuario/me/treinos?limit=2', { token: user.token });
+  assert.equal(all.headers.get('x-total-count'), '3');
+  assert.deepEqual(all.data.map(workout => workout.durationMinutes), [40, 60]);
+  assert.equal(all.data[1].Location.name, 'Academia');
+
+  const runs = await server.request('GET', '/usuario/me/treinos?activityType=corrida', { token: user.token });
+  assert.deepEqual(runs.data.map(workout => workout.durationMinutes), [40, 30]);
+  const january = await server.request('GET', '/usuario/me/treinos?from=2026-01-06&to=2026-01-31', { token: user.token });
+  assert.deepEqual(january.data.map(workout => workout.activityType), ['musculacao']);
+});
+
+test('as estatísticas agrupam por semana e mês no fuso de São Paulo', async () => {
+  await db.Workout.destroy({ where: { userId: user.id } });
+  const trashed = (await server.request('POST', '/local', {
+    token: user.token,
+    body: { name: 'Quadra', description: 'Quadra', address: 'Rua B', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  const workouts = [
+    [park.id, '2026-03-18T12:00:00Z', 30],
+    [park.id, '2026-03-17T12:00:00Z', 45],
+    // 23h de domingo em São Paulo, já segunda-feira em UTC.
+    [gym.id, '2026-03-16T02:00:00Z', 20],
+    [gym.id, '2026-02-10T12:00:00Z', 60],
+    [trashed.id, '2025-01-10T12:00:00Z', 10],
+    [trashed.id, '2025-01-11T12:00:00Z', 10],
+    [trashed.id, '2025-01-12T12:00:00Z', 10],
+  ];
+  for (const [locationId, performedAt, durationMinutes] of workouts) {
+    await db.Workout.create({ userId: user.id, locationId, performedAt, durationMinutes, activityType: 'corrida' });
+  }
+  await server.request('DELETE', `/local/${trashed.id}`, { token: user.token });
+
+  const stats = await workoutStatistics(user.id, new Date('2026-03-18T15:00:00Z'));
+  assert.deepEqual(stats.totals, { workouts: 7, minutes: 185 });
+  assert.equal(stats.weekly.length, 12);
+  assert.deepEqual(stats.weekly.slice(-2), [
+    { weekStart: '2026-03-09', workouts: 1, minutes: 20 },
+    { weekStart: '2026-03-16', workouts: 2, minutes: 75 },
+  ]);
+  assert.equal(stats.monthly.length, 12);
+  assert.deepEqual(stats.monthly[0], { month: '2025-04', workouts: 0, minutes: 0 });
+  assert.deepEqual(stats.monthly.slice(-2), [
+    { month: '2026-02', workouts: 1, minutes: 60 },
+    { month: '2026-03', workouts: 3, minutes: 95 },
+  ]);
+  // A quadra na lixeira teve mais visitas, mas não entra entre os mais visitados.
+  assert.deepEqual(stats.mostVisitedLocations.map(item => [item.location.name, item.visits]), [['Parque', 2], ['Academia', 2]]);
+  assert.deepEqual([stats.currentStreak, stats.lastWorkoutDate], [2, '2026-03-18']);
+
+  assert.equal((await workoutStatistics(user.id, new Date('2026-03-19T15:00:00Z'))).currentStreak, 2);
+  assert.equal((await workoutStatistics(user.id, new Date('2026-03-20T15:00:00Z'))).currentStreak, 0);
+});
+
+test('as estatísticas de quem não treinou vêm zeradas e a rota exige autenticação', async () => {
+  const other = await server.createUser({ email: 'sedentario@exemplo.com', cpf: '11144477735' });
+  const response = await server.request('GET', '/usuario/me/treinos/estatisticas', { token: other.token });
+  assert.equal(response.status, 200);
+  assert.deepEqual([response.data.totals, response.data.currentStreak, response.data.lastWorkoutDate], [{ workouts: 0, minutes: 0 }, 0, null]);
+  assert.ok(response.data.weekly.every(week => week.workouts === 0));
+  assert.deepEqual(response.data.mostVisitedLocations, []);
+  assert.equal((await server.request('GET', '/usuario/me/treinos/estatisticas')).status, 401);
+});
+
+test('os treinos entram na exportação e sobrevivem à remoção do local', async () => {
+  await db.Workout.destroy({ where: { userId: user.id } });
+  const place = (await server.request('POST', '/local', {
+    token: user.token,
+    body: { name: 'Ginásio', description: 'Quadra', address: 'Rua C', latitude: -23.5, longitude: -46.6 },
+  })).data;
+  await checkin(place.id, { activityType: 'funcional', durationMinutes: 50 });
+  const exported = await server.request('GET', '/usuario/me/exportar', { token: user.token });
+  assert.deepEqual(exported.data.workouts.map(workout => [workout.locationId, workout.activityType]), [[place.id, 'funcional']]);
+
+  await db.Location.destroy({ where: { id: place.id }, force: true });
+  const [workout] = await db.Workout.findAll({ where: { userId: user.id } });
+  assert.deepEqual([workout.locationId, workout.durationMinutes], [null, 50]);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+// Erro com status HTTP e código estável. A mensagem é escolhida no idioma da requisição
+// por middleware/errorHandler; params preenche os campos variáveis da mensagem.
+class ApiError extends Error {
+  constructor(status, code, { params, details } = {}) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.params = params;
+    this.details = details;
+  }
+}
+
+// Mensagem padrão do express-validator quando a regra não tem withMessage.
+const DEFAULT_VALIDATOR_MESSAGE = 'Invalid value';
+
+// As mensagens das regras são códigos, { code, params } ou uma lista deles (vários problemas no mesmo campo).
+const asCodes = (message) => [].concat(message).map((item) => {
+  if (typeof item !== 'string') {
+    return item;
+  }
+  return { code: item === DEFAULT_VALIDATOR_MESSAGE ? 'INVALID_VALUE' : item };
+});
+
+// Converte um erro do express-validator em detalhes { field, code, params }.
+const fieldDetails = (error) => {
+  if (error.type === 'unknown_fields') {
+    return error.fields.flatMap(({ path }) => asCodes(error.msg).map(message => ({ field: path, ...message })));
+  }
+  return asCodes(error.msg).map(message => ({ field: error.path, ...message }));
+};
+
+// Regras diferentes do mesmo campo podem gerar o mesmo código; cada par campo/código aparece uma vez.
+const validationFailed = (errors) => {
+  const details = new Map(errors.flatMap(fieldDetails).map(detail => [`${detail.field}:${detail.code}`, detail]));
+  return new ApiError(400, 'VALIDATION_FAILED', { details: [...details.values()] });
+};
+
+module.exports = {
+  ApiError,
+  fieldDetails,
+  validationFailed,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const normalizeCpf = (value) => String(value === undefined || value === null ? '' : value).replace(/\D/g, '');
+
+const checkDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (digits.length + 1 - index), 0);
+  const rest = (sum * 10) % 11;
+  return rest === 10 ? 0 : rest;
+};
+
+// Aceita CPF com ou sem máscara ("123.456.789-09" ou "12345678909").
+const isValidCpf = (value) => {
+  if (typeof value !== 'string' || !/^(\d{11}|\d{3}\.\d{3}\.\d{3}-\d{2})$/.test(value.trim())) {
+    return false;
+  }
+  const cpf = normalizeCpf(value);
+  if (/^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+  return checkDigit(cpf.slice(0, 9)) === Number(cpf[9]) && checkDigit(cpf.slice(0, 10)) === Number(cpf[10]);
+};
+
+// Oculta os primeiros e os últimos dígitos: "***.456.789-**".
+const maskCpf = (value) => {
+  const cpf = normalizeCpf(value);
+  if (cpf.length !== 11) {
+    return null;
+  }
+  return `***.${cpf.slice(3, 6)}.${cpf.slice(6, 9)}-**`;
+};
+
+module.exports = {
+  normalizeCpf,
+  isValidCpf,
+  maskCpf,
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// ETag forte derivado da versão do registro (optimistic locking do Sequelize).
+const versionETag = (record) => `"${record.id}-${record.version}"`;
+
+// If-Match usa comparação forte: ETags fracas (W/"...") nunca satisfazem a condição.
+const ifMatchSatisfied = (header, etag) => {
+  if (header === undefined) {
+    return true;
+  }
+  const candidates = header.split(',').map(value => value.trim());
+  return candidates.includes('*') || candidates.includes(etag);
+};
+
+module.exports = {
+  versionETag,
+  ifMatchSatisfied,
+};
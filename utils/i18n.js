@@ -0,0 +1,28 @@
+'use strict';
+
+const catalogs = {
+  'pt-BR': require('../locales/pt-BR'),
+  en: require('../locales/en'),
+};
+
+const DEFAULT_LANGUAGE = 'pt-BR';
+const LANGUAGES = Object.keys(catalogs);
+
+// Idioma das mensagens conforme o Accept-Language; sem cabeçalho ou sem idioma suportado, pt-BR.
+const languageFor = (req) => req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+
+const translate = (language, code, params = {}) => {
+  const template = catalogs[language][code] || catalogs[DEFAULT_LANGUAGE][code] || code;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+// Completa um detalhe de campo ({ field, code, params }) com a mensagem traduzida.
+const describeDetail = (language, { params, ...detail }) => ({ ...detail, message: translate(language, detail.code, params) });
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  languageFor,
+  translate,
+  describeDetail,
+};
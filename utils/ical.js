@@ -0,0 +1,69 @@
+'use strict';
+
+// Gera calendários iCalendar (RFC 5545) para assinatura em apps de agenda.
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Linhas com mais de 75 bytes continuam na linha seguinte, iniciada por um espaço,
+// sem quebrar caracteres multibyte ao meio.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+      limit = 74;
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const buildCalendar = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Exercita365//Eventos//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.latitude != null && event.longitude != null) {
+      lines.push(`GEO:${event.latitude};${event.longitude}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Identifica o formato da imagem pelos primeiros bytes do arquivo, sem confiar na extensão
+// nem no Content-Type enviados pelo cliente.
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    contentType: 'image/png',
+    extension: 'png',
+    matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+const detectImageType = (buffer) => {
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+};
+
+module.exports = {
+  detectImageType,
+};
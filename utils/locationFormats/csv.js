@@ -0,0 +1,144 @@
+'use strict';
+
+const contentType = 'text/csv';
+const extension = 'csv';
+
+const COLUMNS = ['name', 'description', 'address', 'latitude', 'longitude'];
+
+// Nomes de coluna aceitos na importação, já sem acentos e em minúsculas.
+const COLUMN_ALIASES = {
+  name: 'name',
+  nome: 'name',
+  description: 'description',
+  descricao: 'description',
+  address: 'address',
+  endereco: 'address',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  long: 'longitude',
+};
+
+const normalizeHeader = (header) => header.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+// Planilhas exportadas em português costumam usar ponto e vírgula como separador.
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ));
+};
+
+// Lê as linhas conforme a RFC 4180: campos entre aspas podem conter separadores, quebras de linha e "" para aspas.
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return null;
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+  return rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+};
+
+// Aceita vírgula decimal ("-23,55"), comum em planilhas brasileiras.
+const parseCoordinate = (value) => (value === undefined || value.trim() === ''
+  ? undefined
+  : value.trim().replace(/^(-?\d+),(\d+)$/, '$1.$2'));
+
+const parse = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const rows = parseRows(content, detectDelimiter(content));
+  if (!rows || rows.length === 0) {
+    return null;
+  }
+  const [header, ...records] = rows;
+  const columns = header.values.map(value => COLUMN_ALIASES[normalizeHeader(value)]);
+  if (!columns.includes('name')) {
+    return null;
+  }
+  return records.map(({ line, values }) => {
+    const record = columns.reduce((fields, column, index) => {
+      if (column && values[index] !== undefined) {
+        fields[column] = values[index];
+      }
+      return fields;
+    }, {});
+    return {
+      line,
+      name: record.name,
+      description: record.description,
+      address: record.address,
+      latitude: parseCoordinate(record.latitude),
+      longitude: parseCoordinate(record.longitude),
+    };
+  });
+};
+
+// Textos iniciados por =, +, - ou @ ganham um apóstrofo para não serem interpretados como fórmulas.
+const escapeField = (value, { text }) => {
+  if (value == null) {
+    return '';
+  }
+  let field = String(value);
+  if (text && /^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// O BOM faz o Excel reconhecer o arquivo como UTF-8.
+const serialize = (locations) => `\uFEFF${[
+  COLUMNS.join(','),
+  ...locations.map(location => COLUMNS
+    .map(column => escapeField(location[column], { text: column !== 'latitude' && column !== 'longitude' }))
+    .join(',')),
+].join('\r\n')}\r\n`;
+
+module.exports = {
+  contentType,
+  extension,
+  serialize,
+  parse,
+};
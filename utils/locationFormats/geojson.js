@@ -0,0 +1,60 @@
+'use strict';
+
+const contentType = 'application/geo+json';
+const extension = 'geojson';
+
+const serialize = (locations) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: locations.map(location => ({
+    type: 'Feature',
+    id: location.id,
+    geometry: location.latitude == null
+      ? null
+      : { type: 'Point', coordinates: [location.longitude, location.latitude] },
+    properties: {
+      name: location.name,
+      description: location.description,
+      address: location.address,
+    },
+  })),
+}, null, 2);
+
+// Sem geometria, o local é criado sem coordenadas e geocodificado pelo endereço.
+const parseFeature = (feature) => {
+  if (!feature || feature.type !== 'Feature') {
+    return { error: 'IMPORT_ITEM_NOT_FEATURE' };
+  }
+  const { name, description, address } = feature.properties || {};
+  const { geometry } = feature;
+  if (geometry == null) {
+    return { name, description, address };
+  }
+  if (geometry.type !== 'Point' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+    return { name, error: 'IMPORT_ITEM_NOT_POINT' };
+  }
+  const [longitude, latitude] = geometry.coordinates;
+  return { name, description, address, latitude, longitude };
+};
+
+const parse = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (erro) {
+    return null;
+  }
+  if (document && document.type === 'FeatureCollection' && Array.isArray(document.features)) {
+    return document.features.map(parseFeature);
+  }
+  if (document && document.type === 'Feature') {
+    return [parseFeature(document)];
+  }
+  return null;
+};
+
+module.exports = {
+  contentType,
+  extension,
+  serialize,
+  parse,
+};
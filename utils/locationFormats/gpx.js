@@ -0,0 +1,48 @@
+'use strict';
+
+const { escapeXml, textElement, parseXml, textOf } = require('./xml');
+
+const contentType = 'application/gpx+xml';
+const extension = 'gpx';
+const EXTENSIONS_NAMESPACE = 'https://exercita365.com/xmlschemas/gpx/1';
+
+// GPX só descreve pontos com coordenadas; o endereço vai numa extensão própria.
+const serialize = (locations, { name }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<gpx version="1.1" creator="Exercita365" xmlns="http://www.topografix.com/GPX/1/1" xmlns:e365="${EXTENSIONS_NAMESPACE}">`,
+  `<metadata>${textElement('name', name)}</metadata>`,
+  ...locations
+    .filter(location => location.latitude != null)
+    .map(location => [
+      `<wpt lat="${escapeXml(location.latitude)}" lon="${escapeXml(location.longitude)}">`,
+      textElement('name', location.name),
+      textElement('desc', location.description),
+      location.address ? `<extensions>${textElement('e365:address', location.address)}</extensions>` : '',
+      '</wpt>',
+    ].join('')),
+  '</gpx>',
+  '',
+].join('\n');
+
+const parseWaypoint = (waypoint) => ({
+  name: textOf(waypoint.name),
+  description: textOf(waypoint.desc),
+  address: waypoint.extensions ? textOf(waypoint.extensions.address) : undefined,
+  latitude: waypoint['@_lat'],
+  longitude: waypoint['@_lon'],
+});
+
+const parse = (text) => {
+  const document = parseXml(text, ['wpt']);
+  if (!document || !document.gpx) {
+    return null;
+  }
+  return (document.gpx.wpt || []).map(parseWaypoint);
+};
+
+module.exports = {
+  contentType,
+  extension,
+  serialize,
+  parse,
+};
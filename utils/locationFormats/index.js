@@ -0,0 +1,64 @@
+'use strict';
+
+const geojson = require('./geojson');
+const kml = require('./kml');
+const gpx = require('./gpx');
+const csv = require('./csv');
+
+// Todo formato expõe contentType, extension, serialize(locations, { name }) e parse(text).
+// parse devolve um item por feature, com os campos do local ou com error (código de erro), ou null se o arquivo for inválido.
+const formats = {
+  geojson,
+  kml,
+  gpx,
+  csv,
+};
+
+const FORMAT_NAMES = Object.keys(formats);
+
+// Os textos são gravados com entidades HTML (escape() do express-validator); nos arquivos
+// exportados eles voltam ao original, para não aparecerem como &amp; nas ferramentas de mapas.
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`',
+};
+
+const unescapeHtml = (value) => (value == null ? value : String(value).replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]));
+
+const serializeLocations = (format, locations, options) => format.serialize(locations.map(location => ({
+  id: location.id,
+  name: unescapeHtml(location.name),
+  description: unescapeHtml(location.description),
+  address: unescapeHtml(location.address),
+  latitude: location.latitude,
+  longitude: location.longitude,
+})), options);
+
+// Usa o formato informado ou, na falta dele, a extensão do arquivo enviado.
+const resolveFormat = (name, filename = '') => {
+  const key = name || filename.split('.').pop().toLowerCase().replace(/^json$/, 'geojson');
+  return formats[key] ? { name: key, ...formats[key] } : null;
+};
+
+// Um arquivo que derruba o parser (por exemplo, XML aninhado demais) conta como inválido, como os demais.
+const parseItems = (format, text) => {
+  try {
+    return format.parse(text);
+  } catch (erro) {
+    return null;
+  }
+};
+
+module.exports = {
+  FORMAT_NAMES,
+  resolveFormat,
+  parseItems,
+  serializeLocations,
+  unescapeHtml,
+};
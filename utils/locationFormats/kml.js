@@ -0,0 +1,88 @@
+'use strict';
+
+const { escapeXml, textElement, parseXml, textOf } = require('./xml');
+
+const contentType = 'application/vnd.google-earth.kml+xml';
+const extension = 'kml';
+
+const serialize = (locations, { name }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '<Document>',
+  textElement('name', name),
+  ...locations.map(location => [
+    `<Placemark id="local-${location.id}">`,
+    textElement('name', location.name),
+    textElement('description', location.description),
+    textElement('address', location.address),
+    location.latitude == null
+      ? ''
+      : `<Point><coordinates>${escapeXml(location.longitude)},${escapeXml(location.latitude)}</coordinates></Point>`,
+    '</Placemark>',
+  ].join('')),
+  '</Document>',
+  '</kml>',
+  '',
+].join('\n');
+
+// Placemarks podem estar aninhados em Documents e Folders de qualquer profundidade. A busca usa uma pilha
+// própria em vez de recursão, para que um arquivo muito aninhado não estoure a pilha de chamadas. Os
+// Placemarks de cada pasta saem antes dos das subpastas, como na versão recursiva.
+const collectPlacemarks = (root) => {
+  const placemarks = [];
+  const pending = [{ node: root }];
+  while (pending.length > 0) {
+    const { node, found } = pending.pop();
+    if (found) {
+      found.forEach(placemark => placemarks.push(placemark));
+    } else if (node && typeof node === 'object') {
+      const children = Object.entries(node).flatMap(([key, value]) => {
+        if (key === 'Placemark') {
+          return [{ found: value }];
+        }
+        return Array.isArray(value) ? value.map(child => ({ node: child })) : [{ node: value }];
+      });
+      pending.push(...children.reverse());
+    }
+  }
+  return placemarks;
+};
+
+// O endereço vem do elemento <address> ou de um campo "address" em ExtendedData (Google My Maps).
+const extendedValue = (placemark, field) => {
+  const data = (placemark.ExtendedData && placemark.ExtendedData.Data) || [];
+  const entry = data.find(item => item['@_name'] && item['@_name'].toLowerCase() === field);
+  return entry ? textOf(entry.value) : undefined;
+};
+
+const parsePlacemark = (placemark) => {
+  const name = textOf(placemark.name);
+  const description = textOf(placemark.description);
+  const address = textOf(placemark.address) || extendedValue(placemark, 'address');
+  if (!placemark.Point) {
+    if (placemark.LineString || placemark.Polygon || placemark.MultiGeometry) {
+      return { name, error: 'IMPORT_ITEM_NOT_POINT' };
+    }
+    return { name, description, address };
+  }
+  const [longitude, latitude] = (textOf(placemark.Point.coordinates) || '').split(',').map(value => value.trim());
+  if (latitude === undefined) {
+    return { name, error: 'IMPORT_ITEM_INVALID_COORDINATES' };
+  }
+  return { name, description, address, latitude, longitude };
+};
+
+const parse = (text) => {
+  const document = parseXml(text, ['Placemark', 'Data', 'Folder', 'Document']);
+  if (!document || !document.kml) {
+    return null;
+  }
+  return collectPlacemarks(document.kml).map(parsePlacemark);
+};
+
+module.exports = {
+  contentType,
+  extension,
+  serialize,
+  parse,
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Elemento com texto, omitido quando o valor é vazio.
+const textElement = (tag, value) => (value == null || value === '' ? '' : `<${tag}>${escapeXml(value)}</${tag}>`);
+
+// Os prefixos de namespace são descartados, então <gpx:wpt> e <wpt> são lidos da mesma forma.
+const parseXml = (text, arrayTags) => {
+  const validation = XMLValidator.validate(text);
+  if (validation !== true) {
+    return null;
+  }
+  return new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    processEntities: true,
+    isArray: (tag) => arrayTags.includes(tag),
+  }).parse(text);
+};
+
+// Texto de um elemento lido pelo parser, que pode vir como string ou como objeto com atributos.
+const textOf = (node) => {
+  if (node == null) {
+    return undefined;
+  }
+  if (typeof node === 'object') {
+    return node['#text'] == null ? undefined : String(node['#text']);
+  }
+  return String(node);
+};
+
+module.exports = {
+  escapeXml,
+  textElement,
+  parseXml,
+  textOf,
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const { check, validationResult } = require('express-validator');
+const { fieldDetails } = require('./apiError');
+
+const coordinatesValidation = [
+  check('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('LATITUDE_RANGE').toFloat(),
+  check('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('LONGITUDE_RANGE').toFloat(),
+  check('latitude').custom((latitude, { req }) => (latitude == null) === (req.body.longitude == null)).withMessage('COORDINATES_PAIR'),
+];
+
+// Regras de um local novo, compartilhadas entre POST /local e as importações.
+const locationRules = [
+  check('name', 'NAME_REQUIRED').isString().isLength({ min: 1 }).trim().escape(),
+  check('description', 'DESCRIPTION_REQUIRED').isString().isLength({ min: 1 }).trim().escape(),
+  check('address', 'ADDRESS_REQUIRED').isString().trim().escape(),
+  ...coordinatesValidation,
+];
+
+// Itens importados também precisam de endereço: sem ele não há o que geocodificar nem como apontar duplicatas.
+const importRules = [
+  ...locationRules,
+  check('address', 'ADDRESS_REQUIRED').notEmpty(),
+];
+
+// Aplica as regras a um local que não veio no corpo de uma requisição, como um item de arquivo importado.
+const validateLocationInput = async (input) => {
+  const req = { body: { ...input } };
+  for (const rule of importRules) {
+    await rule.run(req);
+  }
+  return {
+    errors: validationResult(req).array({ onlyFirstError: true }).flatMap(fieldDetails),
+    value: req.body,
+  };
+};
+
+module.exports = {
+  coordinatesValidation,
+  locationRules,
+  validateLocationInput,
+};
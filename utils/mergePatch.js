@@ -0,0 +1,25 @@
+'use strict';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON Merge Patch (RFC 7386): objetos são mesclados recursivamente, null remove o membro
+// e qualquer outro valor, inclusive listas, substitui o anterior por inteiro.
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  isPlainObject,
+  applyMergePatch,
+};
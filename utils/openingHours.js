@@ -0,0 +1,170 @@
+'use strict';
+
+const TIME_ZONE = 'America/Sao_Paulo';
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const OPENS_AT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSES_AT_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Um intervalo cujo fechamento é menor ou igual à abertura atravessa a meia-noite.
+const isOvernight = ({ opensAt, closesAt }) => toMinutes(closesAt) <= toMinutes(opensAt);
+
+const formatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23',
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// Data, dia da semana (0 = domingo) e horário de um instante no fuso de São Paulo.
+const localParts = (instant = new Date()) => {
+  const parts = formatter.formatToParts(instant).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const weekday = WEEKDAYS.indexOf(parts.weekday);
+  return {
+    date,
+    weekday,
+    time: `${parts.hour}:${parts.minute}`,
+    previousDate: shiftDate(date, -1),
+    previousWeekday: (weekday + 6) % 7,
+  };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Converte os intervalos semanais em trechos de minutos na semana, quebrando
+// na virada de sábado para domingo.
+const weeklySegments = (weekly) => weekly.flatMap((interval, index) => {
+  const start = interval.weekday * MINUTES_PER_DAY + toMinutes(interval.opensAt);
+  const duration = isOvernight(interval)
+    ? MINUTES_PER_DAY - toMinutes(interval.opensAt) + toMinutes(interval.closesAt)
+    : toMinutes(interval.closesAt) - toMinutes(interval.opensAt);
+  const end = start + duration;
+  if (end <= MINUTES_PER_WEEK) {
+    return [{ start, end, index }];
+  }
+  return [{ start, end: MINUTES_PER_WEEK, index }, { start: 0, end: end - MINUTES_PER_WEEK, index }];
+});
+
+// Devolve os problemas encontrados como { code, params }; as mensagens ficam em locales/.
+const validateOpeningHours = ({ weekly = [], exceptions = [] } = {}) => {
+  const errors = [];
+  if (!Array.isArray(weekly) || !Array.isArray(exceptions)) {
+    return [{ code: 'OPENING_HOURS_NOT_LISTS' }];
+  }
+
+  weekly.forEach((interval, index) => {
+    if (!interval || !Number.isInteger(interval.weekday) || interval.weekday < 0 || interval.weekday > 6) {
+      errors.push({ code: 'OPENING_HOURS_WEEKDAY_INVALID', params: { index } });
+    } else if (!OPENS_AT_PATTERN.test(interval.opensAt) || !CLOSES_AT_PATTERN.test(interval.closesAt)) {
+      errors.push({ code: 'OPENING_HOURS_TIME_INVALID', params: { index } });
+    } else if (interval.closesAt === '24:00' && interval.opensAt === '00:00') {
+      return;
+    } else if (interval.opensAt === interval.closesAt) {
+      errors.push({ code: 'OPENING_HOURS_SAME_TIME', params: { index } });
+    }
+  });
+
+  exceptions.forEach((exception, index) => {
+    if (!exception || !DATE_PATTERN.test(exception.date) || Number.isNaN(Date.parse(exception.date))) {
+      errors.push({ code: 'OPENING_HOURS_EXCEPTION_DATE_INVALID', params: { index } });
+    } else if (exception.opensAt == null && exception.closesAt == null) {
+      return;
+    } else if (!OPENS_AT_PATTERN.test(exception.opensAt) || !CLOSES_AT_PATTERN.test(exception.closesAt)) {
+      errors.push({ code: 'OPENING_HOURS_EXCEPTION_TIME_INVALID', params: { index } });
+    } else if (toMinutes(exception.closesAt) <= toMinutes(exception.opensAt)) {
+      errors.push({ code: 'OPENING_HOURS_EXCEPTION_ORDER', params: { index } });
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const segments = weeklySegments(weekly);
+  segments.forEach((a, i) => segments.slice(i + 1).forEach(b => {
+    if (a.index !== b.index && overlaps(a, b)) {
+      errors.push({ code: 'OPENING_HOURS_WEEKLY_OVERLAP', params: { first: a.index, second: b.index } });
+    }
+  }));
+
+  const byDate = exceptions.reduce((groups, exception, index) => {
+    (groups[exception.date] = groups[exception.date] || []).push({ ...exception, index });
+    return groups;
+  }, {});
+  Object.entries(byDate).forEach(([date, entries]) => {
+    const closed = entries.filter(entry => entry.opensAt == null);
+    if (closed.length > 0 && entries.length > 1) {
+      errors.push({ code: 'OPENING_HOURS_CLOSED_DAY_CONFLICT', params: { date } });
+      return;
+    }
+    const ranges = entries
+      .filter(entry => entry.opensAt != null)
+      .map(entry => ({ start: toMinutes(entry.opensAt), end: toMinutes(entry.closesAt), index: entry.index }));
+    ranges.forEach((a, i) => ranges.slice(i + 1).forEach(b => {
+      if (overlaps(a, b)) {
+        errors.push({ code: 'OPENING_HOURS_EXCEPTION_OVERLAP', params: { first: a.index, second: b.index } });
+      }
+    }));
+  });
+
+  // Um intervalo que atravessa o fim da semana vira dois trechos e pode repetir a mesma sobreposição.
+  const unique = new Map(errors.map(error => [JSON.stringify(error), error]));
+  return [...unique.values()];
+};
+
+// Indica se o local está aberto no instante informado. Exceções de uma data substituem
+// o horário semanal daquele dia; intervalos que atravessam a meia-noite continuam valendo
+// na madrugada seguinte, a menos que o dia em que começaram tenha exceções.
+// Retorna null quando o local não tem nenhum horário cadastrado.
+const isOpenAt = ({ weekly = [], exceptions = [] }, instant = new Date()) => {
+  if (weekly.length === 0 && exceptions.length === 0) {
+    return null;
+  }
+  const { date, weekday, time, previousDate, previousWeekday } = localParts(instant);
+  const minutes = toMinutes(time);
+  const exceptionsOn = (day) => exceptions.filter(exception => exception.date === day);
+
+  const todayExceptions = exceptionsOn(date);
+  const openToday = todayExceptions.length > 0
+    ? todayExceptions.some(exception => exception.opensAt != null &&
+      toMinutes(exception.opensAt) <= minutes && minutes < toMinutes(exception.closesAt))
+    : weekly.some(interval => interval.weekday === weekday &&
+      toMinutes(interval.opensAt) <= minutes &&
+      (isOvernight(interval) || minutes < toMinutes(interval.closesAt)));
+
+  const openSinceYesterday = exceptionsOn(previousDate).length === 0 &&
+    weekly.some(interval => interval.weekday === previousWeekday &&
+      isOvernight(interval) && minutes < toMinutes(interval.closesAt));
+
+  return openToday || openSinceYesterday;
+};
+
+module.exports = {
+  TIME_ZONE,
+  shiftDate,
+  localParts,
+  validateOpeningHours,
+  isOpenAt,
+};
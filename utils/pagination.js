@@ -0,0 +1,52 @@
+'use strict';
+
+const { ApiError } = require('./apiError');
+
+class CursorError extends ApiError {
+  constructor(code, options) {
+    super(400, code, options);
+  }
+}
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!values || typeof values !== 'object' || !Number.isInteger(values.id)) {
+      throw new Error('cursor sem id');
+    }
+    return values;
+  } catch (erro) {
+    throw new CursorError('CURSOR_INVALID');
+  }
+};
+
+// Monta o cabeçalho Link (RFC 8288) preservando os demais parâmetros da query string.
+// Parte da query string original, e não de req.query: a validação converte valores
+// (datas viram Date, por exemplo) que não voltariam iguais para a URL.
+const buildLinkHeader = (req, links) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+  const original = new URL(req.originalUrl, base).searchParams;
+  return Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const query = new URLSearchParams(original);
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          query.set(key, value);
+        } else {
+          query.delete(key);
+        }
+      });
+      return `<${base}?${query.toString()}>; rel="${rel}"`;
+    })
+    .join(', ');
+};
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+  buildLinkHeader,
+};